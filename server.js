@@ -1,4 +1,6 @@
 
+require('dotenv').config();
+
 const express = require('express');
 const http = require('http');
 const socketIo = require('socket.io');
@@ -9,50 +11,220 @@ const { v4: uuidv4 } = require('uuid');
 const LockManager = require('./src/lockManager');
 const UserManager = require('./src/userManager');
 const RequestManager = require('./src/requestManager');
+const CursorManager = require('./src/cursorManager');
+const VersionManager = require('./src/versionManager');
 const apiRoutes = require('./src/routes/api');
+const healthRoutes = require('./src/routes/health');
+const { authenticateSocket, createResumeToken, verifyResumeToken } = require('./src/middleware/auth');
+const { validateSocketPayload, validationError } = require('./src/middleware/validate');
+const { getRateLimitConfig } = require('./src/middleware/rateLimit');
+const {
+    parseAllowedOrigins,
+    createCorsOptions,
+    createHandshakeOriginCheck,
+    createSecurityHeaders
+} = require('./src/middleware/security');
+const RateLimiter = require('./src/rateLimiter');
+const Metrics = require('./src/metrics');
+const HealthMonitor = require('./src/health');
+const { createPresenceEvent, removeInactiveUsers } = require('./src/presence');
+const {
+    createNodeLockEvent,
+    announceReleasedNodeLocks,
+    announceReleasedLocks,
+    announceRenewedLock,
+    announceQueueChange,
+    announceLockTransfer,
+    releaseWorkflowLockState,
+    releaseUserLockState,
+    expireLocks
+} = require('./src/lockEvents');
+const {
+    announceEditRequest,
+    announceResolvedRequests,
+    settleEditRequests,
+    transferToRequester
+} = require('./src/requestEvents');
+const { createStore, SharedStore } = require('./src/storage');
+const { createBroker, createBrokerAdapter } = require('./src/cluster');
+const logger = require('./src/logger');
+
+// Accepted format of a client-supplied X-Request-Id
+const REQUEST_ID_PATTERN = /^[\w-]{1,128}$/;
 
 class CollaborationServer {
-    constructor() {
+    /**
+     * @param {Object} options - Server options
+     * @param {Object} options.broker - Shared-state broker (defaults to CLUSTER_BROKER)
+     * @param {Object} options.store - State store (defaults to the shared store or STORAGE_DRIVER)
+     * @param {Object} options.metrics - Prometheus metrics (served on METRICS_PORT when ENABLE_METRICS=true)
+     */
+    constructor(options = {}) {
+        if (!process.env.JWT_SECRET) {
+            throw new Error('JWT_SECRET environment variable is required');
+        }
+
+        // Time allowed for a socket to authenticate via `identify` before it is dropped
+        this.authTimeout = Number(process.env.AUTH_TIMEOUT_MS) || 10000;
+
+        // Origins allowed for both REST and WebSocket clients (CORS_ORIGIN)
+        this.allowedOrigins = parseAllowedOrigins();
+
+        // Broker shared by all instances in a multi-instance deployment (CLUSTER_BROKER)
+        this.broker = options.broker !== undefined ? options.broker : createBroker();
+
         this.app = express();
         this.server = http.createServer(this.app);
         this.io = socketIo(this.server, {
-            cors: {
-                origin: "*",
-                methods: ["GET", "POST", "PUT", "DELETE"],
-                credentials: false
-            },
-            transports: ['websocket', 'polling']
+            cors: createCorsOptions(this.allowedOrigins),
+            allowRequest: createHandshakeOriginCheck(this.allowedOrigins),
+            transports: ['websocket', 'polling'],
+            adapter: this.broker ? createBrokerAdapter(this.broker) : undefined
         });
 
-        this.lockManager = new LockManager();
-        this.userManager = new UserManager();
-        this.requestManager = new RequestManager();
+        // Lock and request state: shared through the broker, or the STORAGE_DRIVER backend
+        this.store = options.store
+            || (this.broker ? new SharedStore({ broker: this.broker }) : createStore());
+
+        this.metrics = options.metrics || new Metrics();
+
+        this.lockManager = new LockManager({ store: this.store, metrics: this.metrics });
+
+        // How long before expiry a lock holder gets `lock_expiring`, and the warnings already sent
+        // (keyed by "workflowId:userId:mode" -> expiresAt, so a renewed lock is warned again)
+        this.lockExpiryWarning = Number(process.env.LOCK_EXPIRY_WARNING_MS) || 60 * 1000;
+        this.expiryWarnings = new Map();
+
+        // How long a disconnected session (and its locks) is held for a `resume`; 0 ends sessions at once
+        this.reconnectGrace = Number(process.env.RECONNECT_GRACE_MS ?? 30 * 1000) || 0;
+
+        // Map of sessionId -> timer ending the session when its grace period passes
+        this.reconnectTimers = new Map();
+        this.userManager = new UserManager({ store: this.store });
+        this.requestManager = new RequestManager({ store: this.store, metrics: this.metrics });
+        this.versionManager = new VersionManager({ store: this.store });
+
+        // Live cursors are relayed straight to the room and never persisted
+        this.cursorManager = new CursorManager();
+
+        this.metrics.bindSources({
+            lockManager: this.lockManager,
+            userManager: this.userManager,
+            requestManager: this.requestManager,
+            io: this.io
+        });
+
+        // Keep the in-memory maps in sync with changes made by other instances
+        if (this.store.onRemoteChange) {
+            const managers = {
+                locks: this.lockManager,
+                users: this.userManager,
+                requests: this.requestManager,
+                workflows: this.versionManager
+            };
+            this.store.onRemoteChange((collection, id, record) => managers[collection]?.applyRemote(id, record));
+        }
+
+        // Token buckets for socket lock and edit-request events, keyed by userId
+        const rateLimitConfig = getRateLimitConfig();
+        this.socketRateLimiter = new RateLimiter({
+            capacity: rateLimitConfig.userMaxRequests,
+            windowMs: rateLimitConfig.windowMs
+        });
+
+        // Separate buckets for live edits, so editing never uses up the budget for releasing a lock
+        this.updateRateLimiter = new RateLimiter({
+            capacity: rateLimitConfig.updateMaxRequests,
+            windowMs: rateLimitConfig.updateWindowMs
+        });
+
+        // Liveness/readiness checks and the /status summary (no secrets or connection strings)
+        this.health = new HealthMonitor({
+            server: this.server,
+            io: this.io,
+            store: this.store,
+            lockManager: this.lockManager,
+            userManager: this.userManager,
+            requestManager: this.requestManager,
+            checkTimeout: Number(process.env.HEALTH_CHECK_TIMEOUT) || 2000,
+            maxEventLoopLag: Number(process.env.HEALTH_MAX_EVENT_LOOP_LAG_MS) || 500,
+            config: {
+                storageDriver: this.broker ? 'shared' : (process.env.STORAGE_DRIVER || 'memory'),
+                clusterBroker: process.env.CLUSTER_BROKER || 'none',
+                corsOrigins: this.allowedOrigins,
+                forceLockRoles: this.lockManager.forceLockRoles,
+                lockTimeoutMs: this.lockManager.lockTimeout,
+                lockTtlMinMs: this.lockManager.minLockTtl,
+                lockTtlMaxMs: this.lockManager.maxLockTtl,
+                lockExpiryWarningMs: this.lockExpiryWarning,
+                requestTimeoutMs: this.requestManager.requestTimeout,
+                inactivityTimeoutMs: this.userManager.inactivityTimeout,
+                authTimeoutMs: this.authTimeout,
+                reconnectGraceMs: this.reconnectGrace,
+                rateLimit: rateLimitConfig,
+                metricsEnabled: process.env.ENABLE_METRICS === 'true'
+            }
+        });
+        this.health.start();
 
         this.setupMiddleware();
         this.setupRoutes();
         this.setupSocketHandlers();
         this.startCleanupTimer();
+        this.startExpiryWarningTimer();
     }
 
     setupMiddleware() {
-        // CORS configuration for Chrome extension
-        this.app.use(cors({
-            origin: '*',
-            credentials: false
-        }));
+        // Needed for per-IP rate limiting behind a reverse proxy / load balancer
+        if (process.env.TRUST_PROXY) {
+            const hops = Number(process.env.TRUST_PROXY);
+            this.app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+        }
+
+        this.app.use(createSecurityHeaders());
+
+        // CORS configuration for n8n hosts and the Chrome extension
+        this.app.use(cors(createCorsOptions(this.allowedOrigins)));
 
         this.app.use(compression());
         this.app.use(express.json());
         
-        // Request logging middleware
+        // Request logging middleware: one JSON line per request, tagged with a request id
         this.app.use((req, res, next) => {
-            console.log(`[${new Date().toISOString()}] ${req.method} ${req.path}`);
+            // A client-supplied id is kept only if it is short and plain, since it reaches every log line
+            const clientRequestId = req.get('X-Request-Id');
+            const requestId = REQUEST_ID_PATTERN.test(clientRequestId || '') ? clientRequestId : uuidv4();
+            const startedAt = process.hrtime.bigint();
+
+            req.id = requestId;
+            req.log = logger.child({ requestId });
+            res.set('X-Request-Id', requestId);
+
+            res.on('finish', () => {
+                req.log.info('HTTP request', {
+                    method: req.method,
+                    path: req.originalUrl.split('?')[0],
+                    statusCode: res.statusCode,
+                    durationMs: Number(process.hrtime.bigint() - startedAt) / 1e6
+                });
+            });
+
             next();
         });
 
+        // REST latency per route for the metrics endpoint
+        this.app.use(this.metrics.httpMiddleware());
+
         // Error handling middleware
         this.app.use((err, req, res, next) => {
-            console.error('Server Error:', err);
+            // Malformed JSON bodies are client errors, not server errors
+            if (err.type === 'entity.parse.failed') {
+                return res.status(400).json(validationError([
+                    { field: 'body', message: 'Malformed JSON body' }
+                ]));
+            }
+
+            (req.log || logger).error('Server Error:', err);
             res.status(500).json({
                 success: false,
                 error: 'Internal server error',
@@ -62,15 +234,8 @@ class CollaborationServer {
     }
 
     setupRoutes() {
-        // Health check endpoint
-        this.app.get('/health', (req, res) => {
-            res.json({
-                success: true,
-                status: 'healthy',
-                timestamp: new Date().toISOString(),
-                uptime: process.uptime()
-            });
-        });
+        // Health, readiness and status endpoints
+        this.app.use(healthRoutes(this.health));
 
         // API routes
         this.app.use('/api', apiRoutes(this.lockManager, this.userManager, this.requestManager, this.io));
@@ -86,61 +251,372 @@ class CollaborationServer {
 
     setupSocketHandlers() {
         this.io.on('connection', (socket) => {
-            console.log(`[${new Date().toISOString()}] Client connected: ${socket.id}`);
+            socket.log = logger.child({ socketId: socket.id });
+            socket.log.info('Client connected', { event: 'connection' });
+
+            // Drop sockets that never authenticate
+            const authTimer = setTimeout(() => {
+                if (!socket.userId) {
+                    socket.emit('error', { error: 'AUTHENTICATION_REQUIRED', message: 'Authentication timed out' });
+                    socket.disconnect(true);
+                }
+            }, this.authTimeout);
 
             // Handle user identification
-            socket.on('identify', (data) => {
+            this.onValidated(socket, 'identify', (data, log) => {
                 try {
-                    const { userId, userName, email, workflowId } = data;
+                    let identity;
+                    try {
+                        identity = authenticateSocket(socket, data);
+                    } catch (authError) {
+                        log.warn('Authentication failed', { reason: authError.message });
+                        socket.emit('error', { error: 'INVALID_TOKEN', message: 'Authentication failed' });
+                        socket.disconnect(true);
+                        return;
+                    }
+
+                    const { workflowId } = data;
+                    const { userId } = identity;
+
+                    // A connection belongs to one user: it keeps that user's rooms and session
+                    if (socket.userId && socket.userId !== userId) {
+                        log.warn('Identify as another user refused', { subject: userId });
+                        socket.emit('error', {
+                            error: 'ALREADY_IDENTIFIED',
+                            message: 'This connection is already identified as another user'
+                        });
+                        return;
+                    }
+
+                    const userName = identity.userName || data.userName;
+                    const email = identity.email || data.email;
                     
-                    if (!userId || !userName) {
+                    if (!userName) {
                         socket.emit('error', { message: 'Missing required user information' });
                         return;
                     }
 
-                    // Register user session
-                    this.userManager.registerUser(userId, {
+                    // Register the session (a user may have several tabs or devices connected)
+                    const alreadyJoined = Boolean(workflowId) && this.userManager.getUserWorkflows(userId).includes(workflowId);
+                    const sessionId = socket.sessionId || socket.id;
+                    const registration = this.userManager.registerUser(userId, {
+                        sessionId,
                         socketId: socket.id,
                         userName,
                         email: email || null,
+                        role: identity.role,
                         workflowId: workflowId || null,
                         connectedAt: new Date(),
                         lastActivity: new Date()
                     });
 
+                    // Until registration succeeds the socket stays subject to the authentication timeout
+                    if (!registration.success) {
+                        socket.emit('error', { error: registration.error, message: registration.message });
+                        return;
+                    }
+                    clearTimeout(authTimer);
+
                     socket.userId = userId;
-                    socket.workflowId = workflowId;
+                    socket.userRole = identity.role;
+                    socket.sessionId = sessionId;
+                    socket.log = socket.log.child({ userId });
 
-                    // Join workflow room if specified
+                    // Notifications addressed to the user reach every one of their sessions
+                    socket.join(`user:${userId}`);
+
+                    // Join workflow room if specified and announce the arrival to the room
                     if (workflowId) {
                         socket.join(`workflow:${workflowId}`);
-                        
-                        // Send current workflow state
-                        const lockState = this.lockManager.getWorkflowLock(workflowId);
-                        socket.emit('workflow_state', {
-                            workflowId,
-                            lockState,
-                            connectedUsers: this.userManager.getWorkflowUsers(workflowId)
-                        });
+                        this.sendWorkflowState(socket, workflowId);
+                        if (!alreadyJoined) {
+                            socket.to(`workflow:${workflowId}`).emit('user-joined',
+                                createPresenceEvent(this.userManager, workflowId, this.userManager.getUser(userId), 'joined'));
+                        }
                     }
 
                     socket.emit('identified', { 
                         userId, 
                         userName,
-                        sessionId: socket.id 
+                        role: identity.role,
+                        sessionId,
+                        resumeToken: createResumeToken(userId, sessionId, identity.role, identity.claims.exp)
                     });
 
-                    console.log(`User identified: ${userName} (${userId}) on workflow ${workflowId}`);
+                    log.info('User identified', { userId, workflowId, role: identity.role });
                 } catch (error) {
-                    console.error('Error in identify handler:', error);
+                    log.error('Error in identify handler:', error);
                     socket.emit('error', { message: 'Failed to identify user' });
                 }
             });
 
+            // Resume a session that disconnected less than the reconnect grace period ago,
+            // with its workflow rooms and locks
+            this.onValidated(socket, 'resume', (data, log) => {
+                try {
+                    if (socket.userId) {
+                        socket.emit('resume_response', {
+                            success: false,
+                            error: 'ALREADY_IDENTIFIED',
+                            message: 'This connection already has a session'
+                        });
+                        return;
+                    }
+
+                    let resumed;
+                    try {
+                        resumed = verifyResumeToken(data.token);
+                    } catch (tokenError) {
+                        log.warn('Resume failed', { reason: tokenError.message });
+                        const expired = tokenError.name === 'TokenExpiredError';
+                        socket.emit('resume_response', {
+                            success: false,
+                            error: expired ? 'RESUME_TOKEN_EXPIRED' : 'INVALID_RESUME_TOKEN',
+                            message: expired ? 'Resume token has expired, identify again' : 'Invalid resume token'
+                        });
+                        return;
+                    }
+
+                    const { userId, sessionId, role } = resumed;
+                    const session = this.userManager.resumeSession(userId, sessionId, socket.id);
+                    if (!session) {
+                        socket.emit('resume_response', {
+                            success: false,
+                            error: 'SESSION_EXPIRED',
+                            message: 'Session can no longer be resumed, identify again'
+                        });
+                        return;
+                    }
+
+                    clearTimeout(authTimer);
+                    clearTimeout(this.reconnectTimers.get(sessionId));
+                    this.reconnectTimers.delete(sessionId);
+
+                    socket.userId = userId;
+                    socket.userRole = role;
+                    socket.sessionId = sessionId;
+                    socket.log = socket.log.child({ userId });
+
+                    socket.join(`user:${userId}`);
+                    session.workflowIds.forEach((workflowId) => {
+                        socket.join(`workflow:${workflowId}`);
+                        this.sendWorkflowState(socket, workflowId);
+                    });
+
+                    socket.emit('resume_response', {
+                        success: true,
+                        message: 'Session resumed',
+                        userId,
+                        userName: this.userManager.getUser(userId)?.userName,
+                        role,
+                        sessionId,
+                        resumeToken: data.token,
+                        workflowIds: session.workflowIds,
+                        locks: this.lockManager.getUserLocks(userId)
+                    });
+
+                    log.info('Session resumed', { sessionId, workflowIds: session.workflowIds });
+                } catch (error) {
+                    log.error('Error in resume handler:', error);
+                    socket.emit('error', { message: 'Failed to resume session' });
+                }
+            });
+
+            // Follow another workflow (a socket may join any number of workflow rooms)
+            this.onValidated(socket, 'join-workflow', (data, log) => {
+                try {
+                    const { workflowId } = data;
+                    const userId = socket.userId;
+
+                    if (!userId) {
+                        socket.emit('error', { message: 'Missing user or workflow information' });
+                        return;
+                    }
+
+                    const alreadyJoined = this.userManager.getUserWorkflows(userId).includes(workflowId);
+
+                    this.userManager.joinWorkflow(userId, workflowId, socket.sessionId);
+                    socket.join(`workflow:${workflowId}`);
+                    this.sendWorkflowState(socket, workflowId);
+
+                    if (!alreadyJoined) {
+                        socket.to(`workflow:${workflowId}`).emit('user-joined',
+                            createPresenceEvent(this.userManager, workflowId, this.userManager.getUser(userId), 'joined'));
+                    }
+
+                    log.info('Workflow joined', { workflowId });
+                } catch (error) {
+                    log.error('Error in join-workflow handler:', error);
+                    socket.emit('error', { message: 'Failed to join workflow' });
+                }
+            });
+
+            // Stop following a workflow in this session, releasing the session's locks on it.
+            // The user leaves the workflow (and their other locks on it go) once no session of theirs follows it.
+            this.onValidated(socket, 'leave-workflow', async (data, log) => {
+                try {
+                    const { workflowId } = data;
+                    const userId = socket.userId;
+
+                    if (!userId) {
+                        socket.emit('error', { message: 'Missing user or workflow information' });
+                        return;
+                    }
+
+                    const { left, remainingSessions } = this.userManager.leaveWorkflow(userId, workflowId, socket.sessionId);
+                    if (!left) {
+                        socket.emit('error', { error: 'NOT_IN_WORKFLOW', message: 'Workflow has not been joined' });
+                        return;
+                    }
+
+                    socket.leave(`workflow:${workflowId}`);
+                    this.cursorManager.clear(socket.id, workflowId);
+                    await releaseWorkflowLockState(this.io, this.userManager, this.lockManager, this.requestManager,
+                        workflowId, userId, 'User left the workflow',
+                        remainingSessions > 0 ? socket.sessionId : null);
+
+                    if (remainingSessions === 0) {
+                        this.io.to(`workflow:${workflowId}`).emit('user-left',
+                            createPresenceEvent(this.userManager, workflowId, this.userManager.getUser(userId), 'left', { reason: 'left' }));
+                    }
+
+                    socket.emit('workflow_left', { workflowId, timestamp: new Date() });
+
+                    log.info('Workflow left', { workflowId });
+                } catch (error) {
+                    log.error('Error in leave-workflow handler:', error);
+                    socket.emit('error', { message: 'Failed to leave workflow' });
+                }
+            });
+
+            // Relay cursor positions to the rest of the workflow room (throttled, best effort)
+            this.onValidated(socket, 'cursor-position', (data, log) => {
+                try {
+                    const { workflowId, x, y } = data;
+                    const user = socket.userId ? this.userManager.getUser(socket.userId) : null;
+
+                    // Only active members of the workflow share their cursor
+                    if (!user || !user.workflowIds.includes(workflowId) || this.userManager.isUserInactive(user)) {
+                        log.debug('Cursor position ignored', { workflowId });
+                        return;
+                    }
+
+                    const cursor = {
+                        workflowId,
+                        userId: user.userId,
+                        userName: user.userName,
+                        color: this.cursorManager.colorFor(user.userId),
+                        x,
+                        y,
+                        timestamp: new Date()
+                    };
+
+                    this.cursorManager.update(socket.id, workflowId, cursor, (latest) => {
+                        socket.volatile.to(`workflow:${workflowId}`).emit('cursor-moved', latest);
+                    });
+                } catch (error) {
+                    log.error('Error in cursor-position handler:', error);
+                }
+            });
+
+            // Share which nodes the user has selected or open, as deltas to the rest of the room
+            this.onValidated(socket, 'user-selection', (data, log) => {
+                try {
+                    const { workflowId, selectedNodeIds, openNodeId } = data;
+                    const userId = socket.userId;
+
+                    if (!userId) {
+                        socket.emit('error', { message: 'Missing user or workflow information' });
+                        return;
+                    }
+
+                    const change = this.userManager.updateSelection(userId, workflowId, { selectedNodeIds, openNodeId });
+                    if (!change) {
+                        socket.emit('error', { error: 'NOT_IN_WORKFLOW', message: 'Workflow has not been joined' });
+                        return;
+                    }
+
+                    if (change.added.length === 0 && change.removed.length === 0 && !change.openNodeChanged) {
+                        return;
+                    }
+
+                    socket.to(`workflow:${workflowId}`).emit('selection-changed', {
+                        workflowId,
+                        userId,
+                        userName: this.userManager.getUser(userId)?.userName,
+                        added: change.added,
+                        removed: change.removed,
+                        selectedNodeIds: change.selection.selectedNodeIds,
+                        openNodeId: change.selection.openNodeId,
+                        timestamp: new Date()
+                    });
+                } catch (error) {
+                    log.error('Error in user-selection handler:', error);
+                    socket.emit('error', { message: 'Failed to update selection' });
+                }
+            });
+
+            // Relay edits from the lock holder, stamped with the next workflow version
+            this.onValidated(socket, 'workflow-update', async (data, log) => {
+                try {
+                    const { workflowId, baseVersion, changes } = data;
+                    const userId = socket.userId;
+
+                    if (!userId) {
+                        socket.emit('error', { message: 'Missing user or workflow information' });
+                        return;
+                    }
+
+                    const lockState = this.lockManager.getWorkflowLock(workflowId);
+                    if (lockState?.userId !== userId) {
+                        socket.emit('workflow_update_response', {
+                            success: false,
+                            error: 'NOT_LOCK_HOLDER',
+                            message: 'Only the user holding the workflow lock can submit updates'
+                        });
+                        return;
+                    }
+
+                    const result = await this.versionManager.atomically(workflowId,
+                        () => this.versionManager.applyUpdate(workflowId, userId, baseVersion));
+
+                    if (result.success) {
+                        this.userManager.updateUserActivity(userId);
+
+                        socket.to(`workflow:${workflowId}`).emit('workflow-updated', {
+                            workflowId,
+                            version: result.version,
+                            baseVersion,
+                            userId,
+                            userName: this.userManager.getUser(userId)?.userName,
+                            changes,
+                            timestamp: new Date()
+                        });
+
+                        log.info('Workflow updated', { workflowId, version: result.version });
+                    } else if (result.error === 'VERSION_CONFLICT') {
+                        socket.emit('conflict-detected', {
+                            workflowId,
+                            baseVersion,
+                            currentVersion: result.currentVersion,
+                            lastUpdate: this.versionManager.getWorkflowVersion(workflowId),
+                            timestamp: new Date()
+                        });
+
+                        log.warn('Workflow update conflict', { workflowId, baseVersion, currentVersion: result.currentVersion });
+                    }
+
+                    socket.emit('workflow_update_response', result);
+                } catch (error) {
+                    log.error('Error in workflow-update handler:', error);
+                    socket.emit('error', { message: 'Failed to apply workflow update' });
+                }
+            }, { rateLimiter: this.updateRateLimiter });
+
             // Handle lock requests
-            socket.on('request_lock', (data) => {
+            this.onValidated(socket, 'request_lock', async (data, log) => {
                 try {
-                    const { workflowId, force = false } = data;
+                    const { workflowId, force = false, mode, ttl } = data;
                     const userId = socket.userId;
 
                     if (!userId || !workflowId) {
@@ -148,7 +624,8 @@ class CollaborationServer {
                         return;
                     }
 
-                    const result = this.lockManager.requestLock(workflowId, userId, force);
+                    const result = await this.lockManager.atomically(workflowId,
+                        () => this.lockManager.requestLock(workflowId, userId, force, socket.userRole, { mode, ttl, sessionId: socket.sessionId }));
                     
                     if (result.success) {
                         // Update user's last activity
@@ -159,21 +636,109 @@ class CollaborationServer {
                             workflowId,
                             userId,
                             userName: this.userManager.getUser(userId)?.userName,
+                            mode: result.lockInfo.mode,
+                            holders: this.lockManager.getLockHolders(workflowId),
                             timestamp: new Date()
                         });
                         
-                        console.log(`Lock acquired by ${userId} for workflow ${workflowId}`);
+                        // Shared and node locks of other users are released by a forced workflow lock
+                        announceReleasedLocks(this.io, this.userManager, result.releasedSharedLocks || [],
+                            'Workflow lock forced');
+                        announceReleasedNodeLocks(this.io, this.userManager, result.releasedNodeLocks || [],
+                            'Workflow lock forced');
+
+                        if (result.leftQueue) {
+                            announceQueueChange(this.io, this.userManager, this.lockManager, workflowId);
+                        }
+
+                        // Requests made to a holder who was forced out no longer apply
+                        settleEditRequests(this.io, this.userManager, this.lockManager, this.requestManager, workflowId);
+
+                        log.info('Lock acquired', { workflowId, forced: force, mode: result.lockInfo.mode });
                     }
 
                     socket.emit('lock_response', result);
                 } catch (error) {
-                    console.error('Error in request_lock handler:', error);
+                    log.error('Error in request_lock handler:', error);
                     socket.emit('error', { message: 'Failed to process lock request' });
                 }
+            }, { rateLimited: true });
+
+            // Extend a held lock (or node lock) by its TTL
+            this.onValidated(socket, 'renew_lock', async (data, log) => {
+                try {
+                    const { workflowId, nodeId = null } = data;
+                    const userId = socket.userId;
+
+                    if (!userId) {
+                        socket.emit('error', { message: 'Missing user or workflow information' });
+                        return;
+                    }
+
+                    const result = await this.lockManager.atomically(workflowId,
+                        () => this.lockManager.renewLock(workflowId, userId, nodeId));
+
+                    if (result.success) {
+                        this.userManager.updateUserActivity(userId);
+                        announceRenewedLock(this.io, this.userManager, result.lockInfo);
+
+                        log.info('Lock renewed', { workflowId, nodeId, mode: result.lockInfo.mode });
+                    }
+
+                    socket.emit('lock_renew_response', result);
+                } catch (error) {
+                    log.error('Error in renew_lock handler:', error);
+                    socket.emit('error', { message: 'Failed to renew lock' });
+                }
+            }, { rateLimited: true });
+
+            // Switch a held lock between shared and exclusive mode
+            ['upgrade_lock', 'downgrade_lock'].forEach((event) => {
+                this.onValidated(socket, event, async (data, log) => {
+                    try {
+                        const { workflowId } = data;
+                        const userId = socket.userId;
+
+                        if (!userId) {
+                            socket.emit('error', { message: 'Missing user or workflow information' });
+                            return;
+                        }
+
+                        const result = await this.lockManager.atomically(workflowId, () => (event === 'upgrade_lock'
+                            ? this.lockManager.upgradeLock(workflowId, userId)
+                            : this.lockManager.downgradeLock(workflowId, userId)));
+
+                        if (result.success) {
+                            this.userManager.updateUserActivity(userId);
+
+                            this.io.to(`workflow:${workflowId}`).emit('lock_mode_changed', {
+                                workflowId,
+                                userId,
+                                userName: this.userManager.getUser(userId)?.userName,
+                                mode: result.lockInfo.mode,
+                                holders: this.lockManager.getLockHolders(workflowId),
+                                timestamp: new Date()
+                            });
+
+                            if (result.leftQueue) {
+                                announceQueueChange(this.io, this.userManager, this.lockManager, workflowId);
+                            }
+
+                            settleEditRequests(this.io, this.userManager, this.lockManager, this.requestManager, workflowId);
+
+                            log.info('Lock mode changed', { workflowId, mode: result.lockInfo.mode });
+                        }
+
+                        socket.emit('lock_mode_response', result);
+                    } catch (error) {
+                        log.error(`Error in ${event} handler:`, error);
+                        socket.emit('error', { message: 'Failed to change lock mode' });
+                    }
+                }, { rateLimited: true });
             });
 
             // Handle lock release
-            socket.on('release_lock', (data) => {
+            this.onValidated(socket, 'release_lock', async (data, log) => {
                 try {
                     const { workflowId } = data;
                     const userId = socket.userId;
@@ -183,7 +748,8 @@ class CollaborationServer {
                         return;
                     }
 
-                    const result = this.lockManager.releaseLock(workflowId, userId);
+                    const result = await this.lockManager.atomically(workflowId,
+                        () => this.lockManager.releaseLock(workflowId, userId));
                     
                     if (result.success) {
                         // Notify all users in the workflow
@@ -191,23 +757,187 @@ class CollaborationServer {
                             workflowId,
                             userId,
                             userName: this.userManager.getUser(userId)?.userName,
+                            mode: result.mode,
+                            holders: this.lockManager.getLockHolders(workflowId),
                             timestamp: new Date()
                         });
+
+                        // The next queued user receives the lock
+                        if (result.handedOffTo) {
+                            announceQueueChange(this.io, this.userManager, this.lockManager, workflowId, result.handedOffTo);
+                        }
+
+                        settleEditRequests(this.io, this.userManager, this.lockManager, this.requestManager, workflowId);
                         
-                        console.log(`Lock released by ${userId} for workflow ${workflowId}`);
+                        log.info('Lock released', { workflowId, handedOffTo: result.handedOffTo?.userId });
                     }
 
                     socket.emit('lock_release_response', result);
                 } catch (error) {
-                    console.error('Error in release_lock handler:', error);
+                    log.error('Error in release_lock handler:', error);
                     socket.emit('error', { message: 'Failed to release lock' });
                 }
+            }, { rateLimited: true });
+
+            // Wait in line for a workflow's lock
+            this.onValidated(socket, 'enqueue_lock', async (data, log) => {
+                try {
+                    const { workflowId } = data;
+                    const userId = socket.userId;
+
+                    if (!userId) {
+                        socket.emit('error', { message: 'Missing user or workflow information' });
+                        return;
+                    }
+
+                    const result = await this.lockManager.atomically(workflowId,
+                        () => this.lockManager.enqueueLock(workflowId, userId, socket.sessionId));
+
+                    if (result.success) {
+                        this.userManager.updateUserActivity(userId);
+                        announceQueueChange(this.io, this.userManager, this.lockManager, workflowId, result.handedOffTo);
+
+                        log.info('Lock queue joined', { workflowId, position: result.position });
+                    }
+
+                    socket.emit('lock_queue_response', result);
+                } catch (error) {
+                    log.error('Error in enqueue_lock handler:', error);
+                    socket.emit('error', { message: 'Failed to join the lock queue' });
+                }
+            }, { rateLimited: true });
+
+            // Stop waiting for a workflow's lock
+            this.onValidated(socket, 'leave_lock_queue', async (data, log) => {
+                try {
+                    const { workflowId } = data;
+                    const userId = socket.userId;
+
+                    if (!userId) {
+                        socket.emit('error', { message: 'Missing user or workflow information' });
+                        return;
+                    }
+
+                    const result = await this.lockManager.atomically(workflowId,
+                        () => this.lockManager.leaveLockQueue(workflowId, userId));
+
+                    if (result.success) {
+                        announceQueueChange(this.io, this.userManager, this.lockManager, workflowId, result.handedOffTo);
+
+                        log.info('Lock queue left', { workflowId });
+                    }
+
+                    socket.emit('lock_queue_response', result);
+                } catch (error) {
+                    log.error('Error in leave_lock_queue handler:', error);
+                    socket.emit('error', { message: 'Failed to leave the lock queue' });
+                }
+            }, { rateLimited: true });
+
+            // Handle node lock requests (a single node, or the '$settings' pseudo-resource)
+            this.onValidated(socket, 'request_node_lock', async (data, log) => {
+                try {
+                    const { workflowId, nodeId, ttl = null } = data;
+                    const userId = socket.userId;
+
+                    if (!userId) {
+                        socket.emit('error', { message: 'Missing user or workflow information' });
+                        return;
+                    }
+
+                    const result = await this.lockManager.atomically(workflowId,
+                        () => this.lockManager.requestNodeLock(workflowId, nodeId, userId, socket.sessionId, { ttl }));
+
+                    if (result.success) {
+                        this.userManager.updateUserActivity(userId);
+
+                        this.io.to(`workflow:${workflowId}`).emit('node_lock_acquired',
+                            createNodeLockEvent(this.userManager, result.lockInfo, { expiresAt: result.lockInfo.expiresAt }));
+
+                        log.info('Node lock acquired', { workflowId, nodeId });
+                    }
+
+                    socket.emit('node_lock_response', result);
+                } catch (error) {
+                    log.error('Error in request_node_lock handler:', error);
+                    socket.emit('error', { message: 'Failed to process node lock request' });
+                }
+            }, { rateLimited: true });
+
+            // Handle node lock release
+            this.onValidated(socket, 'release_node_lock', async (data, log) => {
+                try {
+                    const { workflowId, nodeId } = data;
+                    const userId = socket.userId;
+
+                    if (!userId) {
+                        socket.emit('error', { message: 'Missing user or workflow information' });
+                        return;
+                    }
+
+                    const result = await this.lockManager.atomically(workflowId,
+                        () => this.lockManager.releaseNodeLock(workflowId, nodeId, userId));
+
+                    if (result.success) {
+                        this.io.to(`workflow:${workflowId}`).emit('node_lock_released',
+                            createNodeLockEvent(this.userManager, { workflowId, nodeId, userId }));
+
+                        if (result.handedOffTo) {
+                            announceQueueChange(this.io, this.userManager, this.lockManager, workflowId, result.handedOffTo);
+                        }
+
+                        log.info('Node lock released', { workflowId, nodeId });
+                    }
+
+                    socket.emit('node_lock_release_response', result);
+                } catch (error) {
+                    log.error('Error in release_node_lock handler:', error);
+                    socket.emit('error', { message: 'Failed to release node lock' });
+                }
+            }, { rateLimited: true });
+
+            // List the node locks of a workflow
+            this.onValidated(socket, 'list_node_locks', (data, log) => {
+                try {
+                    const { workflowId } = data;
+
+                    if (!socket.userId) {
+                        socket.emit('error', { message: 'Missing user or workflow information' });
+                        return;
+                    }
+
+                    socket.emit('node_locks', {
+                        workflowId,
+                        nodeLocks: this.lockManager.getNodeLocks(workflowId)
+                    });
+                } catch (error) {
+                    log.error('Error in list_node_locks handler:', error);
+                    socket.emit('error', { message: 'Failed to list node locks' });
+                }
+            });
+
+            // Check a fencing token against the user's current lock
+            this.onValidated(socket, 'validate_lock', (data, log) => {
+                try {
+                    const { workflowId, fencingToken } = data;
+                    const userId = socket.userId;
+
+                    if (!userId) {
+                        socket.emit('error', { message: 'Missing user or workflow information' });
+                        return;
+                    }
+
+                    socket.emit('lock_validation', this.lockManager.validateLock(workflowId, userId, fencingToken));
+                } catch (error) {
+                    log.error('Error in validate_lock handler:', error);
+                    socket.emit('error', { message: 'Failed to validate lock' });
+                }
             });
 
             // Handle edit requests
-            socket.on('request_edit_access', (data) => {
+            this.onValidated(socket, 'request_edit_access', (data, log) => {
                 try {
-                    const { workflowId, message } = data;
+                    const { workflowId, message, ttl = null } = data;
                     const requesterId = socket.userId;
 
                     if (!requesterId || !workflowId) {
@@ -221,36 +951,31 @@ class CollaborationServer {
                         return;
                     }
 
-                    const request = this.requestManager.createRequest(workflowId, requesterId, lockState.userId, message);
+                    // Asking again refreshes the requester's pending request instead of adding another
+                    const request = this.requestManager.createRequest(workflowId, requesterId, lockState.userId, message,
+                        { sessionId: socket.sessionId, ttl });
                     
                     // Notify the current lock holder
-                    const lockHolderUser = this.userManager.getUser(lockState.userId);
-                    if (lockHolderUser?.socketId) {
-                        this.io.to(lockHolderUser.socketId).emit('edit_request', {
-                            requestId: request.id,
-                            workflowId,
-                            requesterId,
-                            requesterName: this.userManager.getUser(requesterId)?.userName,
-                            message: message || 'Requesting edit access',
-                            timestamp: request.timestamp
-                        });
-                    }
+                    announceEditRequest(this.io, this.userManager, this.requestManager, request);
 
                     socket.emit('request_sent', { 
                         requestId: request.id,
                         workflowId,
-                        timestamp: request.timestamp 
+                        refreshed: Boolean(request.refreshedAt),
+                        expiresAt: request.expiresAt,
+                        timestamp: request.refreshedAt || request.timestamp 
                     });
 
-                    console.log(`Edit request sent by ${requesterId} to ${lockState.userId} for workflow ${workflowId}`);
+                    log.info(request.refreshedAt ? 'Edit request refreshed' : 'Edit request sent',
+                        { workflowId, requestId: request.id, targetUserId: lockState.userId });
                 } catch (error) {
-                    console.error('Error in request_edit_access handler:', error);
+                    log.error('Error in request_edit_access handler:', error);
                     socket.emit('error', { message: 'Failed to send edit request' });
                 }
-            });
+            }, { rateLimited: true });
 
             // Handle edit request responses
-            socket.on('respond_edit_request', (data) => {
+            this.onValidated(socket, 'respond_edit_request', async (data, log) => {
                 try {
                     const { requestId, approved, message } = data;
                     const userId = socket.userId;
@@ -261,144 +986,499 @@ class CollaborationServer {
                         return;
                     }
 
-                    this.requestManager.respondToRequest(requestId, approved, message);
+                    if (request.status !== 'pending' || this.requestManager.isRequestExpired(request)) {
+                        socket.emit('error', { error: 'REQUEST_NOT_PENDING', message: 'Request is no longer pending' });
+                        return;
+                    }
+
+                    // An approval hands the lock straight to the requester. This happens before the approval
+                    // is recorded, so a failed transfer leaves the request pending.
+                    let transfer = null;
+                    if (approved) {
+                        transfer = await transferToRequester(this.userManager, this.lockManager, request);
+                        if (!transfer.success) {
+                            socket.emit('error', { error: transfer.error, message: transfer.message });
+                            return;
+                        }
+                    }
+
+                    // The lock has moved by now, so it is announced even if the request ran out meanwhile
+                    let recorded = true;
+                    try {
+                        this.requestManager.respondToRequest(requestId, approved, message);
+                    } catch (error) {
+                        if (!transfer) {
+                            throw error;
+                        }
+                        recorded = false;
+                        log.warn('Lock transferred but the approval could not be recorded', { requestId, error: error.message });
+                    }
 
                     // Notify the requester
                     const requesterUser = this.userManager.getUser(request.requesterId);
-                    if (requesterUser?.socketId) {
-                        this.io.to(requesterUser.socketId).emit('request_response', {
+                    if (recorded && requesterUser) {
+                        this.io.to(`user:${request.requesterId}`).emit('request_response', {
                             requestId,
                             workflowId: request.workflowId,
                             approved,
                             message: message || (approved ? 'Request approved' : 'Request denied'),
                             timestamp: new Date()
                         });
+                    }
 
-                        // If approved, release the lock automatically
-                        if (approved) {
-                            const releaseResult = this.lockManager.releaseLock(request.workflowId, userId);
-                            if (releaseResult.success) {
-                                this.io.to(`workflow:${request.workflowId}`).emit('lock_released', {
-                                    workflowId: request.workflowId,
-                                    userId,
-                                    userName: this.userManager.getUser(userId)?.userName,
-                                    timestamp: new Date()
-                                });
-                            }
-                        }
+                    if (transfer) {
+                        announceLockTransfer(this.io, this.userManager, this.lockManager, transfer, requestId);
+
+                        // Other requests to the previous holder are void now they no longer hold the lock
+                        settleEditRequests(this.io, this.userManager, this.lockManager, this.requestManager, request.workflowId);
                     }
 
-                    console.log(`Edit request ${approved ? 'approved' : 'denied'} by ${userId} for request ${requestId}`);
+                    log.info(`Edit request ${approved ? 'approved' : 'denied'}`, { workflowId: request.workflowId, requestId });
                 } catch (error) {
-                    console.error('Error in respond_edit_request handler:', error);
+                    log.error('Error in respond_edit_request handler:', error);
                     socket.emit('error', { message: 'Failed to respond to edit request' });
                 }
             });
 
-            // Handle heartbeat/activity updates
-            socket.on('heartbeat', (data) => {
+            // Answer every pending edit request on a workflow at once: approve at most one, deny the rest
+            this.onValidated(socket, 'respond_edit_requests', async (data, log) => {
+                try {
+                    const { workflowId, approveRequestId = null, message } = data;
+                    const userId = socket.userId;
+
+                    if (!userId) {
+                        socket.emit('error', { message: 'Missing user or workflow information' });
+                        return;
+                    }
+
+                    const approvedRequest = approveRequestId
+                        ? this.requestManager.getPendingRequests(workflowId, userId).find(request => request.id === approveRequestId)
+                        : null;
+                    if (approveRequestId && !approvedRequest) {
+                        socket.emit('error', { error: 'REQUEST_NOT_PENDING', message: 'Request is no longer pending' });
+                        return;
+                    }
+
+                    // As with a single approval, the lock moves before any response is recorded
+                    let transfer = null;
+                    if (approvedRequest) {
+                        transfer = await transferToRequester(this.userManager, this.lockManager, approvedRequest);
+                        if (!transfer.success) {
+                            socket.emit('error', { error: transfer.error, message: transfer.message });
+                            return;
+                        }
+                    }
+
+                    const responses = this.requestManager.respondToWorkflowRequests(workflowId, userId, approveRequestId, message);
+
+                    // Notify each requester
+                    responses.forEach((request) => {
+                        this.io.to(`user:${request.requesterId}`).emit('request_response', {
+                            requestId: request.id,
+                            workflowId,
+                            approved: request.response,
+                            message: message || (request.response ? 'Request approved' : 'Request denied'),
+                            timestamp: request.respondedAt
+                        });
+                    });
+
+                    if (transfer) {
+                        announceLockTransfer(this.io, this.userManager, this.lockManager, transfer, approveRequestId);
+                        settleEditRequests(this.io, this.userManager, this.lockManager, this.requestManager, workflowId);
+                    }
+
+                    const deniedRequestIds = responses.filter(request => !request.response).map(request => request.id);
+
+                    socket.emit('edit_requests_response', {
+                        success: true,
+                        workflowId,
+                        approvedRequestId: approvedRequest ? approveRequestId : null,
+                        deniedRequestIds
+                    });
+
+                    log.info('Edit requests answered', { workflowId, approvedRequestId: approveRequestId, denied: deniedRequestIds.length });
+                } catch (error) {
+                    log.error('Error in respond_edit_requests handler:', error);
+                    socket.emit('error', { message: 'Failed to respond to edit requests' });
+                }
+            });
+
+            // Handle heartbeat/activity updates, optionally extending the sender's locks
+            this.onValidated(socket, 'heartbeat', async (data, log) => {
                 try {
                     const userId = socket.userId;
                     if (userId) {
                         this.userManager.updateUserActivity(userId);
-                        socket.emit('heartbeat_ack', { timestamp: new Date() });
+
+                        const renewedLocks = [];
+                        if (data?.extendLocks) {
+                            const locks = [
+                                ...this.lockManager.getUserLocks(userId),
+                                ...this.lockManager.getUserNodeLocks(userId)
+                            ];
+                            for (const { workflowId, nodeId = null } of locks) {
+                                const result = await this.lockManager.atomically(workflowId,
+                                    () => this.lockManager.renewLock(workflowId, userId, nodeId));
+                                if (result.success) {
+                                    renewedLocks.push(result.lockInfo);
+                                }
+                            }
+                        }
+
+                        // Keep this session's place in the lock queues it waits in
+                        for (const workflowId of this.lockManager.getQueuedWorkflows(userId, socket.sessionId)) {
+                            await this.lockManager.atomically(workflowId,
+                                () => this.lockManager.renewQueueEntry(workflowId, userId));
+                        }
+
+                        socket.emit('heartbeat_ack', { timestamp: new Date(), renewedLocks });
                     }
                 } catch (error) {
-                    console.error('Error in heartbeat handler:', error);
+                    log.error('Error in heartbeat handler:', error);
                 }
             });
 
             // Handle disconnect
-            socket.on('disconnect', () => {
+            socket.on('disconnect', async (reason) => {
+                clearTimeout(authTimer);
+                this.cursorManager.clear(socket.id);
+                const log = socket.log.child({ event: 'disconnect' });
+
                 try {
                     const userId = socket.userId;
-                    const workflowId = socket.workflowId;
 
-                    if (userId) {
-                        console.log(`[${new Date().toISOString()}] User disconnected: ${userId}`);
-                        
-                        // Remove user session
-                        this.userManager.removeUser(userId);
-                        
-                        // Release any locks held by this user
-                        if (workflowId) {
-                            const lockState = this.lockManager.getWorkflowLock(workflowId);
-                            if (lockState?.isLocked && lockState.userId === userId) {
-                                this.lockManager.releaseLock(workflowId, userId);
-                                
-                                // Notify other users
-                                this.io.to(`workflow:${workflowId}`).emit('lock_released', {
-                                    workflowId,
-                                    userId,
-                                    userName: 'Disconnected User',
-                                    timestamp: new Date(),
-                                    reason: 'User disconnected'
-                                });
-                            }
-                        }
+                    // Skip sessions already removed (e.g. by the inactivity cleanup, which announced them)
+                    if (!userId || !this.userManager.getSession(userId, socket.sessionId)) {
+                        return;
                     }
+
+                    // Hold the session and its locks so a brief network drop does not lose them
+                    if (this.reconnectGrace > 0) {
+                        this.userManager.suspendSession(userId, socket.sessionId, this.reconnectGrace);
+                        this.scheduleSessionExpiry(userId, socket.sessionId);
+                        log.info('User disconnected, awaiting reconnect', { reason, graceMs: this.reconnectGrace });
+                        return;
+                    }
+
+                    log.info('User disconnected', { reason });
+                    await this.endSession(userId, socket.sessionId);
                 } catch (error) {
-                    console.error('Error in disconnect handler:', error);
+                    log.error('Error in disconnect handler:', error);
                 }
             });
         });
     }
 
-    startCleanupTimer() {
-        // Clean up expired locks and inactive users every 30 seconds
-        setInterval(() => {
-            try {
-                const expiredLocks = this.lockManager.cleanupExpiredLocks();
-                const inactiveUsers = this.userManager.cleanupInactiveUsers();
-                
-                // Notify about expired locks
-                expiredLocks.forEach(({ workflowId, userId }) => {
-                    this.io.to(`workflow:${workflowId}`).emit('lock_released', {
-                        workflowId,
-                        userId,
-                        userName: 'System',
-                        timestamp: new Date(),
-                        reason: 'Lock expired due to inactivity'
-                    });
-                });
+    /**
+     * End a session once its reconnect grace period has passed
+     * @param {string} userId - The user ID
+     * @param {string} sessionId - The session ID
+     */
+    scheduleSessionExpiry(userId, sessionId) {
+        clearTimeout(this.reconnectTimers.get(sessionId));
+        this.reconnectTimers.set(sessionId, setTimeout(() => {
+            this.reconnectTimers.delete(sessionId);
+            this.expireSession(userId, sessionId).catch(error => logger.error('Error expiring session:', error));
+        }, this.reconnectGrace));
+    }
+
+    /**
+     * End a reconnecting session whose grace period has passed (no-op if it was resumed)
+     * @param {string} userId - The user ID
+     * @param {string} sessionId - The session ID
+     * @returns {Promise<boolean>} True if the session was ended
+     */
+    async expireSession(userId, sessionId) {
+        const session = this.userManager.getSession(userId, sessionId);
+        if (!session || session.status !== 'reconnecting' || session.reconnectDeadline > new Date()) {
+            return false;
+        }
+
+        logger.info('Reconnect grace period expired', { userId, sessionId });
+        await this.endSession(userId, sessionId);
+        return true;
+    }
+
+    /**
+     * End a user session: release the locks (workflow and node) and queue entries it took, in any
+     * workflow, or all of the user's with their last session, then remove the session and
+     * announce the departure from each workflow no other session of the user follows
+     * @param {string} userId - The user ID
+     * @param {string} sessionId - The session ID
+     */
+    async endSession(userId, sessionId) {
+        const user = this.userManager.getUser(userId);
+        if (!user) {
+            return;
+        }
 
-                if (expiredLocks.length > 0 || inactiveUsers.length > 0) {
-                    console.log(`[${new Date().toISOString()}] Cleanup: ${expiredLocks.length} expired locks, ${inactiveUsers.length} inactive users`);
+        const workflowIds = user.workflowIds;
+        const lastSession = user.sessions.every(session => session.sessionId === sessionId);
+
+        // Locks can be taken without joining the workflow, so look wherever the session holds or waits for one
+        const releasedSessionId = lastSession ? null : sessionId;
+        await releaseUserLockState(this.io, this.userManager, this.lockManager, this.requestManager,
+            userId, 'User disconnected', releasedSessionId);
+
+        // The user stays in the workflows their other sessions follow
+        const sessionWorkflowIds = this.userManager.getSession(userId, sessionId)?.workflowIds || [];
+        const leftWorkflowIds = lastSession ? workflowIds : sessionWorkflowIds.filter((workflowId) => {
+            const { left, remainingSessions } = this.userManager.leaveWorkflow(userId, workflowId, sessionId);
+            return left && remainingSessions === 0;
+        });
+
+        // Remove the session (and the user with their last one)
+        this.userManager.removeSession(userId, sessionId);
+
+        leftWorkflowIds.forEach((workflowId) => {
+            this.io.to(`workflow:${workflowId}`).emit('user-left',
+                createPresenceEvent(this.userManager, workflowId, user, 'left', { reason: 'disconnected' }));
+        });
+    }
+
+    /**
+     * Send a workflow's lock state and holders, node locks, lock queue, version, connected users and their selections to a socket
+     * @param {Object} socket - The Socket.IO socket
+     * @param {string} workflowId - The workflow ID
+     */
+    sendWorkflowState(socket, workflowId) {
+        socket.emit('workflow_state', {
+            workflowId,
+            lockState: this.lockManager.getWorkflowLock(workflowId),
+            holders: this.lockManager.getLockHolders(workflowId),
+            nodeLocks: this.lockManager.getNodeLocks(workflowId),
+            lockQueue: this.lockManager.getLockQueue(workflowId),
+            version: this.versionManager.getVersion(workflowId),
+            connectedUsers: this.userManager.getWorkflowUsers(workflowId),
+            selections: this.userManager.getWorkflowSelections(workflowId)
+        });
+    }
+
+    /**
+     * Register a socket event handler that only runs with a valid payload.
+     * Invalid payloads are answered with a `validation_error` on the `error` event.
+     * @param {Object} socket - The Socket.IO socket
+     * @param {string} event - Event name (must have a schema in src/schemas.js)
+     * @param {Function} handler - Handler receiving the validated payload and an event logger
+     * @param {Object} options - { rateLimited: consume a token from the user's lock and edit-request bucket,
+     *   rateLimiter: consume a token from this limiter's bucket instead }
+     */
+    onValidated(socket, event, handler, options = {}) {
+        const rateLimiter = options.rateLimiter || (options.rateLimited ? this.socketRateLimiter : null);
+
+        socket.on(event, (data) => {
+            const log = socket.log.child({ event });
+
+            if (rateLimiter && socket.userId) {
+                const limit = rateLimiter.consume(socket.userId);
+                if (!limit.allowed) {
+                    log.warn('Socket event rate limited', { retryAfterMs: limit.retryAfterMs });
+                    socket.emit('error', {
+                        success: false,
+                        error: 'rate_limited',
+                        event,
+                        message: 'Too many requests, please try again later',
+                        retryAfter: Math.ceil(limit.retryAfterMs / 1000),
+                        retryAt: new Date(Date.now() + limit.retryAfterMs)
+                    });
+                    return;
                 }
+            }
+
+            const { value, error } = validateSocketPayload(event, data);
+            if (error) {
+                log.warn('Invalid socket payload', { details: error.details });
+                socket.emit('error', error);
+                return;
+            }
+
+            handler(value, log);
+        });
+    }
+
+    /**
+     * Initialize the store and restore active locks, pending requests and workflow versions
+     * @returns {Promise} Resolves once state has been rehydrated
+     */
+    async initializeState() {
+        await this.store.init();
+
+        const [locks, users, requests, workflows] = await Promise.all([
+            this.store.loadAll('locks'),
+            this.store.loadAll('users'),
+            this.store.loadAll('requests'),
+            this.store.loadAll('workflows')
+        ]);
+
+        // Queued users only survive a restart when their sessions do
+        const lockResult = this.lockManager.rehydrate(locks, { restoreQueues: Boolean(this.store.shared) });
+        this.userManager.rehydrate(users, { restoreSessions: Boolean(this.store.shared) });
+        const requestResult = this.requestManager.rehydrate(requests);
+        const versionResult = this.versionManager.rehydrate(workflows);
+
+        logger.info('State restored', {
+            restoredLocks: lockResult.restored,
+            restoredRequests: requestResult.restored,
+            discardedLocks: lockResult.discarded,
+            discardedRequests: requestResult.discarded,
+            restoredWorkflowVersions: versionResult.restored
+        });
+    }
+
+    /**
+     * Warn lock holders' sessions connected to this instance shortly before their locks expire
+     */
+    warnExpiringLocks() {
+        const now = Date.now();
+        for (const [key, expiresAt] of this.expiryWarnings.entries()) {
+            if (expiresAt <= now) {
+                this.expiryWarnings.delete(key);
+            }
+        }
+
+        for (const lock of this.lockManager.getExpiringLocks(this.lockExpiryWarning)) {
+            const key = lock.nodeId
+                ? `${lock.workflowId}:${lock.userId}:node:${lock.nodeId}`
+                : `${lock.workflowId}:${lock.userId}:${lock.mode}`;
+            const expiresAt = lock.expiresAt.getTime();
+            if (this.expiryWarnings.get(key) === expiresAt) {
+                continue;
+            }
+
+            // Each instance warns only the sessions connected to it, so a cluster sends one event per session
+            this.expiryWarnings.set(key, expiresAt);
+            this.io.local.to(`user:${lock.userId}`).emit('lock_expiring', {
+                workflowId: lock.workflowId,
+                ...(lock.nodeId && { nodeId: lock.nodeId }),
+                mode: lock.mode,
+                ttl: lock.ttl,
+                expiresAt: lock.expiresAt,
+                expiresInMs: expiresAt - now,
+                timestamp: new Date()
+            });
+        }
+    }
+
+    startExpiryWarningTimer() {
+        // Check for locks about to expire every 5 seconds
+        this.expiryWarningTimer = setInterval(() => {
+            try {
+                this.warnExpiringLocks();
             } catch (error) {
-                console.error('Error in cleanup timer:', error);
+                logger.error('Error in expiry warning timer:', error);
             }
+        }, 5000);
+    }
+
+    /**
+     * Expire locks, inactive users, reconnecting sessions and edit requests, and announce them
+     * @returns {Promise} Resolves once the cleanup has run
+     */
+    async runCleanup() {
+        // Release what inactive users hold or wait for, then remove them and update the rosters
+        const inactiveUsers = await removeInactiveUsers(this.io, this.userManager, this.lockManager, this.requestManager);
+        const expiredRequests = this.requestManager.cleanupExpiredRequests();
+        this.socketRateLimiter.cleanup();
+        this.updateRateLimiter.cleanup();
+
+        // End reconnecting sessions whose timer ran on an instance that has gone away
+        this.userManager.getExpiredSessions().forEach(({ userId, sessionId }) =>
+            this.expireSession(userId, sessionId).catch(error => logger.error('Error expiring session:', error)));
+
+        // Tell both sides about requests that ran out
+        announceResolvedRequests(this.io, this.userManager, expiredRequests);
+
+        // Release expired locks and give freed locks to the users waiting for them
+        const { expiredLocks, expiredNodeLocks, expiredQueueEntries, handedOff } = await expireLocks(this.io,
+            this.userManager, this.lockManager, this.requestManager);
+
+        if (expiredLocks.length > 0 || expiredNodeLocks.length > 0 || expiredQueueEntries.length > 0
+            || handedOff.length > 0 || inactiveUsers.length > 0 || expiredRequests.length > 0) {
+            logger.info('Cleanup completed', {
+                expiredLocks: expiredLocks.length,
+                expiredNodeLocks: expiredNodeLocks.length,
+                expiredQueueEntries: expiredQueueEntries.length,
+                handedOffLocks: handedOff.length,
+                inactiveUsers: inactiveUsers.length,
+                expiredRequests: expiredRequests.length
+            });
+        }
+    }
+
+    startCleanupTimer() {
+        // Clean up expired locks, inactive users and expired requests every 30 seconds
+        this.cleanupTimer = setInterval(() => {
+            this.runCleanup().catch(error => logger.error('Error in cleanup timer:', error));
         }, 30000); // 30 seconds
     }
 
-		start() {
-		  const PORT = Number(process.env.PORT) || 3001;
-		  const HOST = process.env.HOST || '0.0.0.0';
+		async start(options = {}) {
+		  const PORT = options.port ?? (Number(process.env.PORT) || 3001);
+		  const HOST = options.host || process.env.HOST || '0.0.0.0';
+
+		  // Restore persisted locks and requests before accepting connections
+		  await this.initializeState();
+
+		  // Prometheus metrics are served separately so they can stay off the public port
+		  if (process.env.ENABLE_METRICS === 'true') {
+			const metricsPort = options.metricsPort ?? (Number(process.env.METRICS_PORT) || 9090);
+			await this.metrics.listen(metricsPort, HOST);
+			logger.info('Metrics server started', { metricsUrl: `http://${HOST}:${metricsPort}/metrics` });
+		  }
 
 		  this.server.listen(PORT, HOST, () => {
+			this.health.ready = true;
 			const base = process.env.PUBLIC_URL || `http://localhost:${PORT}`;
-			console.log(`\n🚀 N8N Collaboration Backend Server started`);
-			console.log(`📡 Server listening on ${HOST}:${PORT}`);
-			console.log(`🔗 WebSocket endpoint: ws://localhost:${PORT}`);
-			console.log(`🌐 API base URL: ${base}/api`);
-			console.log(`💚 Health check: ${base}/health`);
-			console.log(`\nReady for Chrome extension connections!\n`);
+			logger.info('N8N Collaboration Backend Server started', {
+			  host: HOST,
+			  port: PORT,
+			  websocketUrl: `ws://localhost:${PORT}`,
+			  apiBaseUrl: `${base}/api`,
+			  healthCheckUrl: `${base}/health`,
+			  readinessUrl: `${base}/health/ready`
+			});
 		  });
 
 		  // Graceful shutdown
-		  process.on('SIGINT', () => {
-			console.log('\nShutting down server...');
-			this.server.close(() => {
-			  console.log('Server stopped.');
-			  process.exit(0);
-			});
-		  });
+		  const shutdown = async () => {
+			logger.info('Shutting down server...');
+			await this.stop();
+			logger.info('Server stopped.');
+			process.exit(0);
+		  };
+		  process.once('SIGINT', shutdown);
+		  process.once('SIGTERM', shutdown);
+		}
+
+		/**
+		 * Stop accepting connections and release timers, metrics, the store and the broker
+		 * @returns {Promise} Resolves once everything is closed
+		 */
+		async stop() {
+		  this.health.stop();
+		  clearInterval(this.cleanupTimer);
+		  clearInterval(this.expiryWarningTimer);
+		  this.cursorManager.clearAll();
+		  await new Promise(resolve => this.io.close(() => resolve()));
+		  // Sockets closed above leave suspended sessions; other instances (or the next start) clean them up
+		  this.reconnectTimers.forEach(timer => clearTimeout(timer));
+		  this.reconnectTimers.clear();
+		  await this.metrics.close();
+		  await this.store.close();
+		  if (this.broker) {
+			await this.broker.close();
+		  }
 		}
 
 }
 
-// Start the server
-const server = new CollaborationServer();
-server.start();
+// Start the server when run directly (not when required, e.g. by tests)
+if (require.main === module) {
+    const server = new CollaborationServer();
+    server.start().catch((error) => {
+        logger.error('Failed to start server:', error);
+        process.exit(1);
+    });
+}
 
 module.exports = CollaborationServer;
@@ -0,0 +1,47 @@
+const { ClusterAdapterWithHeartbeat } = require('socket.io-adapter');
+const logger = require('../logger');
+
+/**
+ * Create a Socket.IO adapter class that relays broadcasts between nodes
+ * through a broker, so `io.to('workflow:<id>')` reaches sockets on every node.
+ * @param {Object} broker - Broker instance (memory or Redis)
+ * @param {Object} options - ClusterAdapterWithHeartbeat options
+ * @returns {Function} Adapter class for the Socket.IO `adapter` option
+ */
+function createBrokerAdapter(broker, options = {}) {
+    return class BrokerAdapter extends ClusterAdapterWithHeartbeat {
+        constructor(nsp) {
+            super(nsp, options);
+
+            this.channel = `socket.io#${nsp.name}`;
+            this.responseChannel = `socket.io-response#${nsp.name}#`;
+
+            this.subscriptions = Promise.all([
+                broker.subscribe(this.channel, message => this.onMessage(message)),
+                broker.subscribe(`${this.responseChannel}${this.uid}`, response => this.onResponse(response))
+            ]);
+        }
+
+        async doPublish(message) {
+            await this.subscriptions;
+            await broker.publish(this.channel, message);
+
+            // Offsets are only needed for connection state recovery, which is not enabled
+            return '';
+        }
+
+        async doPublishResponse(requesterUid, response) {
+            await broker.publish(`${this.responseChannel}${requesterUid}`, response);
+        }
+
+        close() {
+            super.close();
+
+            this.subscriptions
+                .then(unsubscribers => Promise.all(unsubscribers.map(unsubscribe => unsubscribe())))
+                .catch(error => logger.error('Error closing broker adapter:', error));
+        }
+    };
+}
+
+module.exports = createBrokerAdapter;
@@ -0,0 +1,35 @@
+const MemoryBroker = require('./memoryBroker');
+const RedisBroker = require('./redisBroker');
+const createBrokerAdapter = require('./brokerAdapter');
+
+/**
+ * Create the shared-state broker selected by CLUSTER_BROKER
+ * @param {Object} env - Environment variables
+ * @returns {Object|null} A broker instance, or null for single-instance mode
+ */
+function createBroker(env = process.env) {
+    const driver = (env.CLUSTER_BROKER || '').toLowerCase();
+
+    switch (driver) {
+        case '':
+        case 'none':
+            return null;
+
+        case 'memory':
+            // Only shares state within one process; intended for tests and local development
+            return new MemoryBroker();
+
+        case 'redis':
+            return new RedisBroker({ url: env.REDIS_URL });
+
+        default:
+            throw new Error(`Unknown CLUSTER_BROKER: ${driver}`);
+    }
+}
+
+module.exports = {
+    createBroker,
+    createBrokerAdapter,
+    MemoryBroker,
+    RedisBroker
+};
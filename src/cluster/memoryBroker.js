@@ -0,0 +1,102 @@
+/**
+ * In-process broker. Several CollaborationServer instances created in the
+ * same process can share one MemoryBroker to behave like a cluster, which
+ * makes multi-instance behaviour testable without Redis.
+ *
+ * All brokers share this interface:
+ *   get(key)                                -> Promise<{ version, value }>
+ *   compareAndSet(key, expectedVersion, value) -> Promise<{ ok, version, value }>
+ *   list(prefix)                            -> Promise<Array<{ key, version, value }>>
+ *   publish(channel, message)               -> Promise
+ *   subscribe(channel, handler)             -> Promise<Function> (unsubscribe)
+ *   ping()                                  -> Promise (rejects if unreachable)
+ *   close()                                 -> Promise
+ *
+ * Versions only ever increase; deleting a key (value null) keeps its version
+ * as a tombstone so a stale writer can never match a recreated key.
+ */
+class MemoryBroker {
+    constructor() {
+        // Map of key -> { version, value }
+        this.entries = new Map();
+
+        // Map of channel -> Set of handlers
+        this.channels = new Map();
+    }
+
+    /**
+     * Copy a value the way a network broker would (JSON round trip)
+     * @param {*} value - Value to copy
+     * @returns {*} Copied value
+     */
+    copy(value) {
+        return value === null || value === undefined ? null : JSON.parse(JSON.stringify(value));
+    }
+
+    async get(key) {
+        const entry = this.entries.get(key);
+        return entry
+            ? { version: entry.version, value: this.copy(entry.value) }
+            : { version: 0, value: null };
+    }
+
+    async compareAndSet(key, expectedVersion, value) {
+        const entry = this.entries.get(key) || { version: 0, value: null };
+
+        if (entry.version !== expectedVersion) {
+            return { ok: false, version: entry.version, value: this.copy(entry.value) };
+        }
+
+        const version = entry.version + 1;
+        this.entries.set(key, { version, value: this.copy(value) });
+
+        return { ok: true, version, value: this.copy(value) };
+    }
+
+    async list(prefix) {
+        const results = [];
+
+        for (const [key, entry] of this.entries.entries()) {
+            if (key.startsWith(prefix) && entry.value !== null) {
+                results.push({ key, version: entry.version, value: this.copy(entry.value) });
+            }
+        }
+
+        return results;
+    }
+
+    async publish(channel, message) {
+        const handlers = this.channels.get(channel);
+        if (!handlers) {
+            return;
+        }
+
+        const payload = JSON.stringify(message);
+
+        // Deliver asynchronously, like a real broker
+        setImmediate(() => {
+            handlers.forEach(handler => handler(JSON.parse(payload)));
+        });
+    }
+
+    async subscribe(channel, handler) {
+        if (!this.channels.has(channel)) {
+            this.channels.set(channel, new Set());
+        }
+        this.channels.get(channel).add(handler);
+
+        return async () => {
+            this.channels.get(channel)?.delete(handler);
+        };
+    }
+
+    async ping() {
+        return true;
+    }
+
+    async close() {
+        return true;
+    }
+}
+
+module.exports = MemoryBroker;
@@ -0,0 +1,145 @@
+const logger = require('../logger');
+
+// Atomically replace a versioned value if its version matches.
+// Keys are hashes { v: version, d: JSON data }; deletes keep `v` as a tombstone.
+const COMPARE_AND_SET_SCRIPT = `
+local current = tonumber(redis.call('HGET', KEYS[1], 'v')) or 0
+if current ~= tonumber(ARGV[1]) then
+    return { 0, current, redis.call('HGET', KEYS[1], 'd') or '' }
+end
+local version = current + 1
+if ARGV[2] == '' then
+    redis.call('HSET', KEYS[1], 'v', version)
+    redis.call('HDEL', KEYS[1], 'd')
+    redis.call('PEXPIRE', KEYS[1], ARGV[3])
+else
+    redis.call('HSET', KEYS[1], 'v', version, 'd', ARGV[2])
+    redis.call('PERSIST', KEYS[1])
+end
+return { 1, version, ARGV[2] }
+`;
+
+/**
+ * Redis broker for multi-instance deployments (see memoryBroker.js for the interface)
+ */
+class RedisBroker {
+    /**
+     * @param {Object} options - Broker options
+     * @param {string} options.url - Redis connection URL
+     * @param {number} options.tombstoneTtl - How long deleted keys keep their version (ms)
+     */
+    constructor(options = {}) {
+        // Loaded lazily so the dependency is only needed when Redis is configured
+        const Redis = require('ioredis');
+
+        this.client = new Redis(options.url || 'redis://localhost:6379');
+        this.subscriber = this.client.duplicate();
+        this.tombstoneTtl = options.tombstoneTtl || 24 * 60 * 60 * 1000;
+
+        // Map of channel -> Set of handlers
+        this.channels = new Map();
+
+        this.client.defineCommand('compareAndSet', {
+            numberOfKeys: 1,
+            lua: COMPARE_AND_SET_SCRIPT
+        });
+
+        this.subscriber.on('message', (channel, payload) => {
+            const handlers = this.channels.get(channel);
+            if (!handlers) {
+                return;
+            }
+
+            try {
+                const message = JSON.parse(payload);
+                handlers.forEach(handler => handler(message));
+            } catch (error) {
+                logger.error(`Error handling broker message on ${channel}:`, error);
+            }
+        });
+    }
+
+    /**
+     * Parse stored JSON data
+     * @param {string|null} data - Stored data
+     * @returns {*} Parsed value or null
+     */
+    parse(data) {
+        return data ? JSON.parse(data) : null;
+    }
+
+    async get(key) {
+        const [version, data] = await this.client.hmget(key, 'v', 'd');
+        return { version: Number(version) || 0, value: this.parse(data) };
+    }
+
+    async compareAndSet(key, expectedVersion, value) {
+        const data = value === null || value === undefined ? '' : JSON.stringify(value);
+        const [ok, version, current] = await this.client.compareAndSet(
+            key,
+            expectedVersion,
+            data,
+            this.tombstoneTtl
+        );
+
+        return { ok: ok === 1, version: Number(version), value: this.parse(current) };
+    }
+
+    async list(prefix) {
+        const keys = [];
+        let cursor = '0';
+
+        do {
+            const [nextCursor, batch] = await this.client.scan(cursor, 'MATCH', `${prefix}*`, 'COUNT', 100);
+            cursor = nextCursor;
+            keys.push(...batch);
+        } while (cursor !== '0');
+
+        const results = [];
+        for (const key of keys) {
+            const { version, value } = await this.get(key);
+            if (value !== null) {
+                results.push({ key, version, value });
+            }
+        }
+
+        return results;
+    }
+
+    async publish(channel, message) {
+        await this.client.publish(channel, JSON.stringify(message));
+    }
+
+    async subscribe(channel, handler) {
+        if (!this.channels.has(channel)) {
+            this.channels.set(channel, new Set());
+            await this.subscriber.subscribe(channel);
+        }
+        this.channels.get(channel).add(handler);
+
+        return async () => {
+            const handlers = this.channels.get(channel);
+            if (!handlers) {
+                return;
+            }
+
+            handlers.delete(handler);
+            if (handlers.size === 0) {
+                this.channels.delete(channel);
+                await this.subscriber.unsubscribe(channel);
+            }
+        };
+    }
+
+    async ping() {
+        await this.client.ping();
+        return true;
+    }
+
+    async close() {
+        await Promise.all([this.subscriber.quit(), this.client.quit()]);
+        return true;
+    }
+}
+
+module.exports = RedisBroker;
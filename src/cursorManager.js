@@ -0,0 +1,123 @@
+// Cursor colours handed out per user (stable for a given userId)
+const CURSOR_COLORS = [
+    '#ff6d5a', '#2f80ed', '#27ae60', '#9b51e0', '#f2994a', '#eb5757',
+    '#00a8a8', '#d6338a', '#6f7dff', '#b58900', '#2d9cdb', '#7cb342'
+];
+
+class CursorManager {
+    /**
+     * @param {Object} options - Cursor options
+     * @param {number} options.throttleMs - Minimum interval between relayed positions per socket and workflow
+     */
+    constructor(options = {}) {
+        // Map of "socketId:workflowId" -> { timer, pending, relay }
+        this.cursors = new Map();
+
+        this.throttleMs = options.throttleMs ?? (Number(process.env.CURSOR_THROTTLE_MS) || 50);
+    }
+
+    /**
+     * Pick a stable colour for a user
+     * @param {string} userId - User ID
+     * @returns {string} Hex colour
+     */
+    colorFor(userId) {
+        let hash = 0;
+        for (const char of String(userId)) {
+            hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+        }
+        return CURSOR_COLORS[hash % CURSOR_COLORS.length];
+    }
+
+    /**
+     * Relay a cursor position, throttled per socket and workflow.
+     * The first position is relayed at once; positions arriving within the
+     * throttle window are coalesced and only the latest is relayed when it ends.
+     * @param {string} socketId - Socket ID
+     * @param {string} workflowId - Workflow ID
+     * @param {Object} cursor - Cursor payload to relay
+     * @param {Function} relay - Called with the payload when it is sent
+     * @returns {boolean} True if relayed immediately, false if coalesced
+     */
+    update(socketId, workflowId, cursor, relay) {
+        const key = `${socketId}:${workflowId}`;
+        const entry = this.cursors.get(key);
+
+        if (entry) {
+            entry.pending = cursor;
+            entry.relay = relay;
+            return false;
+        }
+
+        relay(cursor);
+        this.startWindow(key, { pending: null, relay });
+        return true;
+    }
+
+    /**
+     * Start a throttle window; when it ends, relay the latest coalesced position (if any)
+     * @param {string} key - Cursor key
+     * @param {Object} entry - Cursor entry
+     */
+    startWindow(key, entry) {
+        entry.timer = setTimeout(() => {
+            if (!entry.pending) {
+                this.cursors.delete(key);
+                return;
+            }
+
+            const cursor = entry.pending;
+            entry.pending = null;
+            entry.relay(cursor);
+            this.startWindow(key, entry);
+        }, this.throttleMs);
+
+        this.cursors.set(key, entry);
+    }
+
+    /**
+     * Drop pending positions of a socket so nothing more is relayed for it
+     * @param {string} socketId - Socket ID
+     * @param {string} workflowId - Only this workflow (all workflows if omitted)
+     * @returns {number} Number of cursors cleared
+     */
+    clear(socketId, workflowId = null) {
+        let cleared = 0;
+
+        for (const [key, entry] of this.cursors.entries()) {
+            const matches = workflowId
+                ? key === `${socketId}:${workflowId}`
+                : key.startsWith(`${socketId}:`);
+
+            if (matches) {
+                clearTimeout(entry.timer);
+                this.cursors.delete(key);
+                cleared++;
+            }
+        }
+
+        return cleared;
+    }
+
+    /**
+     * Drop every pending position (used on shutdown)
+     */
+    clearAll() {
+        this.cursors.forEach(entry => clearTimeout(entry.timer));
+        this.cursors.clear();
+    }
+
+    /**
+     * Get cursor statistics
+     * @returns {Object} Statistics object
+     */
+    getStats() {
+        return {
+            activeCursors: this.cursors.size,
+            throttleMs: this.throttleMs,
+            timestamp: new Date()
+        };
+    }
+}
+
+module.exports = CursorManager;
@@ -0,0 +1,263 @@
+const http = require('http');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const packageJson = require('../package.json');
+
+/**
+ * Liveness, readiness and status information for the health endpoints.
+ * Readiness covers startup, event-loop lag, the state store and the
+ * Socket.IO engine; /ws-health performs a real Engine.IO handshake
+ * against this server over the loopback interface.
+ */
+class HealthMonitor {
+    /**
+     * @param {Object} options - Monitor options
+     * @param {Object} options.server - HTTP server Socket.IO is attached to
+     * @param {Object} options.io - Socket.IO server
+     * @param {Object} options.store - State store (checked with `ping()`)
+     * @param {Object} options.lockManager - Lock manager
+     * @param {Object} options.userManager - User manager
+     * @param {Object} options.requestManager - Request manager
+     * @param {Object} options.config - Non-sensitive configuration summary for /status
+     * @param {number} options.checkTimeout - Time allowed for each check (ms)
+     * @param {number} options.maxEventLoopLag - Lag above which the instance is not ready (ms)
+     * @param {number} options.sampleInterval - Event-loop lag sampling interval (ms)
+     */
+    constructor(options = {}) {
+        this.server = options.server;
+        this.io = options.io;
+        this.store = options.store;
+        this.lockManager = options.lockManager;
+        this.userManager = options.userManager;
+        this.requestManager = options.requestManager;
+        this.config = options.config || {};
+
+        this.checkTimeout = options.checkTimeout || 2000;
+        this.maxEventLoopLag = options.maxEventLoopLag || 500;
+        this.sampleInterval = options.sampleInterval || 500;
+
+        // Set by the server once state is restored and it is listening
+        this.ready = false;
+        this.startedAt = new Date();
+
+        this.eventLoopLag = 0;
+        this.lagTimer = null;
+        this.commit = undefined;
+    }
+
+    /**
+     * Start sampling event-loop lag
+     */
+    start() {
+        let last = process.hrtime.bigint();
+
+        this.lagTimer = setInterval(() => {
+            const now = process.hrtime.bigint();
+            this.eventLoopLag = Math.max(0, Number(now - last) / 1e6 - this.sampleInterval);
+            last = now;
+        }, this.sampleInterval);
+
+        // Sampling must never keep the process alive
+        this.lagTimer.unref();
+    }
+
+    /**
+     * Stop sampling and report not ready
+     */
+    stop() {
+        this.ready = false;
+        clearInterval(this.lagTimer);
+        this.lagTimer = null;
+    }
+
+    /**
+     * Reject if a check takes longer than the check timeout
+     * @param {Promise} promise - Check in progress
+     * @returns {Promise} The check's result
+     */
+    withTimeout(promise) {
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error(`Timed out after ${this.checkTimeout}ms`)), this.checkTimeout);
+        });
+
+        return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+    }
+
+    /**
+     * Check the event loop is keeping up
+     * @returns {Object} Check result
+     */
+    checkEventLoop() {
+        const lagMs = Math.round(this.eventLoopLag);
+
+        return {
+            status: lagMs <= this.maxEventLoopLag ? 'ok' : 'fail',
+            lagMs,
+            thresholdMs: this.maxEventLoopLag
+        };
+    }
+
+    /**
+     * Check the state store (database, file or broker) is reachable
+     * @returns {Promise<Object>} Check result
+     */
+    async checkStorage() {
+        const driver = this.store.constructor.name;
+
+        try {
+            await this.withTimeout(Promise.resolve(this.store.ping()));
+            return { status: 'ok', driver };
+        } catch (error) {
+            return { status: 'fail', driver, error: error.message };
+        }
+    }
+
+    /**
+     * Check the HTTP server is listening and the Socket.IO engine is attached
+     * @returns {Object} Check result
+     */
+    checkSocketIo() {
+        const listening = Boolean(this.server.listening);
+        const engine = Boolean(this.io.engine);
+
+        return {
+            status: listening && engine ? 'ok' : 'fail',
+            listening,
+            clients: engine ? this.io.engine.clientsCount : 0
+        };
+    }
+
+    /**
+     * Run every readiness check
+     * @returns {Promise<Object>} { ready, checks }
+     */
+    async checkReadiness() {
+        const checks = {
+            startup: { status: this.ready ? 'ok' : 'fail' },
+            eventLoop: this.checkEventLoop(),
+            storage: await this.checkStorage(),
+            socketIo: this.checkSocketIo()
+        };
+
+        return {
+            ready: Object.values(checks).every(check => check.status === 'ok'),
+            checks
+        };
+    }
+
+    /**
+     * Resolve the deployed git commit (GIT_COMMIT, Coolify's SOURCE_COMMIT, or the local checkout)
+     * @returns {string|null} Commit hash, or null if unknown
+     */
+    getCommit() {
+        if (this.commit === undefined) {
+            this.commit = process.env.GIT_COMMIT || process.env.SOURCE_COMMIT || null;
+
+            if (!this.commit) {
+                try {
+                    this.commit = execFileSync('git', ['rev-parse', 'HEAD'], {
+                        cwd: path.join(__dirname, '..'),
+                        stdio: ['ignore', 'pipe', 'ignore'],
+                        timeout: 2000
+                    }).toString().trim() || null;
+                } catch (error) {
+                    // Not a git checkout (e.g. a Docker image)
+                    this.commit = null;
+                }
+            }
+        }
+
+        return this.commit;
+    }
+
+    /**
+     * Build the /status payload
+     * @returns {Object} Version, configuration and connection counts
+     */
+    getStatus() {
+        return {
+            name: packageJson.name,
+            version: packageJson.version,
+            commit: this.getCommit(),
+            node: process.version,
+            environment: process.env.NODE_ENV || 'development',
+            ready: this.ready,
+            startedAt: this.startedAt,
+            uptime: process.uptime(),
+            config: this.config,
+            clients: {
+                sockets: this.io.of('/').sockets.size,
+                engineClients: this.io.engine ? this.io.engine.clientsCount : 0,
+                activeUsers: this.userManager.getStats().activeUsers,
+                activeLocks: this.lockManager.getStats().activeLocks,
+                pendingRequests: this.requestManager.getStats().pending
+            },
+            timestamp: new Date()
+        };
+    }
+
+    /**
+     * Send an HTTP request to this server over the loopback interface
+     * @param {Object} options - http.request options (host and port are filled in)
+     * @param {string} body - Optional request body
+     * @returns {Promise<Object>} { statusCode, body }
+     */
+    loopbackRequest(options, body = null) {
+        const address = this.server.address();
+        if (!address || typeof address === 'string') {
+            return Promise.reject(new Error('Server is not listening on a TCP port'));
+        }
+
+        const unspecified = address.address === '0.0.0.0' || address.address === '::';
+        const host = unspecified ? '127.0.0.1' : address.address;
+
+        return new Promise((resolve, reject) => {
+            const req = http.request({ ...options, host, port: address.port, timeout: this.checkTimeout }, (res) => {
+                let data = '';
+                res.setEncoding('utf8');
+                res.on('data', (chunk) => { data += chunk; });
+                res.on('end', () => resolve({ statusCode: res.statusCode, body: data }));
+            });
+
+            req.on('timeout', () => req.destroy(new Error(`Timed out after ${this.checkTimeout}ms`)));
+            req.on('error', reject);
+            req.end(body);
+        });
+    }
+
+    /**
+     * Open an Engine.IO session against this server, then close it again
+     * @returns {Promise<Object>} Handshake details
+     */
+    async loopbackHandshake() {
+        const startedAt = process.hrtime.bigint();
+        const basePath = `${this.io.path()}/?EIO=4&transport=polling`;
+
+        const handshake = await this.withTimeout(this.loopbackRequest({ method: 'GET', path: basePath }));
+
+        // A successful handshake is an "open" packet: 0{"sid":...}
+        if (handshake.statusCode !== 200 || !handshake.body.startsWith('0')) {
+            throw new Error(`Unexpected handshake response (HTTP ${handshake.statusCode})`);
+        }
+
+        const { sid, upgrades, pingInterval, pingTimeout } = JSON.parse(handshake.body.slice(1));
+
+        // Send a "close" packet so the probe does not linger until the ping timeout
+        await this.withTimeout(this.loopbackRequest({
+            method: 'POST',
+            path: `${basePath}&sid=${encodeURIComponent(sid)}`,
+            headers: { 'Content-Type': 'text/plain;charset=UTF-8' }
+        }, '1'));
+
+        return {
+            transport: 'polling',
+            upgrades,
+            pingInterval,
+            pingTimeout,
+            latencyMs: Number(process.hrtime.bigint() - startedAt) / 1e6
+        };
+    }
+}
+
+module.exports = HealthMonitor;
@@ -0,0 +1,288 @@
+const { settleEditRequests } = require('./requestEvents');
+
+/**
+ * Build a `node_lock_acquired` / `node_lock_released` payload for a workflow room
+ * @param {Object} userManager - User manager
+ * @param {Object} nodeLock - Node lock ({ workflowId, nodeId, userId, ... })
+ * @param {Object} extra - Additional fields (e.g. reason, expiresAt)
+ * @returns {Object} Event payload
+ */
+function createNodeLockEvent(userManager, nodeLock, extra = {}) {
+    return {
+        workflowId: nodeLock.workflowId,
+        nodeId: nodeLock.nodeId,
+        userId: nodeLock.userId,
+        userName: userManager.getUser(nodeLock.userId)?.userName,
+        ...extra,
+        timestamp: new Date()
+    };
+}
+
+/**
+ * Announce released node locks to their workflow rooms
+ * @param {Object} io - Socket.IO server
+ * @param {Object} userManager - User manager
+ * @param {Array} nodeLocks - Released node locks
+ * @param {string} reason - Reason included in each `node_lock_released` event
+ */
+function announceReleasedNodeLocks(io, userManager, nodeLocks, reason) {
+    for (const nodeLock of nodeLocks) {
+        io.to(`workflow:${nodeLock.workflowId}`).emit('node_lock_released',
+            createNodeLockEvent(userManager, nodeLock, { reason }));
+    }
+}
+
+/**
+ * Announce released workflow locks (e.g. shared locks removed by a forced exclusive lock)
+ * @param {Object} io - Socket.IO server
+ * @param {Object} userManager - User manager
+ * @param {Array} locks - Released locks ({ workflowId, userId, mode })
+ * @param {string} reason - Reason included in each `lock_released` event
+ */
+function announceReleasedLocks(io, userManager, locks, reason) {
+    for (const lock of locks) {
+        io.to(`workflow:${lock.workflowId}`).emit('lock_released', {
+            workflowId: lock.workflowId,
+            userId: lock.userId,
+            userName: userManager.getUser(lock.userId)?.userName,
+            mode: lock.mode,
+            timestamp: new Date(),
+            reason
+        });
+    }
+}
+
+/**
+ * Announce a renewed lock to its workflow room: `node_lock_renewed` for a node lock,
+ * `lock_renewed` for a workflow lock
+ * @param {Object} io - Socket.IO server
+ * @param {Object} userManager - User manager
+ * @param {Object} lockInfo - The renewed lock, as returned by renewLock()
+ */
+function announceRenewedLock(io, userManager, lockInfo) {
+    const room = `workflow:${lockInfo.workflowId}`;
+
+    if (lockInfo.nodeId) {
+        io.to(room).emit('node_lock_renewed',
+            createNodeLockEvent(userManager, lockInfo, { expiresAt: lockInfo.expiresAt }));
+        return;
+    }
+
+    io.to(room).emit('lock_renewed', {
+        workflowId: lockInfo.workflowId,
+        userId: lockInfo.userId,
+        userName: userManager.getUser(lockInfo.userId)?.userName,
+        mode: lockInfo.mode,
+        expiresAt: lockInfo.expiresAt,
+        timestamp: new Date()
+    });
+}
+
+/**
+ * Announce a change to a workflow's lock queue. A lock handed off to the next
+ * waiting user is announced with `lock_acquired`, sent to the workflow room and
+ * to every session of the new holder (even those that have not joined the room).
+ * @param {Object} io - Socket.IO server
+ * @param {Object} userManager - User manager
+ * @param {Object} lockManager - Lock manager (the queue is read after the change)
+ * @param {string} workflowId - Workflow ID
+ * @param {Object|null} handedOffTo - Lock handed off by the change, if any
+ */
+function announceQueueChange(io, userManager, lockManager, workflowId, handedOffTo = null) {
+    const room = `workflow:${workflowId}`;
+
+    if (handedOffTo) {
+        const holder = userManager.getUser(handedOffTo.userId);
+
+        io.to(room).to(`user:${handedOffTo.userId}`).emit('lock_acquired', {
+            workflowId,
+            userId: handedOffTo.userId,
+            userName: holder?.userName,
+            mode: 'exclusive',
+            holders: lockManager.getLockHolders(workflowId),
+            lockInfo: handedOffTo,
+            handedOff: true,
+            timestamp: new Date()
+        });
+    }
+
+    io.to(room).emit('lock_queue_updated', {
+        workflowId,
+        queue: lockManager.getLockQueue(workflowId).map(entry => ({
+            ...entry,
+            userName: userManager.getUser(entry.userId)?.userName
+        })),
+        timestamp: new Date()
+    });
+}
+
+/**
+ * Announce a lock handed from one user to another (an approved edit request) with
+ * `lock_transferred`, sent to the workflow room and to every session of both users
+ * @param {Object} io - Socket.IO server
+ * @param {Object} userManager - User manager
+ * @param {Object} lockManager - Lock manager
+ * @param {Object} transfer - Successful transferLock() result
+ * @param {string} requestId - The approved edit request
+ */
+function announceLockTransfer(io, userManager, lockManager, transfer, requestId) {
+    const { previousLock, lockInfo } = transfer;
+    const { workflowId } = lockInfo;
+
+    io.to(`workflow:${workflowId}`).to(`user:${previousLock.userId}`).to(`user:${lockInfo.userId}`)
+        .emit('lock_transferred', {
+            workflowId,
+            requestId,
+            fromUserId: previousLock.userId,
+            fromUserName: userManager.getUser(previousLock.userId)?.userName,
+            toUserId: lockInfo.userId,
+            toUserName: userManager.getUser(lockInfo.userId)?.userName,
+            mode: 'exclusive',
+            holders: lockManager.getLockHolders(workflowId),
+            lockInfo,
+            timestamp: new Date()
+        });
+
+    announceReleasedNodeLocks(io, userManager, transfer.releasedNodeLocks, 'Lock transferred');
+
+    if (transfer.leftQueue) {
+        announceQueueChange(io, userManager, lockManager, workflowId);
+    }
+}
+
+/**
+ * Release a user's workflow lock, node locks and queue entry on one workflow, hand the
+ * lock to the next queued user and notify the room
+ * @param {Object} io - Socket.IO server
+ * @param {Object} userManager - User manager
+ * @param {Object} lockManager - Lock manager
+ * @param {Object} requestManager - Request manager (requests to the released holder are settled)
+ * @param {string} workflowId - The workflow ID
+ * @param {string} userId - The user whose locks are released
+ * @param {string} reason - Reason included in the `lock_released` / `node_lock_released` events
+ * @param {string|null} sessionId - Only release what this session took (everything if null)
+ * @returns {Promise<boolean>} True if anything was released
+ */
+async function releaseWorkflowLockState(io, userManager, lockManager, requestManager, workflowId, userId, reason,
+    sessionId = null) {
+    if (!lockManager.hasUserLockState(workflowId, userId, sessionId)) {
+        return false;
+    }
+
+    const result = await lockManager.atomically(workflowId,
+        () => lockManager.releaseUserFromWorkflow(workflowId, userId, sessionId));
+
+    // A LOCK_CONFLICT leaves the locks to expire
+    if (!result.success) {
+        return false;
+    }
+
+    if (result.releasedLock) {
+        announceReleasedLocks(io, userManager, [result.releasedLock], reason);
+    }
+
+    announceReleasedNodeLocks(io, userManager, result.releasedNodeLocks, reason);
+
+    if (result.leftQueue || result.handedOffTo) {
+        announceQueueChange(io, userManager, lockManager, workflowId, result.handedOffTo);
+    }
+
+    if (result.releasedLock) {
+        settleEditRequests(io, userManager, lockManager, requestManager, workflowId);
+    }
+
+    return true;
+}
+
+/**
+ * Release everything a user holds or waits for, in every workflow
+ * (see releaseWorkflowLockState)
+ * @param {Object} io - Socket.IO server
+ * @param {Object} userManager - User manager
+ * @param {Object} lockManager - Lock manager
+ * @param {Object} requestManager - Request manager
+ * @param {string} userId - The user whose locks are released
+ * @param {string} reason - Reason included in the release events
+ * @param {string|null} sessionId - Only release what this session took (everything if null)
+ * @returns {Promise<Array>} IDs of the workflows where something was released
+ */
+async function releaseUserLockState(io, userManager, lockManager, requestManager, userId, reason, sessionId = null) {
+    const releasedWorkflowIds = [];
+
+    for (const workflowId of lockManager.getUserLockWorkflows(userId, sessionId)) {
+        if (await releaseWorkflowLockState(io, userManager, lockManager, requestManager, workflowId, userId, reason,
+            sessionId)) {
+            releasedWorkflowIds.push(workflowId);
+        }
+    }
+
+    return releasedWorkflowIds;
+}
+
+/**
+ * Expire the locks and queue entries that ran out and hand freed locks to the users waiting for them, one
+ * workflow at a time through lockManager.atomically(). Only what this instance committed is
+ * announced, so on a cluster each expiry and hand-off is announced once.
+ * @param {Object} io - Socket.IO server
+ * @param {Object} userManager - User manager
+ * @param {Object} lockManager - Lock manager
+ * @param {Object} requestManager - Request manager (requests to expired holders are settled)
+ * @returns {Promise<Object>} { expiredLocks, expiredNodeLocks, expiredQueueEntries, handedOff }
+ */
+async function expireLocks(io, userManager, lockManager, requestManager) {
+    const expiredLocks = [];
+    const expiredNodeLocks = [];
+    const expiredQueueEntries = [];
+    const handedOff = [];
+
+    for (const workflowId of lockManager.getWorkflowsToExpire()) {
+        const result = await lockManager.atomically(workflowId, () => lockManager.expireWorkflowLocks(workflowId));
+
+        // A LOCK_CONFLICT leaves the workflow to the next run
+        if (!result.success) {
+            continue;
+        }
+
+        result.expiredLocks.forEach(({ userId, mode }) => {
+            io.to(`workflow:${workflowId}`).emit('lock_released', {
+                workflowId,
+                userId,
+                userName: 'System',
+                mode,
+                timestamp: new Date(),
+                reason: 'Lock expired due to inactivity'
+            });
+        });
+        announceReleasedNodeLocks(io, userManager, result.expiredNodeLocks, 'Lock expired due to inactivity');
+
+        if (result.handedOffTo || result.expiredQueueEntries.length > 0) {
+            announceQueueChange(io, userManager, lockManager, workflowId, result.handedOffTo);
+        }
+        if (result.handedOffTo) {
+            handedOff.push(result.handedOffTo);
+        }
+
+        // Requests made to a holder whose lock expired no longer apply
+        if (result.expiredLocks.length > 0) {
+            settleEditRequests(io, userManager, lockManager, requestManager, workflowId);
+        }
+
+        expiredLocks.push(...result.expiredLocks);
+        expiredNodeLocks.push(...result.expiredNodeLocks);
+        expiredQueueEntries.push(...result.expiredQueueEntries);
+    }
+
+    return { expiredLocks, expiredNodeLocks, expiredQueueEntries, handedOff };
+}
+
+module.exports = {
+    createNodeLockEvent,
+    announceReleasedNodeLocks,
+    announceReleasedLocks,
+    announceRenewedLock,
+    announceQueueChange,
+    announceLockTransfer,
+    releaseWorkflowLockState,
+    releaseUserLockState,
+    expireLocks
+};
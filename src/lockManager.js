@@ -1,30 +1,139 @@
 
+const { DEFAULT_FORCE_LOCK_ROLES, parseRoleList, normalizeRole } = require('./roles');
+const { MemoryStore, persist, reviveDate } = require('./storage');
+const logger = require('./logger');
+
+// Node id of the workflow-settings pseudo-resource, lockable like a node
+const SETTINGS_RESOURCE = '$settings';
+
 class LockManager {
-    constructor() {
-        // Map of workflowId -> lock information
+    constructor(options = {}) {
+        // Map of workflowId -> exclusive lock information
         this.locks = new Map();
+
+        // Map of workflowId -> Map of userId -> shared lock information
+        this.sharedLocks = new Map();
+
+        // Map of workflowId -> Map of nodeId -> node lock information.
+        // Stored in the same record as the workflow lock so both are changed atomically.
+        this.nodeLocks = new Map();
+
+        // Map of workflowId -> FIFO array of { userId, sessionId, enqueuedAt, expiresAt } waiting for the
+        // workflow lock. Also part of the workflow's lock record, so hand-offs are atomic.
+        this.queues = new Map();
+
+        // Map of workflowId -> last fencing token issued for the workflow. Kept in the workflow's
+        // lock record (even once every lock is gone) so tokens only ever increase.
+        this.fencingTokens = new Map();
+
+        // Backing store the lock map is written through to
+        this.store = options.store || new MemoryStore();
+
+        // Optional Prometheus metrics (see metrics.js)
+        this.metrics = options.metrics || null;
+
+        // Metrics recorded by the operation running in atomically(), only applied once it commits
+        this.deferredMetrics = null;
         
         // Lock timeout in milliseconds (5 minutes default)
-        this.lockTimeout = 5 * 60 * 1000;
+        this.lockTimeout = options.lockTimeout || 5 * 60 * 1000;
+
+        // How long a queue entry waits before it is dropped (enqueueing again or a heartbeat
+        // from the waiting socket renews it), so a waiter that went away cannot block the hand-off
+        this.queueEntryTtl = options.queueEntryTtl ?? (Number(process.env.LOCK_QUEUE_ENTRY_TTL_MS) || 5 * 60 * 1000);
+
+        // Bounds for a TTL requested when acquiring a workflow lock
+        this.minLockTtl = options.minLockTtl ?? (Number(process.env.LOCK_TTL_MIN_MS) || 30 * 1000);
+        this.maxLockTtl = options.maxLockTtl ?? (Number(process.env.LOCK_TTL_MAX_MS) || 60 * 60 * 1000);
+
+        // Roles permitted to force-acquire a lock held by another user
+        this.forceLockRoles = options.forceLockRoles
+            || parseRoleList(process.env.FORCE_LOCK_ROLES, DEFAULT_FORCE_LOCK_ROLES);
+    }
+
+    /**
+     * Check whether a role may force-acquire a lock held by another user
+     * @param {string} role - The user's role
+     * @returns {boolean} True if forcing is permitted
+     */
+    canForceLock(role) {
+        return this.forceLockRoles.includes(normalizeRole(role));
+    }
+
+    /**
+     * Record a lock metric. Inside atomically() it is held back until the operation
+     * commits, so an attempt that is retried after a conflict is not counted.
+     * @param {string} method - Metrics method (e.g. 'recordLockAcquired')
+     * @param {...*} args - Arguments for the method
+     */
+    recordMetric(method, ...args) {
+        if (!this.metrics) {
+            return;
+        }
+
+        if (this.deferredMetrics) {
+            this.deferredMetrics.push(() => this.metrics[method](...args));
+        } else {
+            this.metrics[method](...args);
+        }
+    }
+
+    /**
+     * Clamp a requested lock TTL to the configured bounds
+     * @param {number|null} ttl - Requested TTL in milliseconds (null for the default)
+     * @returns {number} TTL in milliseconds
+     */
+    resolveTtl(ttl) {
+        if (ttl === null || ttl === undefined) {
+            return this.lockTimeout;
+        }
+
+        return Math.min(this.maxLockTtl, Math.max(this.minLockTtl, ttl));
+    }
+
+    /**
+     * Issue the next fencing token of a workflow (callers persist the workflow record)
+     * @param {string} workflowId - The workflow ID
+     * @returns {number} Fencing token, higher than every token issued before for the workflow
+     */
+    issueFencingToken(workflowId) {
+        const token = (this.fencingTokens.get(workflowId) || 0) + 1;
+        this.fencingTokens.set(workflowId, token);
+        return token;
     }
 
     /**
-     * Request a lock on a workflow
+     * Request a lock on a workflow.
+     * Shared locks are compatible with each other; an exclusive lock is compatible
+     * with nothing held by other users. Requesting the other mode than the one held
+     * upgrades (shared -> exclusive) or downgrades (exclusive -> shared) the lock.
      * @param {string} workflowId - The workflow ID
      * @param {string} userId - The user requesting the lock
-     * @param {boolean} force - Whether to force acquire the lock
+     * @param {boolean} force - Whether to force acquire the lock (exclusive only)
+     * @param {string} role - The requesting user's role (checked when forcing)
+     * @param {Object} options - { mode: 'exclusive' (default) or 'shared', ttl: lock TTL in ms (clamped to the bounds),
+     *   sessionId: socket the lock belongs to (null for REST requests, which only end with the user's last session) }
      * @returns {Object} Result with success status and details
      */
-    requestLock(workflowId, userId, force = false) {
+    requestLock(workflowId, userId, force = false, role = null, options = {}) {
+        const { mode = 'exclusive', ttl = null, sessionId = null } = options;
+
+        if (mode === 'shared') {
+            return this.requestSharedLock(workflowId, userId, { ttl, sessionId });
+        }
+
         try {
             const currentLock = this.locks.get(workflowId);
             
             // Check if workflow is already locked
             if (currentLock && !this.isLockExpired(currentLock)) {
                 if (currentLock.userId === userId) {
-                    // User already owns the lock, just refresh the timeout
+                    // User already owns the lock, just refresh the timeout (keeping its TTL unless a new one is given)
+                    currentLock.ttl = ttl === null ? (currentLock.ttl || this.lockTimeout) : this.resolveTtl(ttl);
+                    currentLock.sessionId = sessionId;
                     currentLock.acquiredAt = new Date();
-                    currentLock.expiresAt = new Date(Date.now() + this.lockTimeout);
+                    currentLock.expiresAt = new Date(Date.now() + currentLock.ttl);
+                    this.persistLock(workflowId);
                     
                     return {
                         success: true,
@@ -32,6 +141,9 @@ class LockManager {
                         lockInfo: {
                             workflowId,
                             userId,
+                            mode: 'exclusive',
+                            ttl: currentLock.ttl,
+                            fencingToken: currentLock.fencingToken,
                             acquiredAt: currentLock.acquiredAt,
                             expiresAt: currentLock.expiresAt
                         }
@@ -49,30 +161,129 @@ class LockManager {
                             expiresAt: currentLock.expiresAt
                         }
                     };
+                } else if (!this.canForceLock(role)) {
+                    // Only privileged roles may take over another user's lock
+                    return {
+                        success: false,
+                        error: 'FORCE_NOT_PERMITTED',
+                        message: `Role '${normalizeRole(role)}' is not permitted to force-acquire locks`,
+                        lockInfo: {
+                            workflowId,
+                            userId: currentLock.userId,
+                            acquiredAt: currentLock.acquiredAt,
+                            expiresAt: currentLock.expiresAt
+                        }
+                    };
                 }
                 // If force is true, we'll proceed to acquire the lock
             }
 
+            // A free lock goes to the users waiting for it first, in order
+            const queue = this.getActiveQueue(workflowId);
+            if (!force && queue.length > 0 && queue[0].userId !== userId) {
+                return {
+                    success: false,
+                    error: 'QUEUE_NOT_EMPTY',
+                    message: 'Other users are waiting for this lock',
+                    queue: this.getLockQueue(workflowId)
+                };
+            }
+
+            // Shared locks held by other users block the exclusive lock unless it is forced
+            const blockingSharedLocks = this.getSharedLocks(workflowId).filter(sharedLock => sharedLock.userId !== userId);
+            if (blockingSharedLocks.length > 0) {
+                if (!force) {
+                    return {
+                        success: false,
+                        error: 'SHARED_LOCKED',
+                        message: 'Workflow is held in shared mode by other users',
+                        holders: this.getLockHolders(workflowId)
+                    };
+                } else if (!this.canForceLock(role)) {
+                    return {
+                        success: false,
+                        error: 'FORCE_NOT_PERMITTED',
+                        message: `Role '${normalizeRole(role)}' is not permitted to force-acquire locks`,
+                        holders: this.getLockHolders(workflowId)
+                    };
+                }
+            }
+
+            // Node locks held by other users block the whole-workflow lock unless it is forced
+            const blockingNodeLocks = this.getNodeLocks(workflowId).filter(nodeLock => nodeLock.userId !== userId);
+            if (blockingNodeLocks.length > 0) {
+                if (!force) {
+                    return {
+                        success: false,
+                        error: 'NODES_LOCKED',
+                        message: 'Nodes of this workflow are currently being edited by other users',
+                        nodeLocks: blockingNodeLocks
+                    };
+                } else if (!this.canForceLock(role)) {
+                    return {
+                        success: false,
+                        error: 'FORCE_NOT_PERMITTED',
+                        message: `Role '${normalizeRole(role)}' is not permitted to force-acquire locks`,
+                        nodeLocks: blockingNodeLocks
+                    };
+                }
+            }
+
+            const takenOver = Boolean(currentLock) && !this.isLockExpired(currentLock);
+            if (currentLock) {
+                this.recordMetric('recordLockEnded', currentLock, { expired: !takenOver });
+            }
+
             // Acquire the lock
             const now = new Date();
+            const lockTtl = this.resolveTtl(ttl);
             const lockInfo = {
                 workflowId,
                 userId,
+                mode: 'exclusive',
+                ttl: lockTtl,
+                sessionId,
+                fencingToken: this.issueFencingToken(workflowId),
                 acquiredAt: now,
-                expiresAt: new Date(Date.now() + this.lockTimeout),
+                expiresAt: new Date(Date.now() + lockTtl),
                 isLocked: true
             };
 
+            const upgraded = Boolean(this.getSharedLock(workflowId, userId));
             this.locks.set(workflowId, lockInfo);
+            blockingSharedLocks.forEach(sharedLock => this.removeSharedLock(workflowId, sharedLock.userId));
+            this.removeSharedLock(workflowId, userId);
+            blockingNodeLocks.forEach(nodeLock => this.removeNodeLock(workflowId, nodeLock.nodeId));
+            const leftQueue = this.removeFromQueue(workflowId, userId);
+            this.persistLock(workflowId);
+            this.recordMetric('recordLockAcquired', { forced: takenOver });
 
-            return {
+            const result = {
                 success: true,
-                message: force ? 'Lock forcibly acquired' : 'Lock acquired successfully',
+                message: force ? 'Lock forcibly acquired' : (upgraded ? 'Lock upgraded to exclusive' : 'Lock acquired successfully'),
                 lockInfo
             };
 
+            if (upgraded) {
+                result.upgraded = true;
+            }
+
+            if (blockingSharedLocks.length > 0) {
+                result.releasedSharedLocks = blockingSharedLocks;
+            }
+
+            if (blockingNodeLocks.length > 0) {
+                result.releasedNodeLocks = blockingNodeLocks;
+            }
+
+            if (leftQueue) {
+                result.leftQueue = true;
+            }
+
+            return result;
+
         } catch (error) {
-            console.error('Error in requestLock:', error);
+            logger.error('Error in requestLock:', error);
             return {
                 success: false,
                 error: 'INTERNAL_ERROR',
@@ -89,6 +300,25 @@ class LockManager {
      */
     releaseLock(workflowId, userId) {
         try {
+            if (this.removeSharedLock(workflowId, userId)) {
+                this.persistLock(workflowId);
+
+                const result = {
+                    success: true,
+                    message: 'Shared lock released successfully',
+                    workflowId,
+                    mode: 'shared'
+                };
+
+                // The next queued user may have been waiting on this shared lock
+                const handedOffTo = this.handOff(workflowId);
+                if (handedOffTo) {
+                    result.handedOffTo = handedOffTo;
+                }
+
+                return result;
+            }
+
             const currentLock = this.locks.get(workflowId);
             
             if (!currentLock) {
@@ -109,15 +339,25 @@ class LockManager {
 
             // Remove the lock
             this.locks.delete(workflowId);
+            this.persistLock(workflowId);
+            this.recordMetric('recordLockEnded', currentLock);
 
-            return {
+            const result = {
                 success: true,
                 message: 'Lock released successfully',
-                workflowId
+                workflowId,
+                mode: 'exclusive'
             };
 
+            const handedOffTo = this.handOff(workflowId);
+            if (handedOffTo) {
+                result.handedOffTo = handedOffTo;
+            }
+
+            return result;
+
         } catch (error) {
-            console.error('Error in releaseLock:', error);
+            logger.error('Error in releaseLock:', error);
             return {
                 success: false,
                 error: 'INTERNAL_ERROR',
@@ -127,130 +367,1313 @@ class LockManager {
     }
 
     /**
-     * Get lock information for a workflow
+     * Take (or refresh) a shared lock: blocked by another user's exclusive lock, and new
+     * shared locks also by users waiting in the lock queue.
+     * An exclusive lock held by the same user is downgraded.
      * @param {string} workflowId - The workflow ID
-     * @returns {Object|null} Lock information or null if not locked
+     * @param {string} userId - The user requesting the lock
+     * @param {Object} options - { ttl: lock TTL in ms (clamped to the bounds; null keeps the current or default TTL),
+     *   sessionId: socket the lock belongs to }
+     * @returns {Object} Result with success status, lock details and the holder list
      */
-    getWorkflowLock(workflowId) {
-        const lock = this.locks.get(workflowId);
-        
-        if (!lock) {
-            return null;
-        }
+    requestSharedLock(workflowId, userId, options = {}) {
+        const { ttl = null, sessionId = null } = options;
 
-        // Check if lock has expired
-        if (this.isLockExpired(lock)) {
-            this.locks.delete(workflowId);
-            return null;
-        }
+        try {
+            const exclusiveLock = this.getWorkflowLock(workflowId);
 
-        return { ...lock };
-    }
+            if (exclusiveLock && exclusiveLock.userId !== userId) {
+                return {
+                    success: false,
+                    error: 'WORKFLOW_LOCKED',
+                    message: 'Workflow is currently being edited by another user',
+                    lockInfo: {
+                        workflowId,
+                        userId: exclusiveLock.userId,
+                        mode: 'exclusive',
+                        acquiredAt: exclusiveLock.acquiredAt,
+                        expiresAt: exclusiveLock.expiresAt
+                    }
+                };
+            }
 
-    /**
-     * Get all active locks
-     * @returns {Array} Array of all active lock information
-     */
-    getAllLocks() {
-        const activeLocks = [];
-        
-        for (const [workflowId, lock] of this.locks.entries()) {
-            if (!this.isLockExpired(lock)) {
-                activeLocks.push({ ...lock });
-            } else {
-                // Clean up expired lock
+            // New readers queue behind waiting writers, so a stream of shared locks cannot starve them
+            const queue = this.getActiveQueue(workflowId);
+            if (!exclusiveLock && !this.getSharedLock(workflowId, userId)
+                && queue.length > 0 && queue[0].userId !== userId) {
+                return {
+                    success: false,
+                    error: 'QUEUE_NOT_EMPTY',
+                    message: 'Other users are waiting for this lock',
+                    queue: this.getLockQueue(workflowId)
+                };
+            }
+
+            const downgraded = Boolean(exclusiveLock);
+            if (downgraded) {
                 this.locks.delete(workflowId);
+                this.recordMetric('recordLockEnded', exclusiveLock);
+            }
+
+            const previousLock = this.getSharedLock(workflowId, userId) || exclusiveLock;
+            const refreshed = Boolean(previousLock) && !downgraded;
+            // A refreshed shared lock keeps its token; a downgrade is a new acquisition
+            const lockTtl = ttl === null ? (previousLock?.ttl || this.lockTimeout) : this.resolveTtl(ttl);
+            const lockInfo = {
+                workflowId,
+                userId,
+                mode: 'shared',
+                ttl: lockTtl,
+                sessionId,
+                fencingToken: refreshed && previousLock.fencingToken
+                    ? previousLock.fencingToken
+                    : this.issueFencingToken(workflowId),
+                acquiredAt: new Date(),
+                expiresAt: new Date(Date.now() + lockTtl)
+            };
+
+            if (!this.sharedLocks.has(workflowId)) {
+                this.sharedLocks.set(workflowId, new Map());
+            }
+            this.sharedLocks.get(workflowId).set(userId, lockInfo);
+            this.persistLock(workflowId);
+
+            const result = {
+                success: true,
+                message: downgraded ? 'Lock downgraded to shared'
+                    : (refreshed ? 'Shared lock refreshed' : 'Shared lock acquired successfully'),
+                lockInfo: { ...lockInfo },
+                holders: this.getLockHolders(workflowId)
+            };
+
+            if (downgraded) {
+                result.downgraded = true;
             }
+
+            return result;
+
+        } catch (error) {
+            logger.error('Error in requestSharedLock:', error);
+            return {
+                success: false,
+                error: 'INTERNAL_ERROR',
+                message: 'Failed to acquire shared lock'
+            };
         }
-        
-        return activeLocks;
     }
 
     /**
-     * Get locks for a specific user
-     * @param {string} userId - The user ID
-     * @returns {Array} Array of locks owned by the user
+     * Upgrade a shared lock to an exclusive one (needs every other holder gone)
+     * @param {string} workflowId - The workflow ID
+     * @param {string} userId - The shared holder
+     * @returns {Object} Result with success status and details
      */
-    getUserLocks(userId) {
-        const userLocks = [];
-        
-        for (const [workflowId, lock] of this.locks.entries()) {
-            if (lock.userId === userId && !this.isLockExpired(lock)) {
-                userLocks.push({ ...lock });
-            } else if (this.isLockExpired(lock)) {
-                // Clean up expired lock
-                this.locks.delete(workflowId);
-            }
+    upgradeLock(workflowId, userId) {
+        const sharedLock = this.getSharedLock(workflowId, userId);
+        if (!sharedLock) {
+            return {
+                success: false,
+                error: 'NOT_SHARED_HOLDER',
+                message: 'You do not hold a shared lock on this workflow'
+            };
         }
-        
-        return userLocks;
+
+        return this.requestLock(workflowId, userId, false, null,
+            { mode: 'exclusive', ttl: sharedLock.ttl ?? null, sessionId: sharedLock.sessionId ?? null });
     }
 
     /**
-     * Check if a lock has expired
-     * @param {Object} lock - Lock information
-     * @returns {boolean} True if expired
+     * Downgrade an exclusive lock to a shared one
+     * @param {string} workflowId - The workflow ID
+     * @param {string} userId - The exclusive holder
+     * @returns {Object} Result with success status and details
      */
-    isLockExpired(lock) {
-        return new Date() > lock.expiresAt;
+    downgradeLock(workflowId, userId) {
+        const exclusiveLock = this.getWorkflowLock(workflowId);
+        if (exclusiveLock?.userId !== userId) {
+            return {
+                success: false,
+                error: 'NOT_EXCLUSIVE_HOLDER',
+                message: 'You do not hold the exclusive lock on this workflow'
+            };
+        }
+
+        return this.requestLock(workflowId, userId, false, null,
+            { mode: 'shared', sessionId: exclusiveLock.sessionId ?? null });
     }
 
     /**
-     * Cleanup expired locks
-     * @returns {Array} Array of expired locks that were cleaned up
+     * Hand a workflow's exclusive lock straight to another user (e.g. when an edit request
+     * is approved), so nobody else can take it in between. The previous holder's node locks
+     * are released; the new holder's shared lock and queue entry are replaced by the lock.
+     * @param {string} workflowId - The workflow ID
+     * @param {string} fromUserId - The current holder
+     * @param {string} toUserId - The user receiving the lock
+     * @param {Object} options - { sessionId: socket the lock belongs to (null for REST requests),
+     *   ttl: lock TTL in ms (clamped to the bounds) }
+     * @returns {Object} Result with the previous and the new lock
      */
-    cleanupExpiredLocks() {
-        const expiredLocks = [];
-        
-        for (const [workflowId, lock] of this.locks.entries()) {
-            if (this.isLockExpired(lock)) {
-                expiredLocks.push({ workflowId, userId: lock.userId });
-                this.locks.delete(workflowId);
+    transferLock(workflowId, fromUserId, toUserId, options = {}) {
+        const { sessionId = null, ttl = null } = options;
+
+        try {
+            const previousLock = this.getWorkflowLock(workflowId);
+
+            if (previousLock?.userId !== fromUserId) {
+                return {
+                    success: false,
+                    error: 'NOT_LOCK_HOLDER',
+                    message: 'You no longer hold the lock on this workflow'
+                };
             }
+
+            const lockTtl = this.resolveTtl(ttl);
+            const lockInfo = {
+                workflowId,
+                userId: toUserId,
+                mode: 'exclusive',
+                ttl: lockTtl,
+                sessionId,
+                fencingToken: this.issueFencingToken(workflowId),
+                acquiredAt: new Date(),
+                expiresAt: new Date(Date.now() + lockTtl),
+                isLocked: true
+            };
+
+            const releasedNodeLocks = this.getNodeLocks(workflowId).filter(lock => lock.userId === fromUserId);
+            releasedNodeLocks.forEach(lock => this.removeNodeLock(workflowId, lock.nodeId));
+            this.locks.set(workflowId, lockInfo);
+            this.removeSharedLock(workflowId, toUserId);
+            const leftQueue = this.removeFromQueue(workflowId, toUserId);
+            this.persistLock(workflowId);
+            this.recordMetric('recordLockEnded', previousLock);
+            this.recordMetric('recordLockAcquired');
+
+            return {
+                success: true,
+                message: 'Lock transferred',
+                previousLock,
+                lockInfo: { ...lockInfo },
+                releasedNodeLocks,
+                leftQueue
+            };
+
+        } catch (error) {
+            logger.error('Error in transferLock:', error);
+            return {
+                success: false,
+                error: 'INTERNAL_ERROR',
+                message: 'Failed to transfer lock'
+            };
         }
-        
-        return expiredLocks;
     }
 
     /**
-     * Force release all locks for a user (useful when user disconnects)
-     * @param {string} userId - The user ID
-     * @returns {Array} Array of released locks
+     * Renew a user's workflow lock (exclusive or shared), or one of their node locks, for another TTL
+     * @param {string} workflowId - The workflow ID
+     * @param {string} userId - The lock holder
+     * @param {string|null} nodeId - Node whose lock to renew (the workflow lock if null)
+     * @returns {Object} Result with success status and the renewed lock (`mode: 'node'` for node locks)
      */
-    releaseUserLocks(userId) {
-        const releasedLocks = [];
-        
-        for (const [workflowId, lock] of this.locks.entries()) {
-            if (lock.userId === userId) {
-                releasedLocks.push({ workflowId, userId });
-                this.locks.delete(workflowId);
+    renewLock(workflowId, userId, nodeId = null) {
+        try {
+            const lock = nodeId
+                ? this.nodeLocks.get(workflowId)?.get(nodeId)
+                : this.sharedLocks.get(workflowId)?.get(userId) || this.locks.get(workflowId);
+
+            if (!lock || this.isLockExpired(lock)) {
+                return {
+                    success: false,
+                    error: 'NO_LOCK',
+                    message: nodeId ? 'No active lock exists for this node' : 'No active lock exists for this workflow'
+                };
+            }
+
+            if (lock.userId !== userId) {
+                return {
+                    success: false,
+                    error: 'UNAUTHORIZED',
+                    message: 'You do not own this lock'
+                };
             }
+
+            lock.expiresAt = new Date(Date.now() + (lock.ttl || this.lockTimeout));
+            this.persistLock(workflowId);
+
+            return {
+                success: true,
+                message: 'Lock renewed',
+                lockInfo: nodeId ? { ...lock, mode: 'node' } : { ...lock }
+            };
+
+        } catch (error) {
+            logger.error('Error in renewLock:', error);
+            return {
+                success: false,
+                error: 'INTERNAL_ERROR',
+                message: 'Failed to renew lock'
+            };
         }
-        
-        return releasedLocks;
     }
 
     /**
-     * Get statistics about the lock manager
-     * @returns {Object} Statistics object
+     * Check that a fencing token belongs to a lock the user still holds on a workflow
+     * (exclusive, shared or node lock). A token from an expired, released or forced-away
+     * lock is stale, as is any token older than the user's current lock.
+     * @param {string} workflowId - The workflow ID
+     * @param {string} userId - The user ID
+     * @param {number} token - Fencing token received when the lock was acquired
+     * @returns {Object} Result with success status, and the matching lock if valid
      */
-    getStats() {
-        const now = new Date();
-        const activeLocks = [];
-        const expiredLocks = [];
-        
-        for (const [workflowId, lock] of this.locks.entries()) {
-            if (this.isLockExpired(lock)) {
-                expiredLocks.push(workflowId);
-            } else {
-                activeLocks.push(workflowId);
+    validateLock(workflowId, userId, token) {
+        try {
+            const exclusiveLock = this.getWorkflowLock(workflowId);
+            const userLocks = [
+                ...(exclusiveLock?.userId === userId ? [exclusiveLock] : []),
+                ...this.getSharedLocks(workflowId).filter(lock => lock.userId === userId),
+                ...this.getNodeLocks(workflowId).filter(lock => lock.userId === userId)
+            ];
+            const lock = userLocks.find(entry => entry.fencingToken === token);
+
+            if (lock) {
+                return {
+                    success: true,
+                    valid: true,
+                    message: 'Fencing token is valid',
+                    lockInfo: { ...lock }
+                };
             }
-        }
+
+            return {
+                success: false,
+                valid: false,
+                error: userLocks.length > 0 ? 'STALE_FENCING_TOKEN' : 'NO_LOCK',
+                message: userLocks.length > 0
+                    ? 'Fencing token does not belong to your current lock'
+                    : 'You do not hold a lock on this workflow',
+                workflowId,
+                token,
+                latestToken: this.fencingTokens.get(workflowId) || 0
+            };
+
+        } catch (error) {
+            logger.error('Error in validateLock:', error);
+            return {
+                success: false,
+                error: 'INTERNAL_ERROR',
+                message: 'Failed to validate lock'
+            };
+        }
+    }
+
+    /**
+     * Get locks (exclusive, shared and node) that expire within a time window
+     * @param {number} withinMs - Window in milliseconds
+     * @returns {Array} Array of lock information (node locks with `mode: 'node'`)
+     */
+    getExpiringLocks(withinMs) {
+        const deadline = Date.now() + withinMs;
+        const locks = [...this.locks.values()];
+        for (const holders of this.sharedLocks.values()) {
+            locks.push(...holders.values());
+        }
+        for (const nodes of this.nodeLocks.values()) {
+            locks.push(...[...nodes.values()].map(lock => ({ ...lock, mode: 'node' })));
+        }
+
+        return locks
+            .filter(lock => !this.isLockExpired(lock) && lock.expiresAt.getTime() <= deadline)
+            .map(lock => ({ ...lock }));
+    }
+
+    /**
+     * Get a user's shared lock on a workflow
+     * @param {string} workflowId - The workflow ID
+     * @param {string} userId - The user ID
+     * @returns {Object|null} Shared lock information or null
+     */
+    getSharedLock(workflowId, userId) {
+        return this.getSharedLocks(workflowId).find(lock => lock.userId === userId) || null;
+    }
+
+    /**
+     * Get all active shared locks of a workflow
+     * @param {string} workflowId - The workflow ID
+     * @returns {Array} Array of shared lock information
+     */
+    getSharedLocks(workflowId) {
+        return [...(this.sharedLocks.get(workflowId)?.values() || [])]
+            .filter(lock => !this.isLockExpired(lock))
+            .map(lock => ({ ...lock }));
+    }
+
+    /**
+     * Get everyone holding a workflow-level lock (the exclusive holder or the shared holders)
+     * @param {string} workflowId - The workflow ID
+     * @returns {Array} Array of { userId, mode, acquiredAt, expiresAt }
+     */
+    getLockHolders(workflowId) {
+        const exclusiveLock = this.getWorkflowLock(workflowId);
+        const locks = exclusiveLock ? [exclusiveLock] : [];
+
+        return [...locks, ...this.getSharedLocks(workflowId)].map(lock => ({
+            userId: lock.userId,
+            mode: lock.mode || 'exclusive',
+            acquiredAt: lock.acquiredAt,
+            expiresAt: lock.expiresAt
+        }));
+    }
+
+    /**
+     * Remove a shared lock from memory (callers persist the workflow record)
+     * @param {string} workflowId - The workflow ID
+     * @param {string} userId - The user ID
+     * @returns {boolean} True if the user held a shared lock
+     */
+    removeSharedLock(workflowId, userId) {
+        const holders = this.sharedLocks.get(workflowId);
+        if (!holders?.delete(userId)) {
+            return false;
+        }
+
+        if (holders.size === 0) {
+            this.sharedLocks.delete(workflowId);
+        }
+
+        return true;
+    }
+
+    /**
+     * Request a lock on a single node (or the workflow-settings pseudo-resource).
+     * A workflow lock held by another user blocks node locks; locks on different
+     * nodes never conflict.
+     * @param {string} workflowId - The workflow ID
+     * @param {string} nodeId - The node ID (or '$settings')
+     * @param {string} userId - The user requesting the lock
+     * @param {string|null} sessionId - Socket the lock belongs to (null for REST requests)
+     * @param {Object} options - { ttl: lock TTL in ms (clamped to the bounds; null keeps the current or default TTL) }
+     * @returns {Object} Result with success status and details
+     */
+    requestNodeLock(workflowId, nodeId, userId, sessionId = null, options = {}) {
+        const { ttl = null } = options;
+
+        try {
+            const workflowLock = this.getWorkflowLock(workflowId);
+            if (workflowLock && workflowLock.userId !== userId) {
+                return {
+                    success: false,
+                    error: 'WORKFLOW_LOCKED',
+                    message: 'Workflow is currently being edited by another user',
+                    lockInfo: {
+                        workflowId,
+                        userId: workflowLock.userId,
+                        acquiredAt: workflowLock.acquiredAt,
+                        expiresAt: workflowLock.expiresAt
+                    }
+                };
+            }
+
+            const currentLock = this.getNodeLock(workflowId, nodeId);
+            if (currentLock && currentLock.userId !== userId) {
+                return {
+                    success: false,
+                    error: 'NODE_LOCKED',
+                    message: 'Node is currently being edited by another user',
+                    lockInfo: currentLock
+                };
+            }
+
+            const lockTtl = ttl === null ? (currentLock?.ttl || this.lockTimeout) : this.resolveTtl(ttl);
+            const lockInfo = {
+                workflowId,
+                nodeId,
+                userId,
+                ttl: lockTtl,
+                sessionId,
+                fencingToken: currentLock?.fencingToken || this.issueFencingToken(workflowId),
+                acquiredAt: new Date(),
+                expiresAt: new Date(Date.now() + lockTtl)
+            };
+
+            if (!this.nodeLocks.has(workflowId)) {
+                this.nodeLocks.set(workflowId, new Map());
+            }
+            this.nodeLocks.get(workflowId).set(nodeId, lockInfo);
+            this.persistLock(workflowId);
+
+            return {
+                success: true,
+                message: currentLock ? 'Node lock refreshed' : 'Node lock acquired successfully',
+                lockInfo: { ...lockInfo }
+            };
+
+        } catch (error) {
+            logger.error('Error in requestNodeLock:', error);
+            return {
+                success: false,
+                error: 'INTERNAL_ERROR',
+                message: 'Failed to acquire node lock'
+            };
+        }
+    }
+
+    /**
+     * Release a lock on a node
+     * @param {string} workflowId - The workflow ID
+     * @param {string} nodeId - The node ID
+     * @param {string} userId - The user releasing the lock
+     * @returns {Object} Result with success status
+     */
+    releaseNodeLock(workflowId, nodeId, userId) {
+        try {
+            const currentLock = this.nodeLocks.get(workflowId)?.get(nodeId);
+
+            if (!currentLock) {
+                return {
+                    success: false,
+                    error: 'NO_LOCK',
+                    message: 'No lock exists for this node'
+                };
+            }
+
+            if (currentLock.userId !== userId) {
+                return {
+                    success: false,
+                    error: 'UNAUTHORIZED',
+                    message: 'You do not own this node lock'
+                };
+            }
+
+            this.removeNodeLock(workflowId, nodeId);
+            this.persistLock(workflowId);
+
+            const result = {
+                success: true,
+                message: 'Node lock released successfully',
+                workflowId,
+                nodeId
+            };
+
+            // The next queued user may have been waiting on this node lock
+            const handedOffTo = this.handOff(workflowId);
+            if (handedOffTo) {
+                result.handedOffTo = handedOffTo;
+            }
+
+            return result;
+
+        } catch (error) {
+            logger.error('Error in releaseNodeLock:', error);
+            return {
+                success: false,
+                error: 'INTERNAL_ERROR',
+                message: 'Failed to release node lock'
+            };
+        }
+    }
+
+    /**
+     * Get the lock on a node
+     * @param {string} workflowId - The workflow ID
+     * @param {string} nodeId - The node ID
+     * @returns {Object|null} Node lock information or null if not locked
+     */
+    getNodeLock(workflowId, nodeId) {
+        const lock = this.nodeLocks.get(workflowId)?.get(nodeId);
+
+        if (!lock || this.isLockExpired(lock)) {
+            return null;
+        }
+
+        return { ...lock };
+    }
+
+    /**
+     * Get all active node locks of a workflow
+     * @param {string} workflowId - The workflow ID
+     * @returns {Array} Array of node lock information
+     */
+    getNodeLocks(workflowId) {
+        return [...(this.nodeLocks.get(workflowId)?.values() || [])]
+            .filter(lock => !this.isLockExpired(lock))
+            .map(lock => ({ ...lock }));
+    }
+
+    /**
+     * Release every node lock a user holds in a workflow
+     * @param {string} workflowId - The workflow ID
+     * @param {string} userId - The user ID
+     * @param {string|null} sessionId - Only locks taken by this session (all of the user's if null)
+     * @returns {Array} Array of released node locks
+     */
+    releaseUserNodeLocks(workflowId, userId, sessionId = null) {
+        const releasedLocks = this.getNodeLocks(workflowId)
+            .filter(lock => this.isOwnedBy(lock, userId, sessionId));
+
+        if (releasedLocks.length > 0) {
+            releasedLocks.forEach(lock => this.removeNodeLock(workflowId, lock.nodeId));
+            this.persistLock(workflowId);
+        }
+
+        return releasedLocks;
+    }
+
+    /**
+     * Join the FIFO queue for a workflow's lock. If the lock is free the first
+     * waiting user receives it straight away. An entry expires after queueEntryTtl
+     * unless it is renewed by enqueueing again or, for a socket, by a heartbeat.
+     * @param {string} workflowId - The workflow ID
+     * @param {string} userId - The user waiting for the lock
+     * @param {string|null} sessionId - Socket the handed-off lock will belong to (null for REST requests)
+     * @returns {Object} Result with the user's queue position and any hand-off
+     */
+    enqueueLock(workflowId, userId, sessionId = null) {
+        try {
+            if (this.getWorkflowLock(workflowId)?.userId === userId) {
+                return {
+                    success: false,
+                    error: 'ALREADY_LOCKED',
+                    message: 'You already hold this lock'
+                };
+            }
+
+            // An expired entry of the user is replaced by a new one at the back of the queue
+            const queue = (this.queues.get(workflowId) || [])
+                .filter(entry => entry.userId !== userId || !this.isQueueEntryExpired(entry));
+            const existing = queue.find(entry => entry.userId === userId);
+            const alreadyQueued = Boolean(existing);
+            const expiresAt = new Date(Date.now() + this.queueEntryTtl);
+
+            if (!existing) {
+                this.queues.set(workflowId, [...queue, { userId, sessionId, enqueuedAt: new Date(), expiresAt }]);
+                this.persistLock(workflowId);
+            } else {
+                existing.expiresAt = expiresAt;
+                this.persistLock(workflowId);
+            }
+
+            const handedOffTo = this.handOff(workflowId);
+            const result = {
+                success: true,
+                message: alreadyQueued ? 'Already waiting for this lock' : 'Added to the lock queue',
+                workflowId,
+                position: this.getQueuePosition(workflowId, userId),
+                queue: this.getLockQueue(workflowId)
+            };
+
+            if (handedOffTo) {
+                result.handedOffTo = handedOffTo;
+                if (handedOffTo.userId === userId) {
+                    result.message = 'Lock acquired';
+                }
+            }
+
+            return result;
+
+        } catch (error) {
+            logger.error('Error in enqueueLock:', error);
+            return {
+                success: false,
+                error: 'INTERNAL_ERROR',
+                message: 'Failed to join the lock queue'
+            };
+        }
+    }
+
+    /**
+     * Leave the queue for a workflow's lock
+     * @param {string} workflowId - The workflow ID
+     * @param {string} userId - The waiting user
+     * @returns {Object} Result with the remaining queue and any hand-off
+     */
+    leaveLockQueue(workflowId, userId) {
+        try {
+            if (!this.removeFromQueue(workflowId, userId)) {
+                return {
+                    success: false,
+                    error: 'NOT_QUEUED',
+                    message: 'You are not waiting for this lock'
+                };
+            }
+
+            this.persistLock(workflowId);
+
+            const handedOffTo = this.handOff(workflowId);
+            const result = {
+                success: true,
+                message: 'Left the lock queue',
+                workflowId,
+                queue: this.getLockQueue(workflowId)
+            };
+
+            if (handedOffTo) {
+                result.handedOffTo = handedOffTo;
+            }
+
+            return result;
+
+        } catch (error) {
+            logger.error('Error in leaveLockQueue:', error);
+            return {
+                success: false,
+                error: 'INTERNAL_ERROR',
+                message: 'Failed to leave the lock queue'
+            };
+        }
+    }
+
+    /**
+     * Get the users waiting for a workflow's lock, in order
+     * @param {string} workflowId - The workflow ID
+     * @returns {Array} Array of { userId, position, enqueuedAt, expiresAt }
+     */
+    getLockQueue(workflowId) {
+        return this.getActiveQueue(workflowId).map((entry, index) => ({
+            userId: entry.userId,
+            position: index + 1,
+            enqueuedAt: entry.enqueuedAt,
+            expiresAt: entry.expiresAt ?? null
+        }));
+    }
+
+    /**
+     * Get the workflows whose lock queue a user is waiting in
+     * @param {string} userId - The user ID
+     * @param {string|null} sessionId - Only entries made by this session (all if null)
+     * @returns {Array} Array of workflow IDs
+     */
+    getQueuedWorkflows(userId, sessionId = null) {
+        return [...this.queues.keys()].filter(workflowId => this.getActiveQueue(workflowId)
+            .some(entry => entry.userId === userId && (!sessionId || entry.sessionId === sessionId)));
+    }
+
+    /**
+     * Push back the expiry of a user's queue entry so a live waiter keeps their place
+     * @param {string} workflowId - The workflow ID
+     * @param {string} userId - The waiting user
+     * @returns {Object} Result with the entry's new expiry
+     */
+    renewQueueEntry(workflowId, userId) {
+        const entry = this.getActiveQueue(workflowId).find(queued => queued.userId === userId);
+        if (!entry) {
+            return {
+                success: false,
+                error: 'NOT_QUEUED',
+                message: 'You are not waiting for this lock'
+            };
+        }
+
+        entry.expiresAt = new Date(Date.now() + this.queueEntryTtl);
+        this.persistLock(workflowId);
+
+        return {
+            success: true,
+            workflowId,
+            expiresAt: entry.expiresAt
+        };
+    }
+
+    /**
+     * Get the queue entries of a workflow that have not expired, in order
+     * (expired entries stay until the cleanup drops and announces them)
+     * @param {string} workflowId - The workflow ID
+     * @returns {Array} Array of queue entries
+     */
+    getActiveQueue(workflowId) {
+        return (this.queues.get(workflowId) || []).filter(entry => !this.isQueueEntryExpired(entry));
+    }
+
+    /**
+     * Check if a queue entry has expired
+     * @param {Object} entry - Queue entry
+     * @returns {boolean} True if expired
+     */
+    isQueueEntryExpired(entry) {
+        return Boolean(entry.expiresAt) && new Date() > entry.expiresAt;
+    }
+
+    /**
+     * Get a user's position in a workflow's lock queue
+     * @param {string} workflowId - The workflow ID
+     * @param {string} userId - The user ID
+     * @returns {number|null} 1-based position, or null if not queued
+     */
+    getQueuePosition(workflowId, userId) {
+        const index = this.getActiveQueue(workflowId).findIndex(entry => entry.userId === userId);
+        return index === -1 ? null : index + 1;
+    }
+
+    /**
+     * Give a free workflow lock to the first queued user.
+     * Waits (returns null) while other users hold shared or node locks in the workflow, and
+     * while an expired lock is left for expireWorkflowLocks() to remove and announce.
+     * @param {string} workflowId - The workflow ID
+     * @returns {Object|null} The handed-off lock information, or null
+     */
+    handOff(workflowId) {
+        const next = this.getActiveQueue(workflowId)[0];
+        if (!next || this.locks.has(workflowId)) {
+            return null;
+        }
+
+        if (this.getNodeLocks(workflowId).some(nodeLock => nodeLock.userId !== next.userId)
+            || this.getSharedLocks(workflowId).some(sharedLock => sharedLock.userId !== next.userId)) {
+            return null;
+        }
+
+        const lockInfo = {
+            workflowId,
+            userId: next.userId,
+            mode: 'exclusive',
+            ttl: this.lockTimeout,
+            sessionId: next.sessionId ?? null,
+            fencingToken: this.issueFencingToken(workflowId),
+            acquiredAt: new Date(),
+            expiresAt: new Date(Date.now() + this.lockTimeout),
+            isLocked: true
+        };
+
+        this.locks.set(workflowId, lockInfo);
+        this.removeSharedLock(workflowId, next.userId);
+        this.removeFromQueue(workflowId, next.userId);
+        this.persistLock(workflowId);
+        this.recordMetric('recordLockAcquired');
+
+        return { ...lockInfo };
+    }
+
+    /**
+     * Remove a user from a workflow's lock queue (callers persist the workflow record)
+     * @param {string} workflowId - The workflow ID
+     * @param {string} userId - The user ID
+     * @returns {boolean} True if the user was queued
+     */
+    removeFromQueue(workflowId, userId) {
+        const queue = this.queues.get(workflowId) || [];
+        const remaining = queue.filter(entry => entry.userId !== userId);
+
+        if (remaining.length === queue.length) {
+            return false;
+        }
+
+        if (remaining.length > 0) {
+            this.queues.set(workflowId, remaining);
+        } else {
+            this.queues.delete(workflowId);
+        }
+
+        return true;
+    }
+
+    /**
+     * Check whether a lock or queue entry belongs to a user (and, if given, to one of their sessions)
+     * @param {Object} entry - Lock or queue entry
+     * @param {string} userId - The user ID
+     * @param {string|null} sessionId - Session ID, or null to match any of the user's sessions
+     * @returns {boolean} True if the entry belongs to the user/session
+     */
+    isOwnedBy(entry, userId, sessionId = null) {
+        return Boolean(entry) && entry.userId === userId
+            && (sessionId === null || entry.sessionId === sessionId);
+    }
+
+    /**
+     * Release everything a user holds or waits for in a workflow they stopped following:
+     * their queue entry, node locks and workflow lock (exclusive or shared), then hand the lock off.
+     * With a session ID only what that session took is released (the user has other sessions open).
+     * @param {string} workflowId - The workflow ID
+     * @param {string} userId - The user ID
+     * @param {string|null} sessionId - Only release what this session took (everything if null)
+     * @returns {Object} { success, releasedLock, releasedNodeLocks, leftQueue, handedOffTo }
+     */
+    releaseUserFromWorkflow(workflowId, userId, sessionId = null) {
+        const queueEntry = (this.queues.get(workflowId) || []).find(entry => entry.userId === userId);
+        const leftQueue = this.isOwnedBy(queueEntry, userId, sessionId) && this.removeFromQueue(workflowId, userId);
+        const releasedNodeLocks = this.releaseUserNodeLocks(workflowId, userId, sessionId);
+
+        let releasedLock = null;
+        const sharedLock = this.getSharedLock(workflowId, userId);
+        if (this.isOwnedBy(sharedLock, userId, sessionId)) {
+            this.removeSharedLock(workflowId, userId);
+            releasedLock = sharedLock;
+        }
+
+        const lock = this.getWorkflowLock(workflowId);
+        if (this.isOwnedBy(lock, userId, sessionId)) {
+            this.locks.delete(workflowId);
+            this.recordMetric('recordLockEnded', lock);
+            releasedLock = lock;
+        }
+
+        if (leftQueue || releasedLock) {
+            this.persistLock(workflowId);
+        }
+
+        return {
+            success: true,
+            releasedLock,
+            releasedNodeLocks,
+            leftQueue,
+            handedOffTo: this.handOff(workflowId)
+        };
+    }
+
+    /**
+     * Check whether a user holds or waits for any lock in a workflow
+     * @param {string} workflowId - The workflow ID
+     * @param {string} userId - The user ID
+     * @param {string|null} sessionId - Only consider what this session took (everything if null)
+     * @returns {boolean} True if there is something to release
+     */
+    hasUserLockState(workflowId, userId, sessionId = null) {
+        return this.isOwnedBy(this.getWorkflowLock(workflowId), userId, sessionId)
+            || this.isOwnedBy(this.getSharedLock(workflowId, userId), userId, sessionId)
+            || this.getNodeLocks(workflowId).some(nodeLock => this.isOwnedBy(nodeLock, userId, sessionId))
+            || (this.queues.get(workflowId) || []).some(entry => this.isOwnedBy(entry, userId, sessionId));
+    }
+
+    /**
+     * Get the workflows in which a user holds or waits for any lock, whether or not they joined them
+     * @param {string} userId - The user ID
+     * @param {string|null} sessionId - Only consider what this session took (everything if null)
+     * @returns {Array} Array of workflow IDs to pass to releaseUserFromWorkflow()
+     */
+    getUserLockWorkflows(userId, sessionId = null) {
+        const workflowIds = new Set([
+            ...this.locks.keys(),
+            ...this.sharedLocks.keys(),
+            ...this.nodeLocks.keys(),
+            ...this.queues.keys()
+        ]);
+
+        return [...workflowIds].filter(workflowId => this.hasUserLockState(workflowId, userId, sessionId));
+    }
+
+    /**
+     * Remove a node lock from memory (callers persist the workflow record)
+     * @param {string} workflowId - The workflow ID
+     * @param {string} nodeId - The node ID
+     */
+    removeNodeLock(workflowId, nodeId) {
+        const nodes = this.nodeLocks.get(workflowId);
+        if (!nodes) {
+            return;
+        }
+
+        nodes.delete(nodeId);
+        if (nodes.size === 0) {
+            this.nodeLocks.delete(workflowId);
+        }
+    }
+
+    /**
+     * Get lock information for a workflow
+     * @param {string} workflowId - The workflow ID
+     * @returns {Object|null} Lock information or null if not locked
+     */
+    getWorkflowLock(workflowId) {
+        const lock = this.locks.get(workflowId);
+        
+        // An expired lock counts as released; the cleanup timer removes and announces it
+        if (!lock || this.isLockExpired(lock)) {
+            return null;
+        }
+
+        return { ...lock };
+    }
+
+    /**
+     * Get all active locks, one entry per workflow with its holder list.
+     * Workflows held only in shared mode are listed with `mode: 'shared'` and no `userId`.
+     * @returns {Array} Array of all active lock information
+     */
+    getAllLocks() {
+        const activeLocks = [];
+        
+        for (const [workflowId, lock] of this.locks.entries()) {
+            if (!this.isLockExpired(lock)) {
+                activeLocks.push({ ...lock, mode: 'exclusive', holders: this.getLockHolders(workflowId) });
+            }
+        }
+
+        for (const workflowId of this.sharedLocks.keys()) {
+            const holders = this.getLockHolders(workflowId);
+            if (!this.getWorkflowLock(workflowId) && holders.length > 0) {
+                activeLocks.push({ workflowId, mode: 'shared', isLocked: false, holders });
+            }
+        }
+        
+        return activeLocks;
+    }
+
+    /**
+     * Get locks for a specific user
+     * @param {string} userId - The user ID
+     * @returns {Array} Array of locks owned by the user
+     */
+    getUserLocks(userId) {
+        const userLocks = [];
+        
+        for (const lock of this.locks.values()) {
+            if (lock.userId === userId && !this.isLockExpired(lock)) {
+                userLocks.push({ ...lock, mode: 'exclusive' });
+            }
+        }
+
+        for (const workflowId of this.sharedLocks.keys()) {
+            const sharedLock = this.getSharedLock(workflowId, userId);
+            if (sharedLock) {
+                userLocks.push(sharedLock);
+            }
+        }
+        
+        return userLocks;
+    }
+
+    /**
+     * Get the node locks a user holds, across workflows
+     * @param {string} userId - The user ID
+     * @returns {Array} Array of node locks owned by the user
+     */
+    getUserNodeLocks(userId) {
+        return [...this.nodeLocks.keys()]
+            .flatMap(workflowId => this.getNodeLocks(workflowId))
+            .filter(lock => lock.userId === userId);
+    }
+
+    /**
+     * Check if a lock has expired
+     * @param {Object} lock - Lock information
+     * @returns {boolean} True if expired
+     */
+    isLockExpired(lock) {
+        return new Date() > lock.expiresAt;
+    }
+
+    /**
+     * Remove an expired lock
+     * @param {string} workflowId - The workflow ID
+     * @param {Object} lock - The expired lock information
+     */
+    expireLock(workflowId, lock) {
+        this.locks.delete(workflowId);
+        this.persistLock(workflowId);
+        this.recordMetric('recordLockEnded', lock, { expired: true });
+    }
+
+    /**
+     * Get the workflows with expired locks (exclusive, shared or node) or users waiting for the lock
+     * @returns {Array} Array of workflow IDs to pass to expireWorkflowLocks()
+     */
+    getWorkflowsToExpire() {
+        const workflowIds = new Set(this.queues.keys());
+
+        for (const [workflowId, lock] of this.locks.entries()) {
+            if (this.isLockExpired(lock)) {
+                workflowIds.add(workflowId);
+            }
+        }
+
+        for (const locksByKey of [this.sharedLocks, this.nodeLocks]) {
+            for (const [workflowId, locks] of locksByKey.entries()) {
+                if ([...locks.values()].some(lock => this.isLockExpired(lock))) {
+                    workflowIds.add(workflowId);
+                }
+            }
+        }
+
+        return [...workflowIds];
+    }
+
+    /**
+     * Remove a workflow's expired locks (exclusive, shared and node) and queue entries, and
+     * hand the freed lock to the first queued user. Run it through atomically(), so on a cluster only the
+     * instance whose write commits gets the expired locks back to announce.
+     * @param {string} workflowId - The workflow ID
+     * @returns {Object} { success, expiredLocks: [{ workflowId, userId, mode }], expiredNodeLocks: [{ workflowId, nodeId, userId }],
+     *   expiredQueueEntries: [{ workflowId, userId }], handedOffTo: handed-off lock information or null }
+     */
+    expireWorkflowLocks(workflowId) {
+        const expiredLocks = [];
+        const expiredNodeLocks = [];
+
+        const lock = this.locks.get(workflowId);
+        if (lock && this.isLockExpired(lock)) {
+            expiredLocks.push({ workflowId, userId: lock.userId, mode: 'exclusive' });
+            this.expireLock(workflowId, lock);
+        }
+
+        for (const sharedLock of [...(this.sharedLocks.get(workflowId)?.values() || [])]) {
+            if (this.isLockExpired(sharedLock)) {
+                expiredLocks.push({ workflowId, userId: sharedLock.userId, mode: 'shared' });
+                this.removeSharedLock(workflowId, sharedLock.userId);
+            }
+        }
+
+        for (const [nodeId, nodeLock] of [...(this.nodeLocks.get(workflowId)?.entries() || [])]) {
+            if (this.isLockExpired(nodeLock)) {
+                expiredNodeLocks.push({ workflowId, nodeId, userId: nodeLock.userId });
+                this.removeNodeLock(workflowId, nodeId);
+            }
+        }
+
+        const expiredQueueEntries = (this.queues.get(workflowId) || [])
+            .filter(entry => this.isQueueEntryExpired(entry))
+            .map(entry => ({ workflowId, userId: entry.userId }));
+        expiredQueueEntries.forEach(entry => this.removeFromQueue(workflowId, entry.userId));
+
+        if (expiredLocks.length > 0 || expiredNodeLocks.length > 0 || expiredQueueEntries.length > 0) {
+            this.persistLock(workflowId);
+        }
+
+        return {
+            success: true,
+            expiredLocks,
+            expiredNodeLocks,
+            expiredQueueEntries,
+            handedOffTo: this.handOff(workflowId)
+        };
+    }
+
+    /**
+     * Write a workflow's exclusive lock, shared locks, node locks and lock queue through to the store as one record
+     * @param {string} workflowId - The workflow ID
+     */
+    persistLock(workflowId) {
+        const lock = this.locks.get(workflowId);
+        const shared = this.sharedLocks.get(workflowId);
+        const nodes = this.nodeLocks.get(workflowId);
+        const queue = this.queues.get(workflowId);
+        const lastFencingToken = this.fencingTokens.get(workflowId) || 0;
+
+        if (!lock && !shared && !nodes && !queue && !lastFencingToken) {
+            persist(this.store, 'locks', workflowId, null);
+            return;
+        }
+
+        persist(this.store, 'locks', workflowId, {
+            ...(lock || { workflowId, isLocked: false }),
+            shared: shared ? Object.fromEntries(shared) : {},
+            nodes: nodes ? Object.fromEntries(nodes) : {},
+            queue: queue || [],
+            lastFencingToken
+        });
+    }
+
+    /**
+     * Run a lock operation atomically across every instance sharing the store.
+     * The operation may run more than once, so callers announce its result only after this resolves.
+     * @param {string} workflowId - The workflow ID
+     * @param {Function} operation - Synchronous lock operation (e.g. requestLock)
+     * @returns {Promise<Object>} The operation's result
+     */
+    async atomically(workflowId, operation) {
+        let deferred = [];
+
+        try {
+            // The store may run the operation again after a conflict; only the committed attempt's metrics count
+            const result = await this.store.transaction('locks', workflowId, () => {
+                deferred = [];
+                this.deferredMetrics = deferred;
+                try {
+                    return operation();
+                } finally {
+                    this.deferredMetrics = null;
+                }
+            });
+
+            deferred.forEach(record => record());
+            return result;
+        } catch (error) {
+            if (error.code !== 'CONFLICT') {
+                throw error;
+            }
+
+            return {
+                success: false,
+                error: 'LOCK_CONFLICT',
+                message: 'Lock was changed concurrently, please retry'
+            };
+        }
+    }
+
+    /**
+     * Convert a stored lock record back into a lock
+     * @param {Object} record - Lock record from the store
+     * @returns {Object} Lock information
+     */
+    reviveLock(record) {
+        const { shared, nodes, queue, lastFencingToken, ...lock } = record;
+
+        return {
+            mode: 'exclusive',
+            ...lock,
+            acquiredAt: reviveDate(lock.acquiredAt),
+            expiresAt: reviveDate(lock.expiresAt)
+        };
+    }
+
+    /**
+     * Split a stored record into its exclusive lock, shared locks, node locks and lock queue
+     * @param {Object|null} record - Lock record from the store
+     * @returns {Object} { lock: exclusive lock or null, shared: Map of userId -> shared lock,
+     *                     nodes: Map of nodeId -> node lock, queue: Array, lastFencingToken: number }
+     */
+    reviveRecord(record) {
+        if (!record) {
+            return { lock: null, shared: new Map(), nodes: new Map(), queue: [], lastFencingToken: 0 };
+        }
+
+        const reviveEntries = (entries = {}) => new Map(Object.entries(entries).map(([key, entry]) => [
+            key,
+            { ...entry, acquiredAt: reviveDate(entry.acquiredAt), expiresAt: reviveDate(entry.expiresAt) }
+        ]));
+
+        // Records without `isLocked: false` hold an exclusive lock (including ones written before other lock kinds)
+        const lock = record.isLocked === false ? null : this.reviveLock(record);
+        const queue = (record.queue || []).map(entry => ({
+            ...entry,
+            enqueuedAt: reviveDate(entry.enqueuedAt),
+            expiresAt: reviveDate(entry.expiresAt)
+        }));
+
+        return {
+            lock,
+            shared: reviveEntries(record.shared),
+            nodes: reviveEntries(record.nodes),
+            queue,
+            lastFencingToken: record.lastFencingToken || 0
+        };
+    }
+
+    /**
+     * Set a workflow's in-memory locks and queue without writing them back
+     * @param {string} workflowId - The workflow ID
+     * @param {Object} state - { lock, shared, nodes, queue, lastFencingToken } as returned by reviveRecord()
+     */
+    setLocks(workflowId, { lock, shared, nodes, queue, lastFencingToken = 0 }) {
+        if (lock) {
+            this.locks.set(workflowId, lock);
+        } else {
+            this.locks.delete(workflowId);
+        }
+
+        if (shared.size > 0) {
+            this.sharedLocks.set(workflowId, shared);
+        } else {
+            this.sharedLocks.delete(workflowId);
+        }
+
+        if (nodes.size > 0) {
+            this.nodeLocks.set(workflowId, nodes);
+        } else {
+            this.nodeLocks.delete(workflowId);
+        }
+
+        if (queue.length > 0) {
+            this.queues.set(workflowId, queue);
+        } else {
+            this.queues.delete(workflowId);
+        }
+
+        if (lastFencingToken > 0) {
+            this.fencingTokens.set(workflowId, lastFencingToken);
+        } else {
+            this.fencingTokens.delete(workflowId);
+        }
+    }
+
+    /**
+     * Apply a change made by another instance, without writing it back
+     * @param {string} workflowId - The workflow ID
+     * @param {Object|null} record - New lock record, or null if released
+     */
+    applyRemote(workflowId, record) {
+        this.setLocks(workflowId, this.reviveRecord(record));
+    }
+
+    /**
+     * Restore locks loaded from the store, discarding expired ones
+     * @param {Array} records - Lock records from the store
+     * @param {Object} options - { restoreQueues: keep lock queues (only when sessions survive, i.e. shared state) }
+     * @returns {Object} Counts of restored and discarded locks (exclusive, shared and node locks)
+     */
+    rehydrate(records, options = {}) {
+        let restored = 0;
+        let discarded = 0;
+
+        for (const record of records) {
+            let { lock, shared, nodes, queue, lastFencingToken } = this.reviveRecord(record);
+            const total = (lock ? 1 : 0) + shared.size + nodes.size;
+            const queueDropped = !options.restoreQueues && queue.length > 0;
+
+            if (lock && this.isLockExpired(lock)) {
+                lock = null;
+            }
+            shared = new Map([...shared].filter(([, sharedLock]) => !this.isLockExpired(sharedLock)));
+            nodes = new Map([...nodes].filter(([, nodeLock]) => !this.isLockExpired(nodeLock)));
+
+            const kept = (lock ? 1 : 0) + shared.size + nodes.size;
+            this.setLocks(record.workflowId, { lock, shared, nodes, queue: queueDropped ? [] : queue, lastFencingToken });
+
+            if (kept < total || queueDropped) {
+                this.persistLock(record.workflowId);
+            }
+
+            restored += kept;
+            discarded += total - kept;
+        }
+
+        return { restored, discarded };
+    }
+
+    /**
+     * Get statistics about the lock manager
+     * @returns {Object} Statistics object
+     */
+    getStats() {
+        const now = new Date();
+        const activeLocks = [];
+        const expiredLocks = [];
         
+        for (const [workflowId, lock] of this.locks.entries()) {
+            if (this.isLockExpired(lock)) {
+                expiredLocks.push(workflowId);
+            } else {
+                activeLocks.push(workflowId);
+            }
+        }
+        
+        let sharedLocks = 0;
+        for (const holders of this.sharedLocks.values()) {
+            for (const lock of holders.values()) {
+                if (!this.isLockExpired(lock)) {
+                    sharedLocks++;
+                }
+            }
+        }
+
+        let activeNodeLocks = 0;
+        for (const nodes of this.nodeLocks.values()) {
+            for (const lock of nodes.values()) {
+                if (!this.isLockExpired(lock)) {
+                    activeNodeLocks++;
+                }
+            }
+        }
+        
+        let queuedUsers = 0;
+        for (const queue of this.queues.values()) {
+            queuedUsers += queue.length;
+        }
+
         return {
             totalLocks: this.locks.size,
             activeLocks: activeLocks.length,
             expiredLocks: expiredLocks.length,
+            sharedLocks,
+            activeNodeLocks,
+            queuedUsers,
             lockTimeout: this.lockTimeout / 1000 / 60, // in minutes
             timestamp: now
         };
@@ -258,3 +1681,4 @@ class LockManager {
 }
 
 module.exports = LockManager;
+module.exports.SETTINGS_RESOURCE = SETTINGS_RESOURCE;
@@ -0,0 +1,102 @@
+const winston = require('winston');
+
+// Metadata keys whose values must never reach the logs (matched case-insensitively)
+const SENSITIVE_KEYS = new Set([
+    'authorization',
+    'cookie',
+    'token',
+    'password',
+    'secret',
+    'email',
+    'responsemessage'
+]);
+
+// Dotted paths of user-written payload fields that must not reach the logs (matched case-insensitively).
+// `message` is only redacted here, so diagnostics such as validation `details[].message` stay readable.
+const SENSITIVE_PATHS = new Set([
+    'body.message'
+]);
+
+// Top-level log fields owned by winston itself
+const RESERVED_KEYS = new Set(['level', 'message', 'timestamp', 'stack']);
+
+/**
+ * Check whether a metadata field must be redacted
+ * @param {string} key - Field name
+ * @param {string} path - Dotted path of the field (array indexes omitted)
+ * @returns {boolean} True if the value must not be logged
+ */
+function isSensitive(key, path) {
+    return SENSITIVE_KEYS.has(key.toLowerCase()) || SENSITIVE_PATHS.has(path.toLowerCase());
+}
+
+/**
+ * Replace sensitive values in a metadata value
+ * @param {*} value - Value to redact
+ * @param {number} depth - Current nesting depth
+ * @param {string} path - Dotted path of the value (empty at the top level)
+ * @returns {*} Redacted copy
+ */
+function redact(value, depth = 0, path = '') {
+    if (value === null || typeof value !== 'object' || depth > 5) {
+        return value;
+    }
+
+    if (value instanceof Date || value instanceof Error) {
+        return value;
+    }
+
+    if (Array.isArray(value)) {
+        return value.map(item => redact(item, depth + 1, path));
+    }
+
+    const copy = {};
+    for (const [key, item] of Object.entries(value)) {
+        const itemPath = path ? `${path}.${key}` : key;
+        copy[key] = isSensitive(key, itemPath) ? '[REDACTED]' : redact(item, depth + 1, itemPath);
+    }
+    return copy;
+}
+
+const redactFormat = winston.format((info) => {
+    for (const key of Object.keys(info)) {
+        if (RESERVED_KEYS.has(key)) {
+            continue;
+        }
+        info[key] = isSensitive(key, key) ? '[REDACTED]' : redact(info[key], 0, key);
+    }
+    return info;
+});
+
+/**
+ * Create the application logger from LOG_LEVEL and LOG_FILE.
+ * Set LOG_FILE to an empty string to disable file output.
+ * @param {Object} env - Environment variables
+ * @returns {Object} Winston logger
+ */
+function createLogger(env = process.env) {
+    const logFile = env.LOG_FILE ?? 'logs/app.log';
+
+    const transports = [new winston.transports.Console()];
+    if (logFile) {
+        transports.push(new winston.transports.File({ filename: logFile }));
+    }
+
+    return winston.createLogger({
+        level: env.LOG_LEVEL || 'info',
+        format: winston.format.combine(
+            winston.format.errors({ stack: true }),
+            redactFormat(),
+            winston.format.timestamp(),
+            winston.format.json()
+        ),
+        defaultMeta: { service: 'n8n-collaboration-backend' },
+        transports
+    });
+}
+
+const logger = createLogger();
+
+module.exports = logger;
+module.exports.createLogger = createLogger;
+module.exports.redact = redact;
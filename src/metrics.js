@@ -0,0 +1,226 @@
+const http = require('http');
+const client = require('prom-client');
+const logger = require('./logger');
+
+// Buckets (seconds) for how long locks are held and requests wait for an answer
+const DURATION_BUCKETS = [1, 5, 15, 30, 60, 120, 300, 600, 1800, 3600];
+
+// Buckets (seconds) for REST request latency
+const HTTP_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+
+/**
+ * Prometheus metrics for locks, sessions, edit requests and the REST API.
+ * Each instance owns its registry, so several servers can share a process.
+ */
+class Metrics {
+    /**
+     * @param {Object} options - Metrics options
+     * @param {boolean} options.collectDefaultMetrics - Include Node.js process metrics
+     */
+    constructor(options = {}) {
+        this.registry = new client.Registry();
+        this.server = null;
+
+        if (options.collectDefaultMetrics !== false) {
+            client.collectDefaultMetrics({ register: this.registry });
+        }
+
+        const registers = [this.registry];
+
+        // Gauges are read from the managers' getStats() on every scrape (see bindSources)
+        this.sources = null;
+        const sources = () => this.sources;
+        const gauge = (name, help, read) => new client.Gauge({
+            name,
+            help,
+            registers,
+            collect() {
+                if (sources()) {
+                    this.set(read(sources()));
+                }
+            }
+        });
+
+        this.activeLocks = new client.Gauge({
+            name: 'collab_active_locks',
+            help: 'Locks currently held, by mode (exclusive or shared workflow locks, node locks)',
+            labelNames: ['mode'],
+            registers,
+            collect() {
+                if (sources()) {
+                    const stats = sources().lockManager.getStats();
+                    this.set({ mode: 'exclusive' }, stats.activeLocks);
+                    this.set({ mode: 'shared' }, stats.sharedLocks);
+                    this.set({ mode: 'node' }, stats.activeNodeLocks);
+                }
+            }
+        });
+        this.activeUsers = gauge('collab_active_users', 'Identified users that are not inactive',
+            ({ userManager }) => userManager.getStats().activeUsers);
+        this.pendingRequests = gauge('collab_pending_requests', 'Edit requests waiting for an answer',
+            ({ requestManager }) => requestManager.getStats().pending);
+        this.connectedSockets = gauge('collab_connected_sockets', 'Socket.IO connections on this instance',
+            ({ io }) => io.of('/').sockets.size);
+
+        this.lockAcquisitions = new client.Counter({
+            name: 'collab_lock_acquisitions_total',
+            help: 'Locks acquired (refreshes by the current holder are not counted)',
+            registers
+        });
+        this.forcedTakeovers = new client.Counter({
+            name: 'collab_lock_forced_takeovers_total',
+            help: 'Locks force-acquired from another user',
+            registers
+        });
+        this.lockExpirations = new client.Counter({
+            name: 'collab_lock_expirations_total',
+            help: 'Locks removed because they expired',
+            registers
+        });
+        this.resolvedRequests = new client.Counter({
+            name: 'collab_edit_requests_resolved_total',
+            help: 'Edit requests by outcome',
+            labelNames: ['outcome'],
+            registers
+        });
+
+        this.lockHoldDuration = new client.Histogram({
+            name: 'collab_lock_hold_duration_seconds',
+            help: 'Time a lock was held before it was released, taken over or expired',
+            buckets: DURATION_BUCKETS,
+            registers
+        });
+        this.requestResponseTime = new client.Histogram({
+            name: 'collab_edit_request_response_seconds',
+            help: 'Time from an edit request being sent to it being approved or denied',
+            buckets: DURATION_BUCKETS,
+            registers
+        });
+        this.httpRequestDuration = new client.Histogram({
+            name: 'collab_http_request_duration_seconds',
+            help: 'REST API latency by route',
+            labelNames: ['method', 'route', 'status_code'],
+            buckets: HTTP_BUCKETS,
+            registers
+        });
+    }
+
+    /**
+     * Set the managers and Socket.IO server the gauges are read from
+     * @param {Object} sources - { lockManager, userManager, requestManager, io }
+     */
+    bindSources(sources) {
+        this.sources = sources;
+    }
+
+    /**
+     * Record a newly acquired lock
+     * @param {Object} options - { forced: the lock was taken over from another user }
+     */
+    recordLockAcquired(options = {}) {
+        this.lockAcquisitions.inc();
+        if (options.forced) {
+            this.forcedTakeovers.inc();
+        }
+    }
+
+    /**
+     * Record a lock that is no longer held
+     * @param {Object} lock - Lock information
+     * @param {Object} options - { expired: the lock timed out rather than being released }
+     */
+    recordLockEnded(lock, options = {}) {
+        const endedAt = options.expired ? lock.expiresAt : new Date();
+        this.lockHoldDuration.observe(Math.max(0, endedAt - lock.acquiredAt) / 1000);
+
+        if (options.expired) {
+            this.lockExpirations.inc();
+        }
+    }
+
+    /**
+     * Record an edit request that was approved, denied, expired or cancelled
+     * @param {Object} request - Request object with its final status
+     */
+    recordRequestResolved(request) {
+        this.resolvedRequests.inc({ outcome: request.status });
+
+        if (request.respondedAt && (request.status === 'approved' || request.status === 'denied')) {
+            this.requestResponseTime.observe((request.respondedAt - request.timestamp) / 1000);
+        }
+    }
+
+    /**
+     * Express middleware timing each request by its matched route pattern
+     * @returns {Function} Express middleware
+     */
+    httpMiddleware() {
+        return (req, res, next) => {
+            const stopTimer = this.httpRequestDuration.startTimer();
+
+            res.on('finish', () => {
+                // Use the route pattern (e.g. /api/locks/:workflowId) to keep label cardinality bounded
+                const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+                stopTimer({ method: req.method, route, status_code: res.statusCode });
+            });
+
+            next();
+        };
+    }
+
+    /**
+     * Render all metrics in the Prometheus text format
+     * @returns {Promise<string>} Metrics text
+     */
+    render() {
+        return this.registry.metrics();
+    }
+
+    /**
+     * Serve GET /metrics on a dedicated port
+     * @param {number} port - Port to listen on
+     * @param {string} host - Host to bind
+     * @returns {Promise} Resolves once listening
+     */
+    listen(port, host) {
+        this.server = http.createServer(async (req, res) => {
+            if (req.method !== 'GET' || req.url.split('?')[0] !== '/metrics') {
+                res.writeHead(404, { 'Content-Type': 'text/plain' });
+                res.end('Not found');
+                return;
+            }
+
+            try {
+                const body = await this.render();
+                res.writeHead(200, { 'Content-Type': this.registry.contentType });
+                res.end(body);
+            } catch (error) {
+                logger.error('Error rendering metrics:', error);
+                res.writeHead(500, { 'Content-Type': 'text/plain' });
+                res.end('Failed to collect metrics');
+            }
+        });
+
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, host, () => {
+                this.server.off('error', reject);
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * Stop the metrics server
+     * @returns {Promise} Resolves once closed
+     */
+    close() {
+        if (!this.server) {
+            return Promise.resolve();
+        }
+
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+}
+
+module.exports = Metrics;
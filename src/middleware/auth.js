@@ -0,0 +1,150 @@
+const jwt = require('jsonwebtoken');
+const { normalizeRole } = require('../roles');
+
+// `typ` claim of the session resume tokens issued on `identify`
+const RESUME_TOKEN_TYPE = 'resume';
+// Longest a resume token is valid for (in seconds), when the identifying JWT does not expire sooner
+const RESUME_TOKEN_MAX_AGE = 12 * 60 * 60;
+
+/**
+ * Verify a signed JWT and extract the user identity from its claims
+ * @param {string} token - The raw JWT
+ * @param {string} secret - The secret used to sign the token
+ * @returns {Object} Verified identity ({ userId, userName, email, role, claims })
+ * @throws {Error} If the token is missing, invalid, expired or has no subject
+ */
+function verifyToken(token, secret = process.env.JWT_SECRET) {
+    if (!secret) {
+        throw new Error('JWT_SECRET is not configured');
+    }
+
+    if (!token) {
+        throw new Error('Missing authentication token');
+    }
+
+    const claims = jwt.verify(token, secret, { algorithms: ['HS256'] });
+    const userId = claims.sub || claims.userId;
+
+    if (!userId) {
+        throw new Error('Token does not identify a user');
+    }
+
+    // Resume tokens only restore a session, they do not authenticate on their own
+    if (claims.typ === RESUME_TOKEN_TYPE) {
+        throw new Error('Resume tokens cannot be used for authentication');
+    }
+
+    return {
+        userId: String(userId),
+        userName: claims.name || claims.userName || null,
+        email: claims.email || null,
+        role: normalizeRole(claims.role),
+        claims
+    };
+}
+
+/**
+ * Extract a bearer token from an Authorization header
+ * @param {string} header - The Authorization header value
+ * @returns {string|null} The token or null if not present
+ */
+function extractBearerToken(header) {
+    if (!header || typeof header !== 'string') {
+        return null;
+    }
+
+    const [scheme, token] = header.split(' ');
+    return scheme && scheme.toLowerCase() === 'bearer' && token ? token : null;
+}
+
+/**
+ * Express middleware requiring a valid JWT in the Authorization header.
+ * The verified identity is attached to `req.user`.
+ */
+function authenticateRequest(req, res, next) {
+    const token = extractBearerToken(req.headers.authorization);
+
+    if (!token) {
+        return res.status(401).json({
+            success: false,
+            error: 'AUTHENTICATION_REQUIRED',
+            message: 'Missing bearer token'
+        });
+    }
+
+    try {
+        req.user = verifyToken(token);
+        return next();
+    } catch (error) {
+        return res.status(401).json({
+            success: false,
+            error: 'INVALID_TOKEN',
+            message: 'Invalid or expired token'
+        });
+    }
+}
+
+/**
+ * Resolve the identity of a socket from the `identify` payload or handshake
+ * @param {Object} socket - The Socket.IO socket
+ * @param {Object} data - The `identify` event payload
+ * @returns {Object} Verified identity
+ * @throws {Error} If no valid token was supplied
+ */
+function authenticateSocket(socket, data = {}) {
+    const token = data.token
+        || socket.handshake?.auth?.token
+        || extractBearerToken(socket.handshake?.headers?.authorization);
+
+    return verifyToken(token);
+}
+
+/**
+ * Issue a token that lets a disconnected socket session be resumed. It expires with the
+ * JWT the session identified with, and after RESUME_TOKEN_MAX_AGE at the latest.
+ * @param {string} userId - The user ID
+ * @param {string} sessionId - The session ID
+ * @param {string} role - The user's role
+ * @param {number|null} notAfter - Latest expiry in seconds since the epoch (the identifying JWT's `exp`)
+ * @param {string} secret - The secret used to sign the token
+ * @returns {string} Signed resume token
+ */
+function createResumeToken(userId, sessionId, role, notAfter = null, secret = process.env.JWT_SECRET) {
+    const now = Math.floor(Date.now() / 1000);
+    const expiresIn = Math.min(RESUME_TOKEN_MAX_AGE, (notAfter ?? Infinity) - now);
+
+    return jwt.sign({ sub: userId, sid: sessionId, role, typ: RESUME_TOKEN_TYPE }, secret,
+        { algorithm: 'HS256', expiresIn: Math.max(expiresIn, 0) });
+}
+
+/**
+ * Verify a resume token issued by createResumeToken()
+ * @param {string} token - The resume token
+ * @param {string} secret - The secret used to sign the token
+ * @returns {Object} { userId, sessionId, role, expiresAt }
+ * @throws {Error} If the token is invalid, expired (a `TokenExpiredError`) or not a resume token
+ */
+function verifyResumeToken(token, secret = process.env.JWT_SECRET) {
+    const claims = jwt.verify(token, secret, { algorithms: ['HS256'] });
+
+    // Tokens issued before resume tokens expired carry no `exp` and are refused
+    if (claims.typ !== RESUME_TOKEN_TYPE || !claims.sub || !claims.sid || !claims.exp) {
+        throw new Error('Not a resume token');
+    }
+
+    return {
+        userId: String(claims.sub),
+        sessionId: claims.sid,
+        role: normalizeRole(claims.role),
+        expiresAt: new Date(claims.exp * 1000)
+    };
+}
+
+module.exports = {
+    verifyToken,
+    createResumeToken,
+    verifyResumeToken,
+    extractBearerToken,
+    authenticateRequest,
+    authenticateSocket
+};
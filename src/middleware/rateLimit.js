@@ -0,0 +1,75 @@
+const { rateLimit } = require('express-rate-limit');
+
+/**
+ * Read rate limit settings from the environment
+ * @returns {Object} { windowMs, maxRequests, userMaxRequests, updateWindowMs, updateMaxRequests }
+ */
+function getRateLimitConfig() {
+    return {
+        // Window shared by all limits (15 minutes default)
+        windowMs: Number(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000,
+
+        // Requests allowed per IP across all API routes
+        maxRequests: Number(process.env.RATE_LIMIT_MAX_REQUESTS) || 100,
+
+        // Lock and edit-request operations allowed per user (REST and socket)
+        userMaxRequests: Number(process.env.USER_RATE_LIMIT_MAX_REQUESTS) || 30,
+
+        // Live `workflow-update` edits allowed per user, in their own window (1 minute default)
+        updateWindowMs: Number(process.env.WORKFLOW_UPDATE_RATE_LIMIT_WINDOW_MS) || 60 * 1000,
+        updateMaxRequests: Number(process.env.WORKFLOW_UPDATE_RATE_LIMIT_MAX_REQUESTS) || 120
+    };
+}
+
+/**
+ * Respond to a rate limited request with a 429 and retry hint
+ */
+function rateLimitHandler(req, res) {
+    const retryAfter = Math.max(1, Math.ceil((req.rateLimit.resetTime - Date.now()) / 1000));
+
+    res.set('Retry-After', String(retryAfter));
+    res.status(429).json({
+        success: false,
+        error: 'rate_limited',
+        message: 'Too many requests, please try again later',
+        retryAfter
+    });
+}
+
+/**
+ * Limit all API requests per client IP
+ * @param {Object} config - Rate limit config (defaults to environment)
+ * @returns {Function} Express middleware
+ */
+function createIpRateLimit(config = getRateLimitConfig()) {
+    return rateLimit({
+        windowMs: config.windowMs,
+        limit: config.maxRequests,
+        standardHeaders: 'draft-7',
+        legacyHeaders: false,
+        handler: rateLimitHandler
+    });
+}
+
+/**
+ * Limit lock and edit-request operations per authenticated user.
+ * Must be mounted after authentication so `req.user` is set.
+ * @param {Object} config - Rate limit config (defaults to environment)
+ * @returns {Function} Express middleware
+ */
+function createUserRateLimit(config = getRateLimitConfig()) {
+    return rateLimit({
+        windowMs: config.windowMs,
+        limit: config.userMaxRequests,
+        standardHeaders: 'draft-7',
+        legacyHeaders: false,
+        keyGenerator: req => `user:${req.user.userId}`,
+        handler: rateLimitHandler
+    });
+}
+
+module.exports = {
+    getRateLimitConfig,
+    createIpRateLimit,
+    createUserRateLimit
+};
@@ -0,0 +1,95 @@
+const helmet = require('helmet');
+
+/**
+ * Parse a comma separated origin allowlist (e.g. CORS_ORIGIN)
+ * @param {string} value - Comma separated origins; `*` allows any origin
+ * @returns {Array} Array of allowed origin patterns
+ */
+function parseAllowedOrigins(value = process.env.CORS_ORIGIN) {
+    if (!value) {
+        return ['*'];
+    }
+
+    return value
+        .split(',')
+        .map(origin => origin.trim().replace(/\/+$/, ''))
+        .filter(Boolean);
+}
+
+/**
+ * Check an origin against an allowlist.
+ * Patterns may contain `*` wildcards, e.g. `https://*.example.com` or `chrome-extension://*`.
+ * @param {string} origin - The request Origin header
+ * @param {Array} allowedOrigins - Allowed origin patterns
+ * @returns {boolean} True if the origin is allowed
+ */
+function isOriginAllowed(origin, allowedOrigins) {
+    // Non-browser clients (curl, server-to-server) send no Origin header
+    if (!origin) {
+        return true;
+    }
+
+    return allowedOrigins.some((pattern) => {
+        if (pattern === '*' || pattern === origin) {
+            return true;
+        }
+
+        if (!pattern.includes('*')) {
+            return false;
+        }
+
+        const regex = new RegExp(`^${pattern
+            .split('*')
+            .map(part => part.replace(/[.+?^${}()|[\]\\/]/g, '\\$&'))
+            .join('[^/]*')}$`);
+        return regex.test(origin);
+    });
+}
+
+/**
+ * Build CORS options shared by Express and Socket.IO
+ * @param {Array} allowedOrigins - Allowed origin patterns
+ * @returns {Object} Options for the `cors` package
+ */
+function createCorsOptions(allowedOrigins = parseAllowedOrigins()) {
+    return {
+        origin: (origin, callback) => callback(null, isOriginAllowed(origin, allowedOrigins)),
+        methods: ['GET', 'POST', 'PUT', 'DELETE'],
+        // X-Request-Id is accepted from clients and echoed back for log correlation
+        allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-Id'],
+        exposedHeaders: ['X-Request-Id'],
+        credentials: false
+    };
+}
+
+/**
+ * Socket.IO `allowRequest` hook rejecting handshakes from disallowed origins.
+ * CORS alone does not cover WebSocket upgrades, so the Origin is checked here too.
+ * @param {Array} allowedOrigins - Allowed origin patterns
+ * @returns {Function} allowRequest(req, callback)
+ */
+function createHandshakeOriginCheck(allowedOrigins = parseAllowedOrigins()) {
+    return (req, callback) => {
+        const allowed = isOriginAllowed(req.headers.origin, allowedOrigins);
+        callback(allowed ? null : 'Origin not allowed', allowed);
+    };
+}
+
+/**
+ * Security headers for HTTP responses
+ * @returns {Function} Express middleware
+ */
+function createSecurityHeaders() {
+    return helmet({
+        // Responses are consumed cross-origin by n8n pages and the Chrome extension
+        crossOriginResourcePolicy: { policy: 'cross-origin' }
+    });
+}
+
+module.exports = {
+    parseAllowedOrigins,
+    isOriginAllowed,
+    createCorsOptions,
+    createHandshakeOriginCheck,
+    createSecurityHeaders
+};
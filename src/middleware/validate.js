@@ -0,0 +1,98 @@
+const { restSchemas, socketSchemas } = require('../schemas');
+
+const VALIDATION_OPTIONS = {
+    abortEarly: false,
+    stripUnknown: true,
+    convert: true
+};
+
+/**
+ * Convert a Joi error into a list of { field, message } entries
+ * @param {Object} error - Joi validation error
+ * @param {string} location - Where the value came from (params, query, body, payload)
+ * @returns {Array} Array of field errors
+ */
+function formatDetails(error, location) {
+    return error.details.map(detail => ({
+        field: [location, ...detail.path].join('.'),
+        message: detail.message.replace(/"/g, '\'')
+    }));
+}
+
+/**
+ * Build the uniform validation error body
+ * @param {Array} details - Field errors
+ * @returns {Object} Error body
+ */
+function validationError(details) {
+    return {
+        success: false,
+        error: 'validation_error',
+        message: 'Request validation failed',
+        details
+    };
+}
+
+/**
+ * Express middleware validating params, query and body against a named route schema.
+ * Validated (and stripped) values replace the originals on `req`.
+ * @param {string} routeName - Key in restSchemas
+ * @returns {Function} Express middleware
+ */
+function validateRequest(routeName) {
+    const schema = restSchemas[routeName];
+
+    if (!schema) {
+        throw new Error(`No validation schema defined for route: ${routeName}`);
+    }
+
+    return (req, res, next) => {
+        const details = [];
+
+        ['params', 'query', 'body'].forEach((location) => {
+            if (!schema[location]) {
+                return;
+            }
+
+            const { value, error } = schema[location].validate(req[location] || {}, VALIDATION_OPTIONS);
+            if (error) {
+                details.push(...formatDetails(error, location));
+            } else {
+                req[location] = value;
+            }
+        });
+
+        if (details.length > 0) {
+            return res.status(400).json(validationError(details));
+        }
+
+        return next();
+    };
+}
+
+/**
+ * Validate a socket event payload
+ * @param {string} event - Socket event name
+ * @param {*} data - Event payload
+ * @returns {Object} { value } on success or { error } with the uniform error body
+ */
+function validateSocketPayload(event, data) {
+    const schema = socketSchemas[event];
+
+    if (!schema) {
+        throw new Error(`No validation schema defined for socket event: ${event}`);
+    }
+
+    const { value, error } = schema.validate(data ?? {}, VALIDATION_OPTIONS);
+    if (error) {
+        return { error: { ...validationError(formatDetails(error, 'payload')), event } };
+    }
+
+    return { value: value || {} };
+}
+
+module.exports = {
+    validateRequest,
+    validateSocketPayload,
+    validationError
+};
@@ -0,0 +1,69 @@
+const { releaseUserLockState } = require('./lockEvents');
+
+/**
+ * Build a `user-joined` / `user-left` payload for a workflow room.
+ * The roster is read after the change, so it already includes (or no
+ * longer includes) the user; `diff` lets clients update incrementally.
+ * @param {Object} userManager - User manager
+ * @param {string} workflowId - Workflow ID
+ * @param {Object} user - User who joined or left
+ * @param {string} change - 'joined' or 'left'
+ * @param {Object} extra - Additional fields (e.g. reason)
+ * @returns {Object} Event payload
+ */
+function createPresenceEvent(userManager, workflowId, user, change, extra = {}) {
+    const presence = userManager.toPresence(user);
+
+    return {
+        workflowId,
+        user: presence,
+        diff: {
+            added: change === 'joined' ? [presence] : [],
+            removed: change === 'left' ? [presence] : []
+        },
+        roster: userManager.getWorkflowRoster(workflowId),
+        ...extra,
+        timestamp: new Date()
+    };
+}
+
+/**
+ * Announce to each workflow room that inactive users were removed
+ * @param {Object} io - Socket.IO server
+ * @param {Object} userManager - User manager
+ * @param {Array} inactiveUsers - Users returned by cleanupInactiveUsers()
+ */
+function announceInactiveUsers(io, userManager, inactiveUsers) {
+    for (const user of inactiveUsers) {
+        for (const workflowId of user.workflowIds) {
+            io.to(`workflow:${workflowId}`).emit('user-left',
+                createPresenceEvent(userManager, workflowId, user, 'left', { reason: 'inactive' }));
+        }
+    }
+}
+
+/**
+ * Release the locks and queue entries of inactive users, remove them and announce
+ * it, so a removed user cannot keep a workflow locked or hold up its queue
+ * @param {Object} io - Socket.IO server
+ * @param {Object} userManager - User manager
+ * @param {Object} lockManager - Lock manager
+ * @param {Object} requestManager - Request manager
+ * @returns {Promise<Array>} Removed users (with the workflows they had joined)
+ */
+async function removeInactiveUsers(io, userManager, lockManager, requestManager) {
+    for (const user of userManager.getInactiveUsers()) {
+        await releaseUserLockState(io, userManager, lockManager, requestManager, user.userId, 'User inactive');
+    }
+
+    const inactiveUsers = userManager.cleanupInactiveUsers();
+    announceInactiveUsers(io, userManager, inactiveUsers);
+
+    return inactiveUsers;
+}
+
+module.exports = {
+    createPresenceEvent,
+    announceInactiveUsers,
+    removeInactiveUsers
+};
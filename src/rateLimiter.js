@@ -0,0 +1,90 @@
+class RateLimiter {
+    /**
+     * Token-bucket rate limiter keyed by an arbitrary string (e.g. userId)
+     * @param {Object} options - Limiter options
+     * @param {number} options.capacity - Maximum tokens per bucket (burst size)
+     * @param {number} options.windowMs - Time to refill an empty bucket completely
+     */
+    constructor(options = {}) {
+        // Map of key -> { tokens, updatedAt }
+        this.buckets = new Map();
+
+        this.capacity = options.capacity;
+        this.windowMs = options.windowMs;
+
+        // Tokens regained per millisecond
+        this.refillRate = this.capacity / this.windowMs;
+    }
+
+    /**
+     * Refill a bucket according to the time elapsed since it was last updated
+     * @param {string} key - Bucket key
+     * @returns {Object} The refilled bucket
+     */
+    refill(key) {
+        const now = Date.now();
+        const bucket = this.buckets.get(key) || { tokens: this.capacity, updatedAt: now };
+
+        bucket.tokens = Math.min(this.capacity, bucket.tokens + (now - bucket.updatedAt) * this.refillRate);
+        bucket.updatedAt = now;
+        this.buckets.set(key, bucket);
+
+        return bucket;
+    }
+
+    /**
+     * Take a token from a bucket
+     * @param {string} key - Bucket key
+     * @returns {Object} { allowed, remaining, retryAfterMs }
+     */
+    consume(key) {
+        const bucket = this.refill(key);
+
+        if (bucket.tokens >= 1) {
+            bucket.tokens -= 1;
+            return {
+                allowed: true,
+                remaining: Math.floor(bucket.tokens),
+                retryAfterMs: 0
+            };
+        }
+
+        return {
+            allowed: false,
+            remaining: 0,
+            retryAfterMs: Math.ceil((1 - bucket.tokens) / this.refillRate)
+        };
+    }
+
+    /**
+     * Remove buckets that have refilled completely
+     * @returns {number} Number of buckets removed
+     */
+    cleanup() {
+        let removedCount = 0;
+
+        for (const key of this.buckets.keys()) {
+            if (this.refill(key).tokens >= this.capacity) {
+                this.buckets.delete(key);
+                removedCount++;
+            }
+        }
+
+        return removedCount;
+    }
+
+    /**
+     * Get rate limiter statistics
+     * @returns {Object} Statistics object
+     */
+    getStats() {
+        return {
+            trackedKeys: this.buckets.size,
+            capacity: this.capacity,
+            windowMs: this.windowMs,
+            timestamp: new Date()
+        };
+    }
+}
+
+module.exports = RateLimiter;
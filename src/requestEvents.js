@@ -0,0 +1,104 @@
+/**
+ * Send a new or refreshed edit request to every session of the lock holder with
+ * `edit_request`. A request that replaced the requester's earlier one announces
+ * that one as cancelled.
+ * @param {Object} io - Socket.IO server
+ * @param {Object} userManager - User manager
+ * @param {Object} requestManager - Request manager
+ * @param {Object} request - Request returned by createRequest()
+ */
+function announceEditRequest(io, userManager, requestManager, request) {
+    if (request.supersedes) {
+        announceResolvedRequests(io, userManager, [requestManager.getRequest(request.supersedes)]);
+    }
+
+    io.to(`user:${request.targetUserId}`).emit('edit_request', {
+        requestId: request.id,
+        workflowId: request.workflowId,
+        requesterId: request.requesterId,
+        requesterName: userManager.getUser(request.requesterId)?.userName,
+        message: request.message || 'Requesting edit access',
+        refreshed: Boolean(request.refreshedAt),
+        expiresAt: request.expiresAt,
+        timestamp: request.refreshedAt || request.timestamp
+    });
+}
+
+/**
+ * Announce edit requests resolved without a response from the lock holder, with
+ * `edit_request_expired` or `edit_request_cancelled` (by the request's status),
+ * sent to every session of both the requester and the target
+ * @param {Object} io - Socket.IO server
+ * @param {Object} userManager - User manager
+ * @param {Array} requests - Expired or cancelled requests
+ * @param {string} reason - Reason included in each event (defaults to the request's response message)
+ */
+function announceResolvedRequests(io, userManager, requests, reason = null) {
+    for (const request of requests) {
+        const event = request.status === 'expired' ? 'edit_request_expired' : 'edit_request_cancelled';
+
+        io.to(`user:${request.requesterId}`).to(`user:${request.targetUserId}`).emit(event, {
+            requestId: request.id,
+            workflowId: request.workflowId,
+            requesterId: request.requesterId,
+            requesterName: userManager.getUser(request.requesterId)?.userName,
+            targetUserId: request.targetUserId,
+            status: request.status,
+            reason: request.status === 'expired'
+                ? 'Request expired'
+                : reason || request.responseMessage,
+            timestamp: new Date()
+        });
+    }
+}
+
+/**
+ * Resolve the pending edit requests of a workflow whose lock was released or changed
+ * hands since they were made, and notify both sides. Call after any change to a
+ * workflow's exclusive lock.
+ * @param {Object} io - Socket.IO server
+ * @param {Object} userManager - User manager
+ * @param {Object} lockManager - Lock manager (the lock is read after the change)
+ * @param {Object} requestManager - Request manager
+ * @param {string} workflowId - Workflow ID
+ * @returns {Array} Requests that were resolved
+ */
+function settleEditRequests(io, userManager, lockManager, requestManager, workflowId) {
+    const holderUserId = lockManager.getWorkflowLock(workflowId)?.userId ?? null;
+    const reason = holderUserId ? 'The lock changed hands' : 'The lock was released';
+
+    const resolved = requestManager.cancelStaleRequests(workflowId, holderUserId, reason);
+    announceResolvedRequests(io, userManager, resolved);
+
+    return resolved;
+}
+
+/**
+ * Hand the lock of an approved request's workflow from the target to the requester, bound to
+ * the session the request was made from and with the TTL it asked for. A request made over a
+ * socket whose session has since ended is refused, as nobody could use or release that lock.
+ * @param {Object} userManager - User manager
+ * @param {Object} lockManager - Lock manager
+ * @param {Object} request - Pending request being approved
+ * @returns {Promise<Object>} transferLock() result (run through lockManager.atomically())
+ */
+async function transferToRequester(userManager, lockManager, request) {
+    const sessionId = request.requesterSessionId ?? null;
+    if (sessionId && !userManager.getSession(request.requesterId, sessionId)) {
+        return {
+            success: false,
+            error: 'REQUESTER_DISCONNECTED',
+            message: 'The requester is no longer connected'
+        };
+    }
+
+    return lockManager.atomically(request.workflowId, () => lockManager.transferLock(request.workflowId,
+        request.targetUserId, request.requesterId, { sessionId, ttl: request.ttl ?? null }));
+}
+
+module.exports = {
+    announceEditRequest,
+    announceResolvedRequests,
+    settleEditRequests,
+    transferToRequester
+};
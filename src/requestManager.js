@@ -1,48 +1,89 @@
 
 const { v4: uuidv4 } = require('uuid');
+const { MemoryStore, persist, reviveDate } = require('./storage');
+const logger = require('./logger');
 
 class RequestManager {
-    constructor() {
+    constructor(options = {}) {
         // Map of requestId -> request information
         this.requests = new Map();
+
+        // Backing store the request map is written through to
+        this.store = options.store || new MemoryStore();
+
+        // Optional Prometheus metrics (see metrics.js)
+        this.metrics = options.metrics || null;
         
         // Request timeout (5 minutes)
         this.requestTimeout = 5 * 60 * 1000;
     }
 
     /**
-     * Create a new edit request
+     * Create a new edit request. A requester has at most one pending request per workflow:
+     * asking the same holder again refreshes that request's message and expiry (`refreshedAt`
+     * is set), while asking a different holder cancels it and the new request names it in
+     * `supersedes`.
      * @param {string} workflowId - Workflow ID
      * @param {string} requesterId - User requesting access
      * @param {string} targetUserId - User currently holding the lock
      * @param {string} message - Optional message from requester
-     * @returns {Object} Created request object
+     * @param {Object} options - { sessionId: socket the lock is handed to on approval (null for REST requests),
+     *   ttl: TTL in ms of that lock (null for the default) }
+     * @returns {Object} Created (or refreshed) request object
      */
-    createRequest(workflowId, requesterId, targetUserId, message = null) {
+    createRequest(workflowId, requesterId, targetUserId, message = null, options = {}) {
+        const { sessionId = null, ttl = null } = options;
+
         try {
-            const requestId = uuidv4();
             const now = new Date();
+            const existing = this.findPendingRequest(workflowId, requesterId);
+
+            if (existing?.targetUserId === targetUserId) {
+                existing.message = message;
+                existing.requesterSessionId = sessionId;
+                existing.ttl = ttl;
+                existing.expiresAt = new Date(now.getTime() + this.requestTimeout);
+                existing.refreshedAt = now;
+                this.persistRequest(existing.id);
+
+                return { ...existing };
+            }
+
+            if (existing) {
+                existing.status = 'cancelled';
+                existing.responseMessage = 'Superseded by a new request';
+                existing.respondedAt = now;
+                this.persistRequest(existing.id);
+                this.metrics?.recordRequestResolved(existing);
+            }
+
+            const requestId = uuidv4();
             
             const request = {
                 id: requestId,
                 workflowId,
                 requesterId,
+                requesterSessionId: sessionId,
                 targetUserId,
                 message,
+                ttl,
                 status: 'pending',
                 timestamp: now,
                 expiresAt: new Date(now.getTime() + this.requestTimeout),
+                refreshedAt: null,
+                supersedes: existing ? existing.id : null,
                 respondedAt: null,
                 response: null,
                 responseMessage: null
             };
 
             this.requests.set(requestId, request);
+            this.persistRequest(requestId);
 
             return { ...request };
 
         } catch (error) {
-            console.error('Error in createRequest:', error);
+            logger.error('Error in createRequest:', error);
             throw new Error('Failed to create edit request');
         }
     }
@@ -66,8 +107,8 @@ class RequestManager {
                 throw new Error('Request has already been responded to');
             }
 
+            // Left pending for the cleanup, which expires and announces it
             if (this.isRequestExpired(request)) {
-                request.status = 'expired';
                 throw new Error('Request has expired');
             }
 
@@ -76,15 +117,67 @@ class RequestManager {
             request.response = approved;
             request.responseMessage = message;
             request.respondedAt = now;
+            this.persistRequest(requestId);
+            this.metrics?.recordRequestResolved(request);
 
             return { ...request };
 
         } catch (error) {
-            console.error('Error in respondToRequest:', error);
+            logger.error('Error in respondToRequest:', error);
             throw error;
         }
     }
 
+    /**
+     * Respond to every pending request addressed to a user on a workflow at once:
+     * approve at most one of them and deny the rest
+     * @param {string} workflowId - Workflow ID
+     * @param {string} targetUserId - User the requests were made to
+     * @param {string|null} approvedRequestId - Request to approve (none if null)
+     * @param {string} message - Optional response message
+     * @returns {Array} Updated request objects
+     */
+    respondToWorkflowRequests(workflowId, targetUserId, approvedRequestId = null, message = null) {
+        return this.getPendingRequests(workflowId, targetUserId)
+            .map(request => this.respondToRequest(request.id, request.id === approvedRequestId, message));
+    }
+
+    /**
+     * Find a requester's pending request on a workflow
+     * @param {string} workflowId - Workflow ID
+     * @param {string} requesterId - User who made the request
+     * @returns {Object|null} The live request object, or null if there is none
+     */
+    findPendingRequest(workflowId, requesterId) {
+        for (const request of this.requests.values()) {
+            if (request.workflowId === workflowId && request.requesterId === requesterId
+                && request.status === 'pending' && !this.isRequestExpired(request)) {
+                return request;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the pending requests addressed to a user on a workflow
+     * @param {string} workflowId - Workflow ID
+     * @param {string} targetUserId - User the requests were made to
+     * @returns {Array} Array of pending requests, oldest first
+     */
+    getPendingRequests(workflowId, targetUserId) {
+        const pendingRequests = [];
+
+        for (const request of this.requests.values()) {
+            if (request.workflowId === workflowId && request.targetUserId === targetUserId
+                && request.status === 'pending' && !this.isRequestExpired(request)) {
+                pendingRequests.push({ ...request });
+            }
+        }
+
+        return pendingRequests.sort((a, b) => a.timestamp - b.timestamp);
+    }
+
     /**
      * Get a request by ID
      * @param {string} requestId - Request ID
@@ -170,11 +263,13 @@ class RequestManager {
 
             request.status = 'cancelled';
             request.respondedAt = new Date();
+            this.persistRequest(requestId);
+            this.metrics?.recordRequestResolved(request);
             
             return true;
 
         } catch (error) {
-            console.error('Error in cancelRequest:', error);
+            logger.error('Error in cancelRequest:', error);
             return false;
         }
     }
@@ -188,23 +283,67 @@ class RequestManager {
         return new Date() > request.expiresAt;
     }
 
+    /**
+     * Mark a pending request as expired
+     * @param {Object} request - Request object
+     */
+    expireRequest(request) {
+        request.status = 'expired';
+        this.persistRequest(request.id);
+        this.metrics?.recordRequestResolved(request);
+    }
+
     /**
      * Cleanup expired requests
-     * @returns {Array} Array of expired request IDs that were cleaned up
+     * @returns {Array} Requests that were expired by this cleanup
      */
     cleanupExpiredRequests() {
         const expiredRequests = [];
         
-        for (const [requestId, request] of this.requests.entries()) {
+        for (const request of this.requests.values()) {
             if (this.isRequestExpired(request) && request.status === 'pending') {
-                request.status = 'expired';
-                expiredRequests.push(requestId);
+                this.expireRequest(request);
+                expiredRequests.push({ ...request });
             }
         }
         
         return expiredRequests;
     }
 
+    /**
+     * Cancel pending requests on a workflow that are addressed to someone other than
+     * the current lock holder (the lock they asked for was released or changed hands)
+     * @param {string} workflowId - Workflow ID
+     * @param {string|null} holderUserId - Current exclusive lock holder, or null if unlocked
+     * @param {string} reason - Stored as the request's response message
+     * @returns {Array} Requests that were cancelled (or expired)
+     */
+    cancelStaleRequests(workflowId, holderUserId, reason) {
+        const cancelledRequests = [];
+
+        for (const request of this.requests.values()) {
+            if (request.workflowId !== workflowId || request.status !== 'pending'
+                || request.targetUserId === holderUserId) {
+                continue;
+            }
+
+            // Requests that ran out in the meantime are reported as expired instead
+            if (this.isRequestExpired(request)) {
+                this.expireRequest(request);
+            } else {
+                request.status = 'cancelled';
+                request.responseMessage = reason;
+                request.respondedAt = new Date();
+                this.persistRequest(request.id);
+                this.metrics?.recordRequestResolved(request);
+            }
+
+            cancelledRequests.push({ ...request });
+        }
+
+        return cancelledRequests;
+    }
+
     /**
      * Remove old completed/expired requests to prevent memory leaks
      * @param {number} maxAge - Maximum age in milliseconds (default: 1 hour)
@@ -218,6 +357,7 @@ class RequestManager {
         for (const [requestId, request] of this.requests.entries()) {
             if (request.timestamp < cutoffTime && request.status !== 'pending') {
                 this.requests.delete(requestId);
+                this.persistRequest(requestId);
                 removedCount++;
             }
         }
@@ -225,6 +365,67 @@ class RequestManager {
         return removedCount;
     }
 
+    /**
+     * Write a request's current state through to the store
+     * @param {string} requestId - Request ID
+     */
+    persistRequest(requestId) {
+        persist(this.store, 'requests', requestId, this.requests.get(requestId) || null);
+    }
+
+    /**
+     * Convert a stored request record back into a request
+     * @param {Object} record - Request record from the store
+     * @returns {Object} Request object
+     */
+    reviveRequest(record) {
+        return {
+            ...record,
+            timestamp: reviveDate(record.timestamp),
+            expiresAt: reviveDate(record.expiresAt),
+            refreshedAt: reviveDate(record.refreshedAt),
+            respondedAt: reviveDate(record.respondedAt)
+        };
+    }
+
+    /**
+     * Apply a change made by another instance, without writing it back
+     * @param {string} requestId - Request ID
+     * @param {Object|null} record - New request record, or null if removed
+     */
+    applyRemote(requestId, record) {
+        if (record) {
+            this.requests.set(requestId, this.reviveRequest(record));
+        } else {
+            this.requests.delete(requestId);
+        }
+    }
+
+    /**
+     * Restore pending requests loaded from the store, discarding expired
+     * and already resolved ones
+     * @param {Array} records - Request records from the store
+     * @returns {Object} Counts of restored and discarded requests
+     */
+    rehydrate(records) {
+        let restored = 0;
+        let discarded = 0;
+
+        for (const record of records) {
+            const request = this.reviveRequest(record);
+
+            if (request.status === 'pending' && !this.isRequestExpired(request)) {
+                this.requests.set(request.id, request);
+                restored++;
+            } else {
+                persist(this.store, 'requests', request.id, null);
+                discarded++;
+            }
+        }
+
+        return { restored, discarded };
+    }
+
     /**
      * Get request statistics
      * @returns {Object} Statistics object
@@ -240,15 +441,12 @@ class RequestManager {
             cancelled: 0
         };
         
-        for (const [requestId, request] of this.requests.entries()) {
+        for (const request of this.requests.values()) {
             stats.total++;
             
-            // Update expired status if needed
-            if (request.status === 'pending' && this.isRequestExpired(request)) {
-                request.status = 'expired';
-            }
-            
-            stats[request.status]++;
+            // Pending requests past their expiry count as expired; the cleanup marks and announces them
+            const expired = request.status === 'pending' && this.isRequestExpired(request);
+            stats[expired ? 'expired' : request.status]++;
         }
         
         return {
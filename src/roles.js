@@ -0,0 +1,49 @@
+/**
+ * Collaboration roles, ordered from least to most privileged
+ */
+const ROLES = ['viewer', 'editor', 'maintainer', 'admin'];
+
+// Role assumed when a token carries no role claim
+const DEFAULT_ROLE = 'editor';
+
+// Roles allowed to take over a lock held by someone else
+const DEFAULT_FORCE_LOCK_ROLES = ['maintainer', 'admin'];
+
+/**
+ * Normalize a role claim to a known role
+ * @param {string} role - Role from token claims
+ * @returns {string} A known role (unknown roles get the least privilege)
+ */
+function normalizeRole(role) {
+    if (role === undefined || role === null || role === '') {
+        return DEFAULT_ROLE;
+    }
+
+    const normalized = String(role).toLowerCase();
+    return ROLES.includes(normalized) ? normalized : 'viewer';
+}
+
+/**
+ * Parse a comma separated role list (e.g. from an env var)
+ * @param {string} value - Comma separated roles
+ * @param {Array} fallback - Roles to use when value is empty
+ * @returns {Array} Array of known roles
+ */
+function parseRoleList(value, fallback = []) {
+    if (!value) {
+        return [...fallback];
+    }
+
+    return value
+        .split(',')
+        .map(role => role.trim().toLowerCase())
+        .filter(role => ROLES.includes(role));
+}
+
+module.exports = {
+    ROLES,
+    DEFAULT_ROLE,
+    DEFAULT_FORCE_LOCK_ROLES,
+    normalizeRole,
+    parseRoleList
+};
@@ -1,12 +1,51 @@
 
 const express = require('express');
+const { authenticateRequest } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validate');
+const { createIpRateLimit, createUserRateLimit } = require('../middleware/rateLimit');
+const { removeInactiveUsers } = require('../presence');
+const {
+    createNodeLockEvent,
+    announceReleasedNodeLocks,
+    announceReleasedLocks,
+    announceRenewedLock,
+    announceQueueChange,
+    announceLockTransfer,
+    expireLocks
+} = require('../lockEvents');
+const {
+    announceEditRequest,
+    announceResolvedRequests,
+    settleEditRequests,
+    transferToRequester
+} = require('../requestEvents');
 
 function createApiRoutes(lockManager, userManager, requestManager, io) {
     const router = express.Router();
 
-    // Middleware for logging API requests
+    // Per-user limit shared by lock and edit-request operations
+    const userRateLimit = createUserRateLimit();
+
+    // Middleware for logging API requests (sensitive body fields are redacted by the logger)
     router.use((req, res, next) => {
-        console.log(`[${new Date().toISOString()}] API ${req.method} ${req.path}`, req.body ? JSON.stringify(req.body) : '');
+        req.log.debug('API request', { method: req.method, path: req.path, body: req.body });
+        next();
+    });
+
+    // Limit every client IP before doing any token work
+    router.use(createIpRateLimit());
+
+    // Every API route requires a verified identity; user ids come from the token
+    router.use(authenticateRequest);
+
+    // Attach the user and workflow to every log line of the request
+    router.use((req, res, next) => {
+        req.log = req.log.child({ userId: req.user.userId });
+        next();
+    });
+
+    router.param('workflowId', (req, res, next, workflowId) => {
+        req.log = req.log.child({ workflowId });
         next();
     });
 
@@ -25,7 +64,7 @@ function createApiRoutes(lockManager, userManager, requestManager, io) {
                 count: locks.length
             });
         } catch (error) {
-            console.error('Error getting locks:', error);
+            req.log.error('Error getting locks:', error);
             res.status(500).json({
                 success: false,
                 error: 'Failed to retrieve locks'
@@ -35,9 +74,9 @@ function createApiRoutes(lockManager, userManager, requestManager, io) {
 
     /**
      * GET /api/locks/:workflowId
-     * Get lock status for a specific workflow
+     * Get lock status, its holders and the queue of users waiting for it
      */
-    router.get('/locks/:workflowId', (req, res) => {
+    router.get('/locks/:workflowId', validateRequest('getWorkflowLock'), (req, res) => {
         try {
             const { workflowId } = req.params;
             const lock = lockManager.getWorkflowLock(workflowId);
@@ -45,10 +84,12 @@ function createApiRoutes(lockManager, userManager, requestManager, io) {
             res.json({
                 success: true,
                 data: lock,
-                isLocked: !!lock
+                isLocked: !!lock,
+                holders: lockManager.getLockHolders(workflowId),
+                queue: lockManager.getLockQueue(workflowId)
             });
         } catch (error) {
-            console.error('Error getting workflow lock:', error);
+            req.log.error('Error getting workflow lock:', error);
             res.status(500).json({
                 success: false,
                 error: 'Failed to retrieve workflow lock'
@@ -60,19 +101,14 @@ function createApiRoutes(lockManager, userManager, requestManager, io) {
      * POST /api/locks/:workflowId/request
      * Request a lock on a workflow
      */
-    router.post('/locks/:workflowId/request', (req, res) => {
+    router.post('/locks/:workflowId/request', userRateLimit, validateRequest('requestLock'), async (req, res) => {
         try {
             const { workflowId } = req.params;
-            const { userId, force = false } = req.body;
-
-            if (!userId) {
-                return res.status(400).json({
-                    success: false,
-                    error: 'Missing required field: userId'
-                });
-            }
+            const { force = false, mode, ttl } = req.body;
+            const { userId, role } = req.user;
 
-            const result = lockManager.requestLock(workflowId, userId, force);
+            const result = await lockManager.atomically(workflowId,
+                () => lockManager.requestLock(workflowId, userId, force, role, { mode, ttl }));
             
             if (result.success) {
                 // Update user activity
@@ -83,15 +119,36 @@ function createApiRoutes(lockManager, userManager, requestManager, io) {
                     workflowId,
                     userId,
                     userName: userManager.getUser(userId)?.userName || 'Unknown User',
+                    mode: result.lockInfo.mode,
+                    holders: lockManager.getLockHolders(workflowId),
                     timestamp: new Date()
                 });
+
+                // Shared and node locks of other users are released by a forced workflow lock
+                announceReleasedLocks(io, userManager, result.releasedSharedLocks || [], 'Workflow lock forced');
+                announceReleasedNodeLocks(io, userManager, result.releasedNodeLocks || [], 'Workflow lock forced');
+
+                if (result.leftQueue) {
+                    announceQueueChange(io, userManager, lockManager, workflowId);
+                }
+
+                // Requests made to a holder who was forced out no longer apply
+                settleEditRequests(io, userManager, lockManager, requestManager, workflowId);
                 
                 res.json(result);
             } else {
-                res.status(result.error === 'WORKFLOW_LOCKED' ? 409 : 400).json(result);
+                const statusCodes = {
+                    WORKFLOW_LOCKED: 409,
+                    NODES_LOCKED: 409,
+                    SHARED_LOCKED: 409,
+                    QUEUE_NOT_EMPTY: 409,
+                    LOCK_CONFLICT: 409,
+                    FORCE_NOT_PERMITTED: 403
+                };
+                res.status(statusCodes[result.error] || 400).json(result);
             }
         } catch (error) {
-            console.error('Error requesting lock:', error);
+            req.log.error('Error requesting lock:', error);
             res.status(500).json({
                 success: false,
                 error: 'Failed to request lock'
@@ -103,19 +160,13 @@ function createApiRoutes(lockManager, userManager, requestManager, io) {
      * DELETE /api/locks/:workflowId
      * Release a lock on a workflow
      */
-    router.delete('/locks/:workflowId', (req, res) => {
+    router.delete('/locks/:workflowId', userRateLimit, validateRequest('releaseLock'), async (req, res) => {
         try {
             const { workflowId } = req.params;
-            const { userId } = req.body;
+            const { userId } = req.user;
 
-            if (!userId) {
-                return res.status(400).json({
-                    success: false,
-                    error: 'Missing required field: userId'
-                });
-            }
-
-            const result = lockManager.releaseLock(workflowId, userId);
+            const result = await lockManager.atomically(workflowId,
+                () => lockManager.releaseLock(workflowId, userId));
             
             if (result.success) {
                 // Broadcast lock release to all clients in the workflow room
@@ -123,15 +174,25 @@ function createApiRoutes(lockManager, userManager, requestManager, io) {
                     workflowId,
                     userId,
                     userName: userManager.getUser(userId)?.userName || 'Unknown User',
+                    mode: result.mode,
+                    holders: lockManager.getLockHolders(workflowId),
                     timestamp: new Date()
                 });
+
+                // The next queued user receives the lock
+                if (result.handedOffTo) {
+                    announceQueueChange(io, userManager, lockManager, workflowId, result.handedOffTo);
+                }
+
+                settleEditRequests(io, userManager, lockManager, requestManager, workflowId);
                 
                 res.json(result);
             } else {
-                res.status(result.error === 'NO_LOCK' ? 404 : 403).json(result);
+                const statusCodes = { NO_LOCK: 404, LOCK_CONFLICT: 409 };
+                res.status(statusCodes[result.error] || 403).json(result);
             }
         } catch (error) {
-            console.error('Error releasing lock:', error);
+            req.log.error('Error releasing lock:', error);
             res.status(500).json({
                 success: false,
                 error: 'Failed to release lock'
@@ -139,11 +200,181 @@ function createApiRoutes(lockManager, userManager, requestManager, io) {
         }
     });
 
+    /**
+     * POST /api/locks/:workflowId/renew
+     * Extend the caller's lock on a workflow by its TTL
+     */
+    router.post('/locks/:workflowId/renew', userRateLimit, validateRequest('renewLock'), async (req, res) => {
+        try {
+            const { workflowId } = req.params;
+            const { userId } = req.user;
+
+            const result = await lockManager.atomically(workflowId,
+                () => lockManager.renewLock(workflowId, userId));
+
+            if (result.success) {
+                userManager.updateUserActivity(userId);
+                announceRenewedLock(io, userManager, result.lockInfo);
+
+                res.json(result);
+            } else {
+                const statusCodes = { NO_LOCK: 404, LOCK_CONFLICT: 409 };
+                res.status(statusCodes[result.error] || 403).json(result);
+            }
+        } catch (error) {
+            req.log.error('Error renewing lock:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to renew lock'
+            });
+        }
+    });
+
+    /**
+     * POST /api/locks/:workflowId/upgrade, POST /api/locks/:workflowId/downgrade
+     * Switch a held lock between shared and exclusive mode
+     */
+    ['upgrade', 'downgrade'].forEach((change) => {
+        router.post(`/locks/:workflowId/${change}`, userRateLimit, validateRequest(`${change}Lock`), async (req, res) => {
+            try {
+                const { workflowId } = req.params;
+                const { userId } = req.user;
+
+                const result = await lockManager.atomically(workflowId, () => (change === 'upgrade'
+                    ? lockManager.upgradeLock(workflowId, userId)
+                    : lockManager.downgradeLock(workflowId, userId)));
+
+                if (result.success) {
+                    userManager.updateUserActivity(userId);
+
+                    io.to(`workflow:${workflowId}`).emit('lock_mode_changed', {
+                        workflowId,
+                        userId,
+                        userName: userManager.getUser(userId)?.userName || 'Unknown User',
+                        mode: result.lockInfo.mode,
+                        holders: lockManager.getLockHolders(workflowId),
+                        timestamp: new Date()
+                    });
+
+                    if (result.leftQueue) {
+                        announceQueueChange(io, userManager, lockManager, workflowId);
+                    }
+
+                    settleEditRequests(io, userManager, lockManager, requestManager, workflowId);
+
+                    res.json(result);
+                } else {
+                    const statusCodes = {
+                        NOT_SHARED_HOLDER: 404,
+                        NOT_EXCLUSIVE_HOLDER: 404,
+                        SHARED_LOCKED: 409,
+                        NODES_LOCKED: 409,
+                        QUEUE_NOT_EMPTY: 409,
+                        LOCK_CONFLICT: 409
+                    };
+                    res.status(statusCodes[result.error] || 400).json(result);
+                }
+            } catch (error) {
+                req.log.error(`Error in lock ${change}:`, error);
+                res.status(500).json({
+                    success: false,
+                    error: `Failed to ${change} lock`
+                });
+            }
+        });
+    });
+
+    /**
+     * POST /api/locks/:workflowId/queue
+     * Wait in line for a workflow's lock
+     */
+    router.post('/locks/:workflowId/queue', userRateLimit, validateRequest('enqueueLock'), async (req, res) => {
+        try {
+            const { workflowId } = req.params;
+            const { userId } = req.user;
+
+            const result = await lockManager.atomically(workflowId,
+                () => lockManager.enqueueLock(workflowId, userId));
+
+            if (result.success) {
+                userManager.updateUserActivity(userId);
+                announceQueueChange(io, userManager, lockManager, workflowId, result.handedOffTo);
+
+                res.json(result);
+            } else {
+                const statusCodes = { ALREADY_LOCKED: 409, LOCK_CONFLICT: 409 };
+                res.status(statusCodes[result.error] || 400).json(result);
+            }
+        } catch (error) {
+            req.log.error('Error joining lock queue:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to join the lock queue'
+            });
+        }
+    });
+
+    /**
+     * DELETE /api/locks/:workflowId/queue
+     * Stop waiting for a workflow's lock
+     */
+    router.delete('/locks/:workflowId/queue', userRateLimit, validateRequest('leaveLockQueue'), async (req, res) => {
+        try {
+            const { workflowId } = req.params;
+            const { userId } = req.user;
+
+            const result = await lockManager.atomically(workflowId,
+                () => lockManager.leaveLockQueue(workflowId, userId));
+
+            if (result.success) {
+                announceQueueChange(io, userManager, lockManager, workflowId, result.handedOffTo);
+
+                res.json(result);
+            } else {
+                const statusCodes = { NOT_QUEUED: 404, LOCK_CONFLICT: 409 };
+                res.status(statusCodes[result.error] || 400).json(result);
+            }
+        } catch (error) {
+            req.log.error('Error leaving lock queue:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to leave the lock queue'
+            });
+        }
+    });
+
+    /**
+     * POST /api/locks/:workflowId/validate
+     * Check a fencing token against the caller's current lock (e.g. from a save hook)
+     */
+    router.post('/locks/:workflowId/validate', validateRequest('validateLock'), (req, res) => {
+        try {
+            const { workflowId } = req.params;
+            const { fencingToken } = req.body;
+            const { userId } = req.user;
+
+            const result = lockManager.validateLock(workflowId, userId, fencingToken);
+
+            if (result.success) {
+                res.json(result);
+            } else {
+                const statusCodes = { STALE_FENCING_TOKEN: 409, NO_LOCK: 409 };
+                res.status(statusCodes[result.error] || 400).json(result);
+            }
+        } catch (error) {
+            req.log.error('Error validating lock:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to validate lock'
+            });
+        }
+    });
+
     /**
      * GET /api/locks/user/:userId
      * Get all locks for a specific user
      */
-    router.get('/locks/user/:userId', (req, res) => {
+    router.get('/locks/user/:userId', validateRequest('getUserLocks'), (req, res) => {
         try {
             const { userId } = req.params;
             const locks = lockManager.getUserLocks(userId);
@@ -154,7 +385,7 @@ function createApiRoutes(lockManager, userManager, requestManager, io) {
                 count: locks.length
             });
         } catch (error) {
-            console.error('Error getting user locks:', error);
+            req.log.error('Error getting user locks:', error);
             res.status(500).json({
                 success: false,
                 error: 'Failed to retrieve user locks'
@@ -162,6 +393,128 @@ function createApiRoutes(lockManager, userManager, requestManager, io) {
         }
     });
 
+    /**
+     * GET /api/locks/:workflowId/nodes
+     * Get the node locks of a workflow
+     */
+    router.get('/locks/:workflowId/nodes', validateRequest('getNodeLocks'), (req, res) => {
+        try {
+            const { workflowId } = req.params;
+            const nodeLocks = lockManager.getNodeLocks(workflowId);
+
+            res.json({
+                success: true,
+                data: nodeLocks,
+                count: nodeLocks.length
+            });
+        } catch (error) {
+            req.log.error('Error getting node locks:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to retrieve node locks'
+            });
+        }
+    });
+
+    /**
+     * POST /api/locks/:workflowId/nodes/:nodeId/request
+     * Request a lock on a node (or the '$settings' pseudo-resource)
+     */
+    router.post('/locks/:workflowId/nodes/:nodeId/request', userRateLimit, validateRequest('requestNodeLock'), async (req, res) => {
+        try {
+            const { workflowId, nodeId } = req.params;
+            const { ttl = null } = req.body;
+            const { userId } = req.user;
+
+            const result = await lockManager.atomically(workflowId,
+                () => lockManager.requestNodeLock(workflowId, nodeId, userId, null, { ttl }));
+
+            if (result.success) {
+                userManager.updateUserActivity(userId);
+
+                // Broadcast node lock acquisition to all clients in the workflow room
+                io.to(`workflow:${workflowId}`).emit('node_lock_acquired',
+                    createNodeLockEvent(userManager, result.lockInfo, { expiresAt: result.lockInfo.expiresAt }));
+
+                res.json(result);
+            } else {
+                const statusCodes = { WORKFLOW_LOCKED: 409, NODE_LOCKED: 409, LOCK_CONFLICT: 409 };
+                res.status(statusCodes[result.error] || 400).json(result);
+            }
+        } catch (error) {
+            req.log.error('Error requesting node lock:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to request node lock'
+            });
+        }
+    });
+
+    /**
+     * POST /api/locks/:workflowId/nodes/:nodeId/renew
+     * Extend the caller's lock on a node by its TTL
+     */
+    router.post('/locks/:workflowId/nodes/:nodeId/renew', userRateLimit, validateRequest('renewNodeLock'), async (req, res) => {
+        try {
+            const { workflowId, nodeId } = req.params;
+            const { userId } = req.user;
+
+            const result = await lockManager.atomically(workflowId,
+                () => lockManager.renewLock(workflowId, userId, nodeId));
+
+            if (result.success) {
+                userManager.updateUserActivity(userId);
+                announceRenewedLock(io, userManager, result.lockInfo);
+
+                res.json(result);
+            } else {
+                const statusCodes = { NO_LOCK: 404, LOCK_CONFLICT: 409 };
+                res.status(statusCodes[result.error] || 403).json(result);
+            }
+        } catch (error) {
+            req.log.error('Error renewing node lock:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to renew node lock'
+            });
+        }
+    });
+
+    /**
+     * DELETE /api/locks/:workflowId/nodes/:nodeId
+     * Release a lock on a node
+     */
+    router.delete('/locks/:workflowId/nodes/:nodeId', userRateLimit, validateRequest('releaseNodeLock'), async (req, res) => {
+        try {
+            const { workflowId, nodeId } = req.params;
+            const { userId } = req.user;
+
+            const result = await lockManager.atomically(workflowId,
+                () => lockManager.releaseNodeLock(workflowId, nodeId, userId));
+
+            if (result.success) {
+                // Broadcast node lock release to all clients in the workflow room
+                io.to(`workflow:${workflowId}`).emit('node_lock_released',
+                    createNodeLockEvent(userManager, { workflowId, nodeId, userId }));
+
+                if (result.handedOffTo) {
+                    announceQueueChange(io, userManager, lockManager, workflowId, result.handedOffTo);
+                }
+
+                res.json(result);
+            } else {
+                const statusCodes = { NO_LOCK: 404, LOCK_CONFLICT: 409 };
+                res.status(statusCodes[result.error] || 403).json(result);
+            }
+        } catch (error) {
+            req.log.error('Error releasing node lock:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to release node lock'
+            });
+        }
+    });
+
     // ============ USER ENDPOINTS ============
 
     /**
@@ -177,7 +530,7 @@ function createApiRoutes(lockManager, userManager, requestManager, io) {
                 count: users.length
             });
         } catch (error) {
-            console.error('Error getting users:', error);
+            req.log.error('Error getting users:', error);
             res.status(500).json({
                 success: false,
                 error: 'Failed to retrieve users'
@@ -189,7 +542,7 @@ function createApiRoutes(lockManager, userManager, requestManager, io) {
      * GET /api/users/:userId
      * Get information about a specific user
      */
-    router.get('/users/:userId', (req, res) => {
+    router.get('/users/:userId', validateRequest('getUser'), (req, res) => {
         try {
             const { userId } = req.params;
             const user = userManager.getUser(userId);
@@ -206,7 +559,7 @@ function createApiRoutes(lockManager, userManager, requestManager, io) {
                 data: user
             });
         } catch (error) {
-            console.error('Error getting user:', error);
+            req.log.error('Error getting user:', error);
             res.status(500).json({
                 success: false,
                 error: 'Failed to retrieve user'
@@ -218,7 +571,7 @@ function createApiRoutes(lockManager, userManager, requestManager, io) {
      * GET /api/users/workflow/:workflowId
      * Get all users working on a specific workflow
      */
-    router.get('/users/workflow/:workflowId', (req, res) => {
+    router.get('/users/workflow/:workflowId', validateRequest('getWorkflowUsers'), (req, res) => {
         try {
             const { workflowId } = req.params;
             const users = userManager.getWorkflowUsers(workflowId);
@@ -229,7 +582,7 @@ function createApiRoutes(lockManager, userManager, requestManager, io) {
                 count: users.length
             });
         } catch (error) {
-            console.error('Error getting workflow users:', error);
+            req.log.error('Error getting workflow users:', error);
             res.status(500).json({
                 success: false,
                 error: 'Failed to retrieve workflow users'
@@ -241,15 +594,15 @@ function createApiRoutes(lockManager, userManager, requestManager, io) {
      * PUT /api/users/:userId/workflow
      * Update user's current workflow
      */
-    router.put('/users/:userId/workflow', (req, res) => {
+    router.put('/users/:userId/workflow', validateRequest('updateUserWorkflow'), (req, res) => {
         try {
             const { userId } = req.params;
             const { workflowId } = req.body;
 
-            if (!workflowId) {
-                return res.status(400).json({
+            if (userId !== req.user.userId) {
+                return res.status(403).json({
                     success: false,
-                    error: 'Missing required field: workflowId'
+                    error: 'Cannot update another user\'s workflow'
                 });
             }
 
@@ -267,7 +620,7 @@ function createApiRoutes(lockManager, userManager, requestManager, io) {
                 });
             }
         } catch (error) {
-            console.error('Error updating user workflow:', error);
+            req.log.error('Error updating user workflow:', error);
             res.status(500).json({
                 success: false,
                 error: 'Failed to update user workflow'
@@ -281,7 +634,7 @@ function createApiRoutes(lockManager, userManager, requestManager, io) {
      * GET /api/requests
      * Get all active requests (with optional filtering)
      */
-    router.get('/requests', (req, res) => {
+    router.get('/requests', validateRequest('listRequests'), (req, res) => {
         try {
             const { userId, workflowId, status } = req.query;
             let requests = [];
@@ -310,7 +663,7 @@ function createApiRoutes(lockManager, userManager, requestManager, io) {
                 count: requests.length
             });
         } catch (error) {
-            console.error('Error getting requests:', error);
+            req.log.error('Error getting requests:', error);
             res.status(500).json({
                 success: false,
                 error: 'Failed to retrieve requests'
@@ -322,16 +675,10 @@ function createApiRoutes(lockManager, userManager, requestManager, io) {
      * POST /api/requests
      * Create a new edit request
      */
-    router.post('/requests', (req, res) => {
+    router.post('/requests', userRateLimit, validateRequest('createRequest'), (req, res) => {
         try {
-            const { workflowId, requesterId, targetUserId, message } = req.body;
-
-            if (!workflowId || !requesterId || !targetUserId) {
-                return res.status(400).json({
-                    success: false,
-                    error: 'Missing required fields: workflowId, requesterId, targetUserId'
-                });
-            }
+            const { workflowId, targetUserId, message, ttl = null } = req.body;
+            const requesterId = req.user.userId;
 
             // Verify the workflow is actually locked by the target user
             const lockState = lockManager.getWorkflowLock(workflowId);
@@ -342,30 +689,19 @@ function createApiRoutes(lockManager, userManager, requestManager, io) {
                 });
             }
 
-            const request = requestManager.createRequest(workflowId, requesterId, targetUserId, message);
+            // Asking again refreshes the requester's pending request instead of adding another
+            const request = requestManager.createRequest(workflowId, requesterId, targetUserId, message, { ttl });
             
             // Notify the target user via WebSocket if they're connected
-            const targetUser = userManager.getUser(targetUserId);
-            const requesterUser = userManager.getUser(requesterId);
-            
-            if (targetUser?.socketId) {
-                io.to(targetUser.socketId).emit('edit_request', {
-                    requestId: request.id,
-                    workflowId,
-                    requesterId,
-                    requesterName: requesterUser?.userName || 'Unknown User',
-                    message: message || 'Requesting edit access',
-                    timestamp: request.timestamp
-                });
-            }
+            announceEditRequest(io, userManager, requestManager, request);
 
-            res.status(201).json({
+            res.status(request.refreshedAt ? 200 : 201).json({
                 success: true,
                 data: request,
-                message: 'Edit request created successfully'
+                message: request.refreshedAt ? 'Edit request refreshed' : 'Edit request created successfully'
             });
         } catch (error) {
-            console.error('Error creating request:', error);
+            req.log.error('Error creating request:', error);
             res.status(500).json({
                 success: false,
                 error: 'Failed to create edit request'
@@ -377,17 +713,11 @@ function createApiRoutes(lockManager, userManager, requestManager, io) {
      * PUT /api/requests/:requestId/respond
      * Respond to an edit request
      */
-    router.put('/requests/:requestId/respond', (req, res) => {
+    router.put('/requests/:requestId/respond', validateRequest('respondToRequest'), async (req, res) => {
         try {
             const { requestId } = req.params;
-            const { approved, message, userId } = req.body;
-
-            if (approved === undefined || !userId) {
-                return res.status(400).json({
-                    success: false,
-                    error: 'Missing required fields: approved, userId'
-                });
-            }
+            const { approved, message } = req.body;
+            const { userId } = req.user;
 
             const request = requestManager.getRequest(requestId);
             if (!request) {
@@ -404,12 +734,39 @@ function createApiRoutes(lockManager, userManager, requestManager, io) {
                 });
             }
 
-            const updatedRequest = requestManager.respondToRequest(requestId, approved, message);
-            
+            if (request.status !== 'pending' || requestManager.isRequestExpired(request)) {
+                return res.status(409).json({
+                    success: false,
+                    error: 'REQUEST_NOT_PENDING',
+                    message: 'Request is no longer pending'
+                });
+            }
+
+            // An approval hands the lock straight to the requester. This happens before the approval
+            // is recorded, so a failed transfer leaves the request pending.
+            let transfer = null;
+            if (approved) {
+                transfer = await transferToRequester(userManager, lockManager, request);
+                if (!transfer.success) {
+                    return res.status(409).json(transfer);
+                }
+            }
+
+            // The lock has moved by now, so it is announced even if the request ran out meanwhile
+            let updatedRequest = null;
+            try {
+                updatedRequest = requestManager.respondToRequest(requestId, approved, message);
+            } catch (error) {
+                if (!transfer) {
+                    throw error;
+                }
+                req.log.warn('Lock transferred but the approval could not be recorded', { requestId, error: error.message });
+            }
+
             // Notify the requester via WebSocket
             const requesterUser = userManager.getUser(request.requesterId);
-            if (requesterUser?.socketId) {
-                io.to(requesterUser.socketId).emit('request_response', {
+            if (updatedRequest && requesterUser) {
+                io.to(`user:${request.requesterId}`).emit('request_response', {
                     requestId,
                     workflowId: request.workflowId,
                     approved,
@@ -418,27 +775,21 @@ function createApiRoutes(lockManager, userManager, requestManager, io) {
                 });
             }
 
-            // If approved, automatically release the lock
-            if (approved) {
-                const releaseResult = lockManager.releaseLock(request.workflowId, userId);
-                if (releaseResult.success) {
-                    io.to(`workflow:${request.workflowId}`).emit('lock_released', {
-                        workflowId: request.workflowId,
-                        userId,
-                        userName: userManager.getUser(userId)?.userName || 'Unknown User',
-                        timestamp: new Date(),
-                        reason: 'Released due to approved edit request'
-                    });
-                }
+            if (transfer) {
+                announceLockTransfer(io, userManager, lockManager, transfer, requestId);
+
+                // Other requests to the previous holder are void now they no longer hold the lock
+                settleEditRequests(io, userManager, lockManager, requestManager, request.workflowId);
             }
 
             res.json({
                 success: true,
-                data: updatedRequest,
+                data: updatedRequest || requestManager.getRequest(requestId),
+                ...(transfer && { lockInfo: transfer.lockInfo }),
                 message: `Request ${approved ? 'approved' : 'denied'} successfully`
             });
         } catch (error) {
-            console.error('Error responding to request:', error);
+            req.log.error('Error responding to request:', error);
             res.status(500).json({
                 success: false,
                 error: error.message || 'Failed to respond to request'
@@ -447,24 +798,84 @@ function createApiRoutes(lockManager, userManager, requestManager, io) {
     });
 
     /**
-     * DELETE /api/requests/:requestId
-     * Cancel an edit request
+     * PUT /api/requests/workflow/:workflowId/respond
+     * Respond to all of the caller's pending edit requests on a workflow: approve at most one, deny the rest
      */
-    router.delete('/requests/:requestId', (req, res) => {
+    router.put('/requests/workflow/:workflowId/respond', validateRequest('respondToWorkflowRequests'), async (req, res) => {
         try {
-            const { requestId } = req.params;
-            const { userId } = req.body;
-
-            if (!userId) {
-                return res.status(400).json({
+            const { workflowId } = req.params;
+            const { approveRequestId = null, message } = req.body;
+            const { userId } = req.user;
+
+            const approvedRequest = approveRequestId
+                ? requestManager.getPendingRequests(workflowId, userId).find(request => request.id === approveRequestId)
+                : null;
+            if (approveRequestId && !approvedRequest) {
+                return res.status(409).json({
                     success: false,
-                    error: 'Missing required field: userId'
+                    error: 'REQUEST_NOT_PENDING',
+                    message: 'Request is no longer pending'
+                });
+            }
+
+            // As with a single approval, the lock moves before any response is recorded
+            let transfer = null;
+            if (approvedRequest) {
+                transfer = await transferToRequester(userManager, lockManager, approvedRequest);
+                if (!transfer.success) {
+                    return res.status(409).json(transfer);
+                }
+            }
+
+            const responses = requestManager.respondToWorkflowRequests(workflowId, userId, approveRequestId, message);
+
+            // Notify each requester via WebSocket
+            responses.forEach((request) => {
+                io.to(`user:${request.requesterId}`).emit('request_response', {
+                    requestId: request.id,
+                    workflowId,
+                    approved: request.response,
+                    message: message || (request.response ? 'Request approved' : 'Request denied'),
+                    timestamp: request.respondedAt
                 });
+            });
+
+            if (transfer) {
+                announceLockTransfer(io, userManager, lockManager, transfer, approveRequestId);
+                settleEditRequests(io, userManager, lockManager, requestManager, workflowId);
             }
 
+            res.json({
+                success: true,
+                data: responses,
+                ...(transfer && { lockInfo: transfer.lockInfo }),
+                message: `${responses.length} request(s) answered`
+            });
+        } catch (error) {
+            req.log.error('Error responding to workflow requests:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to respond to requests'
+            });
+        }
+    });
+
+    /**
+     * DELETE /api/requests/:requestId
+     * Cancel an edit request
+     */
+    router.delete('/requests/:requestId', validateRequest('cancelRequest'), (req, res) => {
+        try {
+            const { requestId } = req.params;
+            const { userId } = req.user;
+
             const success = requestManager.cancelRequest(requestId, userId);
             
             if (success) {
+                // Close the request on the lock holder's side (and the requester's other sessions)
+                announceResolvedRequests(io, userManager, [requestManager.getRequest(requestId)],
+                    'Cancelled by the requester');
+
                 res.json({
                     success: true,
                     message: 'Request cancelled successfully'
@@ -476,7 +887,7 @@ function createApiRoutes(lockManager, userManager, requestManager, io) {
                 });
             }
         } catch (error) {
-            console.error('Error cancelling request:', error);
+            req.log.error('Error cancelling request:', error);
             res.status(500).json({
                 success: false,
                 error: error.message || 'Failed to cancel request'
@@ -510,7 +921,7 @@ function createApiRoutes(lockManager, userManager, requestManager, io) {
                 }
             });
         } catch (error) {
-            console.error('Error getting stats:', error);
+            req.log.error('Error getting stats:', error);
             res.status(500).json({
                 success: false,
                 error: 'Failed to retrieve statistics'
@@ -522,28 +933,26 @@ function createApiRoutes(lockManager, userManager, requestManager, io) {
      * POST /api/cleanup
      * Manually trigger cleanup of expired locks and inactive users
      */
-    router.post('/cleanup', (req, res) => {
+    router.post('/cleanup', async (req, res) => {
         try {
-            const expiredLocks = lockManager.cleanupExpiredLocks();
-            const inactiveUsers = userManager.cleanupInactiveUsers();
+            const inactiveUsers = await removeInactiveUsers(io, userManager, lockManager, requestManager);
             const expiredRequests = requestManager.cleanupExpiredRequests();
             const oldRequests = requestManager.cleanupOldRequests();
 
-            // Broadcast lock releases
-            expiredLocks.forEach(({ workflowId, userId }) => {
-                io.to(`workflow:${workflowId}`).emit('lock_released', {
-                    workflowId,
-                    userId,
-                    userName: 'System',
-                    timestamp: new Date(),
-                    reason: 'Lock expired due to inactivity'
-                });
-            });
+            // Tell both sides about requests that ran out
+            announceResolvedRequests(io, userManager, expiredRequests);
+
+            // Release expired locks and give freed locks to the users waiting for them
+            const { expiredLocks, expiredNodeLocks, expiredQueueEntries, handedOff } = await expireLocks(io,
+                userManager, lockManager, requestManager);
 
             res.json({
                 success: true,
                 data: {
                     expiredLocks: expiredLocks.length,
+                    expiredNodeLocks: expiredNodeLocks.length,
+                    expiredQueueEntries: expiredQueueEntries.length,
+                    handedOffLocks: handedOff.length,
                     inactiveUsers: inactiveUsers.length,
                     expiredRequests: expiredRequests.length,
                     oldRequestsRemoved: oldRequests
@@ -551,7 +960,7 @@ function createApiRoutes(lockManager, userManager, requestManager, io) {
                 message: 'Cleanup completed successfully'
             });
         } catch (error) {
-            console.error('Error during cleanup:', error);
+            req.log.error('Error during cleanup:', error);
             res.status(500).json({
                 success: false,
                 error: 'Failed to perform cleanup'
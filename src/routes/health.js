@@ -0,0 +1,94 @@
+const express = require('express');
+
+function createHealthRoutes(healthMonitor) {
+    const router = express.Router();
+
+    /**
+     * GET /health, GET /health/live
+     * Liveness: the process is up and serving HTTP
+     */
+    router.get(['/health', '/health/live'], (req, res) => {
+        res.json({
+            success: true,
+            status: 'healthy',
+            timestamp: new Date().toISOString(),
+            uptime: process.uptime()
+        });
+    });
+
+    /**
+     * GET /health/ready
+     * Readiness: state restored, event loop responsive, store and Socket.IO available
+     */
+    router.get('/health/ready', async (req, res) => {
+        try {
+            const { ready, checks } = await healthMonitor.checkReadiness();
+
+            if (!ready) {
+                req.log.warn('Readiness check failed', { checks });
+            }
+
+            res.status(ready ? 200 : 503).json({
+                success: ready,
+                status: ready ? 'ready' : 'not_ready',
+                checks,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            req.log.error('Error in readiness check:', error);
+            res.status(503).json({
+                success: false,
+                status: 'not_ready',
+                error: 'Readiness check failed'
+            });
+        }
+    });
+
+    /**
+     * GET /status
+     * Version, configuration summary and connected-client counts
+     */
+    router.get('/status', (req, res) => {
+        try {
+            res.json({
+                success: true,
+                data: healthMonitor.getStatus()
+            });
+        } catch (error) {
+            req.log.error('Error getting status:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to retrieve status'
+            });
+        }
+    });
+
+    /**
+     * GET /ws-health
+     * Perform a real Engine.IO handshake against this server
+     */
+    router.get('/ws-health', async (req, res) => {
+        try {
+            const handshake = await healthMonitor.loopbackHandshake();
+
+            res.json({
+                success: true,
+                status: 'healthy',
+                handshake,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            req.log.warn('WebSocket health check failed', { reason: error.message });
+            res.status(503).json({
+                success: false,
+                status: 'unhealthy',
+                error: 'WS_HANDSHAKE_FAILED',
+                message: error.message
+            });
+        }
+    });
+
+    return router;
+}
+
+module.exports = createHealthRoutes;
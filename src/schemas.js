@@ -0,0 +1,215 @@
+const Joi = require('joi');
+
+// Shared field definitions
+const workflowId = Joi.string().trim().min(1).max(128);
+const userId = Joi.string().trim().min(1).max(128);
+const requestId = Joi.string().guid({ version: 'uuidv4' });
+const message = Joi.string().trim().max(500).allow('', null);
+const force = Joi.boolean().strict().default(false);
+const approved = Joi.boolean().strict();
+const coordinate = Joi.number().min(-1e6).max(1e6);
+const nodeId = Joi.string().trim().min(1).max(256);
+const lockMode = Joi.string().valid('exclusive', 'shared').default('exclusive');
+const fencingToken = Joi.number().integer().min(1);
+// Requested lock TTL in ms; clamped to LOCK_TTL_MIN_MS..LOCK_TTL_MAX_MS by the lock manager
+const lockTtl = Joi.number().integer().min(1);
+// Workflow changes are relayed to every room member, so both their shape and encoded size are bounded
+const maxWorkflowChangeBytes = Number(process.env.WORKFLOW_UPDATE_MAX_BYTES) || 256 * 1024;
+const workflowChanges = Joi.alternatives(Joi.object().max(1000), Joi.array().max(1000))
+    .custom((value, helpers) => (Buffer.byteLength(JSON.stringify(value)) > maxWorkflowChangeBytes
+        ? helpers.message(`"changes" must not exceed ${maxWorkflowChangeBytes} bytes`)
+        : value));
+
+/**
+ * Schemas for REST routes, keyed by route name.
+ * Each entry may define `params`, `query` and `body` schemas.
+ */
+const restSchemas = {
+    getWorkflowLock: {
+        params: Joi.object({ workflowId: workflowId.required() })
+    },
+    requestLock: {
+        params: Joi.object({ workflowId: workflowId.required() }),
+        body: Joi.object({ force, mode: lockMode, ttl: lockTtl })
+    },
+    renewLock: {
+        params: Joi.object({ workflowId: workflowId.required() })
+    },
+    validateLock: {
+        params: Joi.object({ workflowId: workflowId.required() }),
+        body: Joi.object({ fencingToken: fencingToken.required() })
+    },
+    upgradeLock: {
+        params: Joi.object({ workflowId: workflowId.required() })
+    },
+    downgradeLock: {
+        params: Joi.object({ workflowId: workflowId.required() })
+    },
+    releaseLock: {
+        params: Joi.object({ workflowId: workflowId.required() })
+    },
+    enqueueLock: {
+        params: Joi.object({ workflowId: workflowId.required() })
+    },
+    leaveLockQueue: {
+        params: Joi.object({ workflowId: workflowId.required() })
+    },
+    getNodeLocks: {
+        params: Joi.object({ workflowId: workflowId.required() })
+    },
+    requestNodeLock: {
+        params: Joi.object({ workflowId: workflowId.required(), nodeId: nodeId.required() }),
+        body: Joi.object({ ttl: lockTtl })
+    },
+    renewNodeLock: {
+        params: Joi.object({ workflowId: workflowId.required(), nodeId: nodeId.required() })
+    },
+    releaseNodeLock: {
+        params: Joi.object({ workflowId: workflowId.required(), nodeId: nodeId.required() })
+    },
+    getUserLocks: {
+        params: Joi.object({ userId: userId.required() })
+    },
+    getUser: {
+        params: Joi.object({ userId: userId.required() })
+    },
+    getWorkflowUsers: {
+        params: Joi.object({ workflowId: workflowId.required() })
+    },
+    updateUserWorkflow: {
+        params: Joi.object({ userId: userId.required() }),
+        body: Joi.object({ workflowId: workflowId.required() })
+    },
+    listRequests: {
+        query: Joi.object({
+            userId,
+            workflowId,
+            status: Joi.string().valid('pending', 'approved', 'denied', 'expired', 'cancelled')
+        })
+    },
+    createRequest: {
+        body: Joi.object({
+            workflowId: workflowId.required(),
+            targetUserId: userId.required(),
+            message,
+            ttl: lockTtl
+        })
+    },
+    respondToRequest: {
+        params: Joi.object({ requestId: requestId.required() }),
+        body: Joi.object({
+            approved: approved.required(),
+            message
+        })
+    },
+    respondToWorkflowRequests: {
+        params: Joi.object({ workflowId: workflowId.required() }),
+        body: Joi.object({
+            approveRequestId: requestId.allow(null),
+            message
+        })
+    },
+    cancelRequest: {
+        params: Joi.object({ requestId: requestId.required() })
+    }
+};
+
+/**
+ * Schemas for socket event payloads, keyed by event name
+ */
+const socketSchemas = {
+    identify: Joi.object({
+        token: Joi.string().max(4096),
+        userName: Joi.string().trim().min(1).max(100),
+        email: Joi.string().trim().email({ tlds: false }).max(254),
+        workflowId: workflowId.allow(null)
+    }),
+    resume: Joi.object({
+        token: Joi.string().max(4096).required()
+    }),
+    request_lock: Joi.object({
+        workflowId: workflowId.required(),
+        force,
+        mode: lockMode,
+        ttl: lockTtl
+    }),
+    renew_lock: Joi.object({
+        workflowId: workflowId.required(),
+        nodeId
+    }),
+    validate_lock: Joi.object({
+        workflowId: workflowId.required(),
+        fencingToken: fencingToken.required()
+    }),
+    upgrade_lock: Joi.object({
+        workflowId: workflowId.required()
+    }),
+    downgrade_lock: Joi.object({
+        workflowId: workflowId.required()
+    }),
+    release_lock: Joi.object({
+        workflowId: workflowId.required()
+    }),
+    enqueue_lock: Joi.object({
+        workflowId: workflowId.required()
+    }),
+    leave_lock_queue: Joi.object({
+        workflowId: workflowId.required()
+    }),
+    request_node_lock: Joi.object({
+        workflowId: workflowId.required(),
+        nodeId: nodeId.required(),
+        ttl: lockTtl
+    }),
+    release_node_lock: Joi.object({
+        workflowId: workflowId.required(),
+        nodeId: nodeId.required()
+    }),
+    list_node_locks: Joi.object({
+        workflowId: workflowId.required()
+    }),
+    request_edit_access: Joi.object({
+        workflowId: workflowId.required(),
+        message,
+        ttl: lockTtl
+    }),
+    respond_edit_request: Joi.object({
+        requestId: requestId.required(),
+        approved: approved.required(),
+        message
+    }),
+    respond_edit_requests: Joi.object({
+        workflowId: workflowId.required(),
+        approveRequestId: requestId.allow(null),
+        message
+    }),
+    heartbeat: Joi.object({
+        extendLocks: Joi.boolean().strict().default(false)
+    }).allow(null),
+    'join-workflow': Joi.object({
+        workflowId: workflowId.required()
+    }),
+    'leave-workflow': Joi.object({
+        workflowId: workflowId.required()
+    }),
+    'cursor-position': Joi.object({
+        workflowId: workflowId.required(),
+        x: coordinate.required(),
+        y: coordinate.required()
+    }),
+    'workflow-update': Joi.object({
+        workflowId: workflowId.required(),
+        baseVersion: Joi.number().integer().min(0).required(),
+        changes: workflowChanges.required()
+    }),
+    'user-selection': Joi.object({
+        workflowId: workflowId.required(),
+        selectedNodeIds: Joi.array().items(nodeId).max(500).default([]),
+        openNodeId: nodeId.allow(null).default(null)
+    })
+};
+
+module.exports = {
+    restSchemas,
+    socketSchemas
+};
@@ -0,0 +1,105 @@
+const fs = require('fs');
+const path = require('path');
+const MemoryStore = require('./memoryStore');
+const logger = require('../logger');
+
+/**
+ * File-backed state store. Keeps state in memory and writes a JSON
+ * snapshot to disk shortly after every change (atomic rename).
+ */
+class FileStore extends MemoryStore {
+    /**
+     * @param {Object} options - Store options
+     * @param {string} options.filePath - Path of the JSON state file
+     * @param {number} options.flushDelay - Debounce before writing changes (ms)
+     */
+    constructor(options = {}) {
+        super();
+        this.filePath = path.resolve(options.filePath || 'data/state.json');
+        this.flushDelay = options.flushDelay ?? 100;
+        this.flushTimer = null;
+        this.flushing = Promise.resolve();
+    }
+
+    async init() {
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+
+        let contents;
+        try {
+            contents = await fs.promises.readFile(this.filePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return true;
+            }
+            throw error;
+        }
+
+        const snapshot = JSON.parse(contents);
+        for (const [collection, records] of Object.entries(snapshot)) {
+            this.collections.set(collection, new Map(Object.entries(records)));
+        }
+
+        return true;
+    }
+
+    async save(collection, id, record) {
+        await super.save(collection, id, record);
+        this.scheduleFlush();
+    }
+
+    async delete(collection, id) {
+        await super.delete(collection, id);
+        this.scheduleFlush();
+    }
+
+    async ping() {
+        // The snapshot is written to a temp file next to the state file
+        await fs.promises.access(path.dirname(this.filePath), fs.constants.W_OK);
+        return true;
+    }
+
+    /**
+     * Debounce writes so bursts of changes produce a single write
+     */
+    scheduleFlush() {
+        if (this.flushTimer) {
+            return;
+        }
+
+        this.flushTimer = setTimeout(() => {
+            this.flushTimer = null;
+            this.flush().catch(error => logger.error('Error writing state file:', error));
+        }, this.flushDelay);
+    }
+
+    /**
+     * Write the current snapshot to disk
+     * @returns {Promise} Resolves once the snapshot is written
+     */
+    flush() {
+        const snapshot = {};
+        for (const [collection, records] of this.collections.entries()) {
+            snapshot[collection] = Object.fromEntries(records);
+        }
+
+        // Serialize writes so an older snapshot never replaces a newer one
+        this.flushing = this.flushing.then(async () => {
+            const tempPath = `${this.filePath}.tmp`;
+            await fs.promises.writeFile(tempPath, JSON.stringify(snapshot));
+            await fs.promises.rename(tempPath, this.filePath);
+        });
+
+        return this.flushing;
+    }
+
+    async close() {
+        if (this.flushTimer) {
+            clearTimeout(this.flushTimer);
+            this.flushTimer = null;
+        }
+        await this.flush();
+        return true;
+    }
+}
+
+module.exports = FileStore;
@@ -0,0 +1,72 @@
+const MemoryStore = require('./memoryStore');
+const FileStore = require('./fileStore');
+const PostgresStore = require('./postgresStore');
+const SharedStore = require('./sharedStore');
+const logger = require('../logger');
+
+/**
+ * Create the state store selected by STORAGE_DRIVER (memory, file or postgres)
+ * @param {Object} env - Environment variables
+ * @returns {Object} A store instance
+ */
+function createStore(env = process.env) {
+    const driver = (env.STORAGE_DRIVER || 'memory').toLowerCase();
+
+    switch (driver) {
+        case 'memory':
+            return new MemoryStore();
+
+        case 'file':
+            return new FileStore({ filePath: env.STORAGE_FILE || 'data/state.json' });
+
+        case 'postgres':
+            return new PostgresStore({
+                host: env.DB_HOST || 'localhost',
+                port: Number(env.DB_PORT) || 5432,
+                database: env.DB_NAME,
+                user: env.DB_USER,
+                password: env.DB_PASSWORD,
+                ssl: env.DB_SSL === 'true' ? { rejectUnauthorized: false } : undefined
+            });
+
+        default:
+            throw new Error(`Unknown STORAGE_DRIVER: ${driver}`);
+    }
+}
+
+/**
+ * Write a record through to a store without blocking the caller.
+ * The in-memory maps stay authoritative; failed writes are logged.
+ * @param {Object} store - State store
+ * @param {string} collection - Collection name
+ * @param {string} id - Record ID
+ * @param {Object|null} record - Record to save, or null to delete
+ */
+function persist(store, collection, id, record) {
+    const operation = record
+        ? store.save(collection, id, record)
+        : store.delete(collection, id);
+
+    Promise.resolve(operation).catch((error) => {
+        logger.error(`Error persisting ${collection}/${id}:`, error);
+    });
+}
+
+/**
+ * Convert a serialized date back into a Date
+ * @param {string|Date|null} value - Date value
+ * @returns {Date|null} Date or null
+ */
+function reviveDate(value) {
+    return value ? new Date(value) : null;
+}
+
+module.exports = {
+    createStore,
+    persist,
+    reviveDate,
+    MemoryStore,
+    FileStore,
+    PostgresStore,
+    SharedStore
+};
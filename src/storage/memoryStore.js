@@ -0,0 +1,88 @@
+/**
+ * In-memory state store. State is lost when the process exits.
+ *
+ * All stores share this interface:
+ *   init()                      -> Promise
+ *   loadAll(collection)         -> Promise<Array>
+ *   save(collection, id, data)  -> Promise
+ *   delete(collection, id)      -> Promise
+ *   transaction(collection, id, operation) -> Promise (result of operation)
+ *   ping()                      -> Promise (rejects if the backend is unavailable)
+ *   close()                     -> Promise
+ */
+class MemoryStore {
+    constructor() {
+        // Map of collection -> Map of id -> record
+        this.collections = new Map();
+    }
+
+    async init() {
+        return true;
+    }
+
+    /**
+     * Get (or create) the map backing a collection
+     * @param {string} collection - Collection name (locks, users, requests)
+     * @returns {Map} Map of id -> record
+     */
+    getCollection(collection) {
+        if (!this.collections.has(collection)) {
+            this.collections.set(collection, new Map());
+        }
+        return this.collections.get(collection);
+    }
+
+    /**
+     * Load every record of a collection
+     * @param {string} collection - Collection name
+     * @returns {Promise<Array>} Array of records
+     */
+    async loadAll(collection) {
+        return [...this.getCollection(collection).values()].map(record => structuredClone(record));
+    }
+
+    /**
+     * Insert or replace a record
+     * @param {string} collection - Collection name
+     * @param {string} id - Record ID
+     * @param {Object} record - Record data
+     */
+    async save(collection, id, record) {
+        this.getCollection(collection).set(id, structuredClone(record));
+    }
+
+    /**
+     * Remove a record
+     * @param {string} collection - Collection name
+     * @param {string} id - Record ID
+     */
+    async delete(collection, id) {
+        this.getCollection(collection).delete(id);
+    }
+
+    /**
+     * Run an operation that must see and commit consistent state for a record.
+     * A single process is always consistent, so the operation simply runs.
+     * @param {string} collection - Collection name
+     * @param {string} id - Record ID
+     * @param {Function} operation - Synchronous operation
+     * @returns {Promise<*>} The operation's result
+     */
+    async transaction(collection, id, operation) {
+        return operation();
+    }
+
+    /**
+     * Check that the backend is reachable
+     * @returns {Promise<boolean>} Resolves true, rejects if unavailable
+     */
+    async ping() {
+        return true;
+    }
+
+    async close() {
+        return true;
+    }
+}
+
+module.exports = MemoryStore;
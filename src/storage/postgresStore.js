@@ -0,0 +1,99 @@
+/**
+ * PostgreSQL state store. Records are kept as JSONB rows keyed by
+ * (collection, id) in a single table.
+ */
+class PostgresStore {
+    /**
+     * @param {Object} options - Connection options passed to `pg.Pool`
+     * @param {string} options.tableName - Table holding the state rows
+     */
+    constructor(options = {}) {
+        const { tableName = 'collaboration_state', ...connection } = options;
+
+        // Loaded lazily so the dependency is only needed when Postgres is configured
+        const { Pool } = require('pg');
+
+        this.pool = new Pool(connection);
+        this.tableName = tableName;
+
+        // Map of "collection:id" -> promise of the last write, to keep writes ordered per record
+        this.pendingWrites = new Map();
+    }
+
+    async init() {
+        await this.pool.query(`
+            CREATE TABLE IF NOT EXISTS ${this.tableName} (
+                collection TEXT NOT NULL,
+                id TEXT NOT NULL,
+                data JSONB NOT NULL,
+                updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+                PRIMARY KEY (collection, id)
+            )
+        `);
+        return true;
+    }
+
+    /**
+     * Run a write after any earlier write to the same record has finished
+     * @param {string} key - Record key
+     * @param {Function} write - Function returning a promise
+     * @returns {Promise} Resolves when the write completes
+     */
+    enqueue(key, write) {
+        const previous = this.pendingWrites.get(key) || Promise.resolve();
+        const next = previous.catch(() => {}).then(write);
+
+        this.pendingWrites.set(key, next);
+        next.finally(() => {
+            if (this.pendingWrites.get(key) === next) {
+                this.pendingWrites.delete(key);
+            }
+        }).catch(() => {});
+
+        return next;
+    }
+
+    async loadAll(collection) {
+        const result = await this.pool.query(
+            `SELECT data FROM ${this.tableName} WHERE collection = $1`,
+            [collection]
+        );
+        return result.rows.map(row => row.data);
+    }
+
+    save(collection, id, record) {
+        return this.enqueue(`${collection}:${id}`, () => this.pool.query(
+            `INSERT INTO ${this.tableName} (collection, id, data, updated_at)
+             VALUES ($1, $2, $3, NOW())
+             ON CONFLICT (collection, id) DO UPDATE SET data = EXCLUDED.data, updated_at = NOW()`,
+            [collection, id, JSON.stringify(record)]
+        ));
+    }
+
+    delete(collection, id) {
+        return this.enqueue(`${collection}:${id}`, () => this.pool.query(
+            `DELETE FROM ${this.tableName} WHERE collection = $1 AND id = $2`,
+            [collection, id]
+        ));
+    }
+
+    /**
+     * Single-instance deployments only; multi-instance setups use the shared store
+     */
+    async transaction(collection, id, operation) {
+        return operation();
+    }
+
+    async ping() {
+        await this.pool.query('SELECT 1');
+        return true;
+    }
+
+    async close() {
+        await Promise.allSettled([...this.pendingWrites.values()]);
+        await this.pool.end();
+        return true;
+    }
+}
+
+module.exports = PostgresStore;
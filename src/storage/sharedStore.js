@@ -0,0 +1,223 @@
+const { v4: uuidv4 } = require('uuid');
+
+const MAX_TRANSACTION_ATTEMPTS = 3;
+
+/**
+ * Store shared by every node of a cluster, backed by a broker.
+ *
+ * The managers keep working on their in-memory maps; every write is a
+ * compare-and-set against the version this node last saw. A write based on
+ * stale state is dropped and the fresh value is applied locally instead.
+ * Changes are published so other nodes keep their maps in sync.
+ */
+class SharedStore {
+    /**
+     * @param {Object} options - Store options
+     * @param {Object} options.broker - Broker instance
+     * @param {string} options.namespace - Key prefix for this deployment
+     */
+    constructor(options = {}) {
+        this.broker = options.broker;
+        this.namespace = options.namespace || 'n8n-collaboration';
+        this.nodeId = uuidv4();
+        this.channel = `${this.namespace}:changes`;
+        this.shared = true;
+
+        // Per-record bookkeeping, keyed by "collection:id"
+        this.versions = new Map();      // last version seen by this node
+        this.queues = new Map();        // promise of the last queued write
+        this.generations = new Map();   // bumped whenever local state turns out to be stale
+        this.conflicts = new Set();     // records with a dropped write since the last sync
+
+        this.remoteChangeHandler = null;
+        this.unsubscribe = null;
+    }
+
+    /**
+     * Register the callback applying remote changes to the in-memory maps
+     * @param {Function} handler - (collection, id, record|null) => void
+     */
+    onRemoteChange(handler) {
+        this.remoteChangeHandler = handler;
+    }
+
+    async init() {
+        this.unsubscribe = await this.broker.subscribe(this.channel, message => this.handleNotification(message));
+        return true;
+    }
+
+    recordKey(collection, id) {
+        return `${collection}:${id}`;
+    }
+
+    brokerKey(collection, id) {
+        return `${this.namespace}:${collection}:${id}`;
+    }
+
+    async loadAll(collection) {
+        const prefix = `${this.namespace}:${collection}:`;
+        const entries = await this.broker.list(prefix);
+
+        return entries.map(({ key, version, value }) => {
+            this.versions.set(this.recordKey(collection, key.slice(prefix.length)), version);
+            return value;
+        });
+    }
+
+    save(collection, id, record) {
+        return this.write(collection, id, record);
+    }
+
+    delete(collection, id) {
+        return this.write(collection, id, null);
+    }
+
+    /**
+     * Queue a conditional write for a record
+     * @param {string} collection - Collection name
+     * @param {string} id - Record ID
+     * @param {Object|null} record - New record, or null to delete
+     * @returns {Promise<boolean>} True if the write was applied
+     */
+    write(collection, id, record) {
+        const key = this.recordKey(collection, id);
+        const generation = this.generations.get(key) || 0;
+
+        // Snapshot now; the caller may keep mutating the object
+        const value = record ? JSON.parse(JSON.stringify(record)) : null;
+
+        const run = async () => {
+            // Local state was found to be stale after this write was queued
+            if ((this.generations.get(key) || 0) !== generation) {
+                return false;
+            }
+
+            const result = await this.broker.compareAndSet(
+                this.brokerKey(collection, id),
+                this.versions.get(key) || 0,
+                value
+            );
+
+            if (result.ok) {
+                this.versions.set(key, result.version);
+                await this.broker.publish(this.channel, {
+                    nodeId: this.nodeId,
+                    collection,
+                    id,
+                    version: result.version,
+                    record: value
+                });
+                return true;
+            }
+
+            this.markStale(key);
+            this.applyRemote(collection, id, result.version, result.value);
+            return false;
+        };
+
+        const next = (this.queues.get(key) || Promise.resolve()).then(run, run);
+        this.queues.set(key, next);
+        return next;
+    }
+
+    /**
+     * Drop queued writes for a record and flag the conflict
+     * @param {string} key - Record key
+     */
+    markStale(key) {
+        this.generations.set(key, (this.generations.get(key) || 0) + 1);
+        this.conflicts.add(key);
+    }
+
+    applyRemote(collection, id, version, record) {
+        this.versions.set(this.recordKey(collection, id), version);
+        if (this.remoteChangeHandler) {
+            this.remoteChangeHandler(collection, id, record);
+        }
+    }
+
+    /**
+     * Apply a change published by another node
+     * @param {Object} message - { nodeId, collection, id, version, record }
+     */
+    handleNotification(message) {
+        if (message.nodeId === this.nodeId) {
+            return;
+        }
+
+        const key = this.recordKey(message.collection, message.id);
+        if (message.version <= (this.versions.get(key) || 0)) {
+            return;
+        }
+
+        this.markStale(key);
+        this.applyRemote(message.collection, message.id, message.version, message.record);
+    }
+
+    /**
+     * Wait for queued writes of a record to settle
+     * @param {string} key - Record key
+     */
+    async settle(key) {
+        await (this.queues.get(key) || Promise.resolve()).catch(() => {});
+    }
+
+    /**
+     * Load the authoritative value of a record into the local maps
+     * @param {string} collection - Collection name
+     * @param {string} id - Record ID
+     */
+    async sync(collection, id) {
+        const key = this.recordKey(collection, id);
+
+        await this.settle(key);
+        const { version, value } = await this.broker.get(this.brokerKey(collection, id));
+
+        this.conflicts.delete(key);
+        this.applyRemote(collection, id, version, value);
+    }
+
+    /**
+     * Run a synchronous operation against up-to-date state for one record and
+     * commit its writes atomically, retrying if another node got there first.
+     * The operation runs once per attempt, so it must not have effects beyond the
+     * record (events, metrics); act on the result once this resolves instead.
+     * @param {string} collection - Collection name
+     * @param {string} id - Record ID
+     * @param {Function} operation - Synchronous operation mutating the record
+     * @returns {Promise<*>} The operation's result
+     * @throws {Error} With code 'CONFLICT' if every attempt lost the race
+     */
+    async transaction(collection, id, operation) {
+        const key = this.recordKey(collection, id);
+
+        for (let attempt = 0; attempt < MAX_TRANSACTION_ATTEMPTS; attempt++) {
+            await this.sync(collection, id);
+
+            const result = operation();
+
+            await this.settle(key);
+            if (!this.conflicts.has(key)) {
+                return result;
+            }
+        }
+
+        const error = new Error(`Concurrent update conflict on ${collection}/${id}`);
+        error.code = 'CONFLICT';
+        throw error;
+    }
+
+    ping() {
+        return this.broker.ping();
+    }
+
+    async close() {
+        await Promise.allSettled([...this.queues.values()]);
+        if (this.unsubscribe) {
+            await this.unsubscribe();
+        }
+        return true;
+    }
+}
+
+module.exports = SharedStore;
@@ -1,15 +1,23 @@
 
+const { DEFAULT_ROLE } = require('./roles');
+const { MemoryStore, persist, reviveDate } = require('./storage');
+const logger = require('./logger');
+
 class UserManager {
-    constructor() {
+    constructor(options = {}) {
         // Map of userId -> user information
         this.users = new Map();
+
+        // Backing store the user map is written through to
+        this.store = options.store || new MemoryStore();
         
         // Inactivity timeout (10 minutes)
         this.inactivityTimeout = 10 * 60 * 1000;
     }
 
     /**
-     * Register a new user session
+     * Register a user session. A user already connected (another tab or device)
+     * keeps their workflows and selections and gains the new session.
      * @param {string} userId - Unique user identifier
      * @param {Object} userInfo - User information
      * @returns {Object} Registration result
@@ -17,20 +25,61 @@ class UserManager {
     registerUser(userId, userInfo) {
         try {
             const now = new Date();
+            const session = {
+                sessionId: userInfo.sessionId || userInfo.socketId,
+                socketId: userInfo.socketId,
+                connectedAt: now,
+                status: 'connected',
+                // Workflows this session follows; the user leaves a workflow once none of their sessions follows it
+                workflowIds: userInfo.workflowId ? [userInfo.workflowId] : []
+            };
+            const existing = this.users.get(userId);
+
+            if (existing) {
+                existing.sessions = [
+                    ...existing.sessions.filter(entry => entry.sessionId !== session.sessionId),
+                    session
+                ];
+                existing.socketId = session.socketId;
+                existing.userName = userInfo.userName;
+                existing.email = userInfo.email || existing.email;
+                existing.role = userInfo.role || existing.role;
+                if (userInfo.workflowId && !existing.workflowIds.includes(userInfo.workflowId)) {
+                    existing.workflowIds = [...existing.workflowIds, userInfo.workflowId];
+                }
+                existing.workflowId = userInfo.workflowId || existing.workflowId;
+                existing.lastActivity = now;
+                existing.isActive = true;
+                this.persistUser(userId);
+
+                return {
+                    success: true,
+                    message: 'Session added',
+                    user: { ...existing }
+                };
+            }
             
             const user = {
                 userId,
+                // Most recent session, and every open session (tab or device) of the user
                 socketId: userInfo.socketId,
+                sessions: [session],
                 userName: userInfo.userName,
                 email: userInfo.email || null,
+                role: userInfo.role || DEFAULT_ROLE,
+                // Most recently joined workflow, and every workflow the user follows (no duplicates)
                 workflowId: userInfo.workflowId || null,
+                workflowIds: userInfo.workflowId ? [userInfo.workflowId] : [],
                 connectedAt: now,
                 lastActivity: now,
                 isActive: true,
+                // Map of workflowId -> { selectedNodeIds, openNodeId }
+                selections: {},
                 metadata: userInfo.metadata || {}
             };
 
             this.users.set(userId, user);
+            this.persistUser(userId);
 
             return {
                 success: true,
@@ -39,7 +88,7 @@ class UserManager {
             };
 
         } catch (error) {
-            console.error('Error in registerUser:', error);
+            logger.error('Error in registerUser:', error);
             return {
                 success: false,
                 error: 'REGISTRATION_FAILED',
@@ -59,11 +108,12 @@ class UserManager {
             if (user) {
                 user.lastActivity = new Date();
                 user.isActive = true;
+                this.persistUser(userId);
                 return true;
             }
             return false;
         } catch (error) {
-            console.error('Error in updateUserActivity:', error);
+            logger.error('Error in updateUserActivity:', error);
             return false;
         }
     }
@@ -103,7 +153,7 @@ class UserManager {
         const workflowUsers = [];
         
         for (const [userId, user] of this.users.entries()) {
-            if (user.workflowId === workflowId && !this.isUserInactive(user)) {
+            if (user.workflowIds.includes(workflowId) && !this.isUserInactive(user)) {
                 workflowUsers.push({ ...user });
             }
         }
@@ -112,36 +162,315 @@ class UserManager {
     }
 
     /**
-     * Update user's current workflow
+     * Reduce a user to the fields shown in presence rosters
+     * @param {Object} user - User object
+     * @returns {Object} { userId, userName, role }
+     */
+    toPresence(user) {
+        return {
+            userId: user.userId,
+            userName: user.userName,
+            role: user.role
+        };
+    }
+
+    /**
+     * Get the presence roster of a workflow
+     * @param {string} workflowId - Workflow ID
+     * @returns {Array} Presence entries of the active users on the workflow
+     */
+    getWorkflowRoster(workflowId) {
+        return this.getWorkflowUsers(workflowId).map(user => this.toPresence(user));
+    }
+
+    /**
+     * Get the workflows a user has joined
      * @param {string} userId - User ID
-     * @param {string} workflowId - New workflow ID
+     * @returns {Array} Array of workflow IDs (empty if the user is unknown)
+     */
+    getUserWorkflows(userId) {
+        const user = this.users.get(userId);
+        return user ? [...user.workflowIds] : [];
+    }
+
+    /**
+     * Add a workflow to the ones a user (and one of their sessions) follows and make it the current one
+     * @param {string} userId - User ID
+     * @param {string} workflowId - Workflow ID
+     * @param {string|null} sessionId - Session joining the workflow (null for REST requests)
      * @returns {boolean} Success status
      */
-    updateUserWorkflow(userId, workflowId) {
+    joinWorkflow(userId, workflowId, sessionId = null) {
         try {
             const user = this.users.get(userId);
             if (user) {
+                if (!user.workflowIds.includes(workflowId)) {
+                    user.workflowIds = [...user.workflowIds, workflowId];
+                }
+                const session = user.sessions.find(entry => entry.sessionId === sessionId);
+                if (session && !session.workflowIds.includes(workflowId)) {
+                    session.workflowIds = [...session.workflowIds, workflowId];
+                }
                 user.workflowId = workflowId;
                 user.lastActivity = new Date();
+                this.persistUser(userId);
                 return true;
             }
             return false;
         } catch (error) {
-            console.error('Error in updateUserWorkflow:', error);
+            logger.error('Error in joinWorkflow:', error);
             return false;
         }
     }
 
     /**
-     * Remove a user session
+     * Remove a workflow from the ones a session follows. The user leaves the workflow
+     * once none of their other sessions follows it.
+     * @param {string} userId - User ID
+     * @param {string} workflowId - Workflow ID
+     * @param {string|null} sessionId - Session leaving the workflow (every session if null)
+     * @returns {Object} { left: whether the session (or user) had joined the workflow,
+     *   remainingSessions: other sessions still following it }
+     */
+    leaveWorkflow(userId, workflowId, sessionId = null) {
+        try {
+            const user = this.users.get(userId);
+            if (!user || !user.workflowIds.includes(workflowId)) {
+                return { left: false, remainingSessions: 0 };
+            }
+
+            const session = sessionId === null ? null : user.sessions.find(entry => entry.sessionId === sessionId);
+            const remainingSessions = sessionId === null ? 0 : user.sessions
+                .filter(entry => entry !== session && entry.workflowIds.includes(workflowId)).length;
+
+            // Only a session that joined the workflow can leave it while others still follow it
+            if (remainingSessions > 0 && !session?.workflowIds.includes(workflowId)) {
+                return { left: false, remainingSessions };
+            }
+
+            user.sessions.forEach((entry) => {
+                if (sessionId === null || entry === session) {
+                    entry.workflowIds = entry.workflowIds.filter(id => id !== workflowId);
+                }
+            });
+
+            if (remainingSessions === 0) {
+                user.workflowIds = user.workflowIds.filter(id => id !== workflowId);
+                const { [workflowId]: removedSelection, ...selections } = user.selections;
+                user.selections = selections;
+                if (user.workflowId === workflowId) {
+                    user.workflowId = user.workflowIds[user.workflowIds.length - 1] || null;
+                }
+            }
+            user.lastActivity = new Date();
+            this.persistUser(userId);
+            return { left: true, remainingSessions };
+        } catch (error) {
+            logger.error('Error in leaveWorkflow:', error);
+            return { left: false, remainingSessions: 0 };
+        }
+    }
+
+    /**
+     * Replace a user's node selection in a workflow
+     * @param {string} userId - User ID
+     * @param {string} workflowId - Workflow ID (must have been joined)
+     * @param {Object} selection - { selectedNodeIds, openNodeId }
+     * @returns {Object|null} { selection, added, removed, openNodeChanged }, or null if not a member
+     */
+    updateSelection(userId, workflowId, selection) {
+        try {
+            const user = this.users.get(userId);
+            if (!user || !user.workflowIds.includes(workflowId)) {
+                return null;
+            }
+
+            const previous = user.selections[workflowId] || { selectedNodeIds: [], openNodeId: null };
+            const current = {
+                selectedNodeIds: [...new Set(selection.selectedNodeIds || [])],
+                openNodeId: selection.openNodeId || null
+            };
+
+            const added = current.selectedNodeIds.filter(id => !previous.selectedNodeIds.includes(id));
+            const removed = previous.selectedNodeIds.filter(id => !current.selectedNodeIds.includes(id));
+            const openNodeChanged = current.openNodeId !== previous.openNodeId;
+
+            user.selections = { ...user.selections, [workflowId]: current };
+            user.lastActivity = new Date();
+            this.persistUser(userId);
+
+            return { selection: { ...current }, added, removed, openNodeChanged };
+        } catch (error) {
+            logger.error('Error in updateSelection:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Get the current selections of the active users on a workflow
+     * @param {string} workflowId - Workflow ID
+     * @returns {Array} Array of { userId, userName, selectedNodeIds, openNodeId }
+     */
+    getWorkflowSelections(workflowId) {
+        return this.getWorkflowUsers(workflowId)
+            .filter(user => user.selections[workflowId])
+            .map(user => ({
+                userId: user.userId,
+                userName: user.userName,
+                ...user.selections[workflowId]
+            }));
+    }
+
+    /**
+     * Update user's current workflow (joining it if needed)
+     * @param {string} userId - User ID
+     * @param {string} workflowId - New workflow ID
+     * @returns {boolean} Success status
+     */
+    updateUserWorkflow(userId, workflowId) {
+        return this.joinWorkflow(userId, workflowId);
+    }
+
+    /**
+     * Get the socket ID of the most recent connected session
+     * @param {Array} sessions - A user's sessions
+     * @returns {string|null} Socket ID, or null if every session is reconnecting
+     */
+    latestSocketId(sessions) {
+        return sessions.filter(session => session.status === 'connected').pop()?.socketId ?? null;
+    }
+
+    /**
+     * Get one of a user's sessions
+     * @param {string} userId - User ID
+     * @param {string} sessionId - Session ID
+     * @returns {Object|null} Session information or null if not found
+     */
+    getSession(userId, sessionId) {
+        const session = this.users.get(userId)?.sessions.find(entry => entry.sessionId === sessionId);
+        return session ? { ...session } : null;
+    }
+
+    /**
+     * Hold a disconnected session for a grace period in which it can be resumed
+     * (with the workflows it follows)
+     * @param {string} userId - User ID
+     * @param {string} sessionId - Session ID
+     * @param {number} graceMs - Grace period in milliseconds
+     * @returns {Object|null} The reconnecting session, or null if not found
+     */
+    suspendSession(userId, sessionId, graceMs) {
+        try {
+            const user = this.users.get(userId);
+            const session = user?.sessions.find(entry => entry.sessionId === sessionId);
+            if (!session) {
+                return null;
+            }
+
+            session.status = 'reconnecting';
+            session.socketId = null;
+            session.reconnectDeadline = new Date(Date.now() + graceMs);
+            user.socketId = this.latestSocketId(user.sessions);
+            this.persistUser(userId);
+            return { ...session };
+        } catch (error) {
+            logger.error('Error in suspendSession:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Resume a reconnecting session on a new socket
+     * @param {string} userId - User ID
+     * @param {string} sessionId - Session ID
+     * @param {string} socketId - The new socket's ID
+     * @returns {Object|null} The resumed session, or null if it is not reconnecting (any more)
+     */
+    resumeSession(userId, sessionId, socketId) {
+        try {
+            const user = this.users.get(userId);
+            const session = user?.sessions.find(entry => entry.sessionId === sessionId);
+            if (!session || session.status !== 'reconnecting' || session.reconnectDeadline <= new Date()) {
+                return null;
+            }
+
+            session.workflowIds = session.workflowIds.filter(workflowId => user.workflowIds.includes(workflowId));
+            session.status = 'connected';
+            session.socketId = socketId;
+            delete session.reconnectDeadline;
+            user.socketId = socketId;
+            user.lastActivity = new Date();
+            user.isActive = true;
+            this.persistUser(userId);
+            return { ...session };
+        } catch (error) {
+            logger.error('Error in resumeSession:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Get reconnecting sessions whose grace period has passed
+     * @returns {Array} Array of { userId, sessionId }
+     */
+    getExpiredSessions() {
+        const now = new Date();
+        const expired = [];
+
+        for (const user of this.users.values()) {
+            for (const session of user.sessions) {
+                if (session.status === 'reconnecting' && session.reconnectDeadline <= now) {
+                    expired.push({ userId: user.userId, sessionId: session.sessionId });
+                }
+            }
+        }
+
+        return expired;
+    }
+
+    /**
+     * Remove one of a user's sessions; the user is removed with their last session
+     * @param {string} userId - User ID
+     * @param {string} sessionId - ID of the closed session
+     * @returns {Object} { removed: whether the session existed, remainingSessions }
+     */
+    removeSession(userId, sessionId) {
+        try {
+            const user = this.users.get(userId);
+            if (!user) {
+                return { removed: false, remainingSessions: 0 };
+            }
+
+            const sessions = user.sessions.filter(session => session.sessionId !== sessionId);
+            const removed = sessions.length !== user.sessions.length;
+
+            if (sessions.length === 0) {
+                this.removeUser(userId);
+                return { removed, remainingSessions: 0 };
+            }
+
+            user.sessions = sessions;
+            user.socketId = this.latestSocketId(sessions);
+            this.persistUser(userId);
+            return { removed, remainingSessions: sessions.length };
+        } catch (error) {
+            logger.error('Error in removeSession:', error);
+            return { removed: false, remainingSessions: 0 };
+        }
+    }
+
+    /**
+     * Remove a user and all of their sessions
      * @param {string} userId - User ID
      * @returns {boolean} Success status
      */
     removeUser(userId) {
         try {
-            return this.users.delete(userId);
+            const removed = this.users.delete(userId);
+            this.persistUser(userId);
+            return removed;
         } catch (error) {
-            console.error('Error in removeUser:', error);
+            logger.error('Error in removeUser:', error);
             return false;
         }
     }
@@ -156,37 +485,34 @@ class UserManager {
         return (now - user.lastActivity) > this.inactivityTimeout;
     }
 
+    /**
+     * Get the users that have been inactive for longer than the inactivity timeout
+     * @returns {Array} Array of inactive users
+     */
+    getInactiveUsers() {
+        return Array.from(this.users.values())
+            .filter(user => this.isUserInactive(user))
+            .map(user => ({ ...user }));
+    }
+
     /**
      * Cleanup inactive users
-     * @returns {Array} Array of cleaned up user IDs
+     * @returns {Array} Array of removed users (with the workflows they had joined)
      */
     cleanupInactiveUsers() {
         const inactiveUsers = [];
         
         for (const [userId, user] of this.users.entries()) {
             if (this.isUserInactive(user)) {
-                inactiveUsers.push(userId);
+                inactiveUsers.push({ ...user });
                 this.users.delete(userId);
+                this.persistUser(userId);
             }
         }
         
         return inactiveUsers;
     }
 
-    /**
-     * Get user by socket ID
-     * @param {string} socketId - Socket ID
-     * @returns {Object|null} User information or null if not found
-     */
-    getUserBySocketId(socketId) {
-        for (const [userId, user] of this.users.entries()) {
-            if (user.socketId === socketId) {
-                return { ...user };
-            }
-        }
-        return null;
-    }
-
     /**
      * Update user metadata
      * @param {string} userId - User ID
@@ -199,15 +525,85 @@ class UserManager {
             if (user) {
                 user.metadata = { ...user.metadata, ...metadata };
                 user.lastActivity = new Date();
+                this.persistUser(userId);
                 return true;
             }
             return false;
         } catch (error) {
-            console.error('Error in updateUserMetadata:', error);
+            logger.error('Error in updateUserMetadata:', error);
             return false;
         }
     }
 
+    /**
+     * Write a user's current state through to the store
+     * @param {string} userId - User ID
+     */
+    persistUser(userId) {
+        persist(this.store, 'users', userId, this.users.get(userId) || null);
+    }
+
+    /**
+     * Convert a stored user record back into a user
+     * @param {Object} record - User record from the store
+     * @returns {Object} User information
+     */
+    reviveUser(record) {
+        return {
+            ...record,
+            // Records written before users could follow several workflows only have workflowId
+            workflowIds: record.workflowIds || (record.workflowId ? [record.workflowId] : []),
+            selections: record.selections || {},
+            // Records written before users could have several sessions only have socketId
+            sessions: (record.sessions || (record.socketId ? [{ socketId: record.socketId, connectedAt: record.connectedAt }] : []))
+                .map(session => ({
+                    ...session,
+                    sessionId: session.sessionId || session.socketId,
+                    status: session.status || 'connected',
+                    workflowIds: session.workflowIds || [],
+                    connectedAt: reviveDate(session.connectedAt),
+                    ...(session.reconnectDeadline && { reconnectDeadline: reviveDate(session.reconnectDeadline) })
+                })),
+            connectedAt: reviveDate(record.connectedAt),
+            lastActivity: reviveDate(record.lastActivity)
+        };
+    }
+
+    /**
+     * Apply a change made by another instance, without writing it back
+     * @param {string} userId - User ID
+     * @param {Object|null} record - New user record, or null if removed
+     */
+    applyRemote(userId, record) {
+        if (record) {
+            this.users.set(userId, this.reviveUser(record));
+        } else {
+            this.users.delete(userId);
+        }
+    }
+
+    /**
+     * Handle user records loaded from the store. On a single instance the
+     * sessions' sockets did not survive the restart, so they are discarded and
+     * clients re-register when they reconnect. With a shared store the
+     * sessions may belong to other live instances and are restored.
+     * @param {Array} records - User records from the store
+     * @param {Object} options - { restoreSessions: keep sessions instead of discarding them }
+     * @returns {Object} Counts of restored and discarded users
+     */
+    rehydrate(records, options = {}) {
+        if (options.restoreSessions) {
+            records.forEach(record => this.users.set(record.userId, this.reviveUser(record)));
+            return { restored: records.length, discarded: 0 };
+        }
+
+        for (const record of records) {
+            persist(this.store, 'users', record.userId, null);
+        }
+
+        return { restored: 0, discarded: records.length };
+    }
+
     /**
      * Get user statistics
      * @returns {Object} Statistics object
@@ -217,16 +613,18 @@ class UserManager {
         const activeUsers = [];
         const inactiveUsers = [];
         const workflowCounts = new Map();
+        let activeSessions = 0;
         
         for (const [userId, user] of this.users.entries()) {
             if (this.isUserInactive(user)) {
                 inactiveUsers.push(userId);
             } else {
                 activeUsers.push(userId);
+                activeSessions += user.sessions.filter(session => session.status === 'connected').length;
                 
-                if (user.workflowId) {
-                    const count = workflowCounts.get(user.workflowId) || 0;
-                    workflowCounts.set(user.workflowId, count + 1);
+                for (const workflowId of user.workflowIds) {
+                    const count = workflowCounts.get(workflowId) || 0;
+                    workflowCounts.set(workflowId, count + 1);
                 }
             }
         }
@@ -235,6 +633,7 @@ class UserManager {
             totalUsers: this.users.size,
             activeUsers: activeUsers.length,
             inactiveUsers: inactiveUsers.length,
+            activeSessions,
             workflowsWithUsers: workflowCounts.size,
             inactivityTimeout: this.inactivityTimeout / 1000 / 60, // in minutes
             timestamp: now
@@ -0,0 +1,165 @@
+const { MemoryStore, persist, reviveDate } = require('./storage');
+const logger = require('./logger');
+
+class VersionManager {
+    constructor(options = {}) {
+        // Map of workflowId -> { workflowId, version, updatedBy, updatedAt }
+        this.versions = new Map();
+
+        // Backing store the version map is written through to
+        this.store = options.store || new MemoryStore();
+    }
+
+    /**
+     * Get the current version of a workflow
+     * @param {string} workflowId - The workflow ID
+     * @returns {number} Current version (0 before the first update)
+     */
+    getVersion(workflowId) {
+        return this.versions.get(workflowId)?.version || 0;
+    }
+
+    /**
+     * Get version information for a workflow
+     * @param {string} workflowId - The workflow ID
+     * @returns {Object|null} Version information or null if never updated
+     */
+    getWorkflowVersion(workflowId) {
+        const entry = this.versions.get(workflowId);
+        return entry ? { ...entry } : null;
+    }
+
+    /**
+     * Stamp an update with the next version, if it was based on the current one
+     * @param {string} workflowId - The workflow ID
+     * @param {string} userId - The user submitting the update
+     * @param {number} baseVersion - Version the client's changes were made against
+     * @returns {Object} Result with the new version, or VERSION_CONFLICT
+     */
+    applyUpdate(workflowId, userId, baseVersion) {
+        try {
+            const currentVersion = this.getVersion(workflowId);
+
+            if (baseVersion !== currentVersion) {
+                return {
+                    success: false,
+                    error: 'VERSION_CONFLICT',
+                    message: `Update is based on version ${baseVersion}, but the workflow is at version ${currentVersion}`,
+                    baseVersion,
+                    currentVersion
+                };
+            }
+
+            const entry = {
+                workflowId,
+                version: currentVersion + 1,
+                updatedBy: userId,
+                updatedAt: new Date()
+            };
+
+            this.versions.set(workflowId, entry);
+            this.persistVersion(workflowId);
+
+            return {
+                success: true,
+                message: 'Update accepted',
+                workflowId,
+                baseVersion,
+                version: entry.version
+            };
+
+        } catch (error) {
+            logger.error('Error in applyUpdate:', error);
+            return {
+                success: false,
+                error: 'INTERNAL_ERROR',
+                message: 'Failed to apply update'
+            };
+        }
+    }
+
+    /**
+     * Write a workflow's version through to the store
+     * @param {string} workflowId - The workflow ID
+     */
+    persistVersion(workflowId) {
+        persist(this.store, 'workflows', workflowId, this.versions.get(workflowId) || null);
+    }
+
+    /**
+     * Run a version operation atomically across every instance sharing the store
+     * @param {string} workflowId - The workflow ID
+     * @param {Function} operation - Synchronous operation (e.g. applyUpdate)
+     * @returns {Promise<Object>} The operation's result
+     */
+    async atomically(workflowId, operation) {
+        try {
+            return await this.store.transaction('workflows', workflowId, operation);
+        } catch (error) {
+            if (error.code !== 'CONFLICT') {
+                throw error;
+            }
+
+            return {
+                success: false,
+                error: 'VERSION_CONFLICT',
+                message: 'Workflow was updated concurrently',
+                currentVersion: this.getVersion(workflowId)
+            };
+        }
+    }
+
+    /**
+     * Convert a stored version record back into version information
+     * @param {Object} record - Version record from the store
+     * @returns {Object} Version information
+     */
+    reviveVersion(record) {
+        return {
+            ...record,
+            updatedAt: reviveDate(record.updatedAt)
+        };
+    }
+
+    /**
+     * Apply a change made by another instance, without writing it back
+     * @param {string} workflowId - The workflow ID
+     * @param {Object|null} record - New version record, or null if removed
+     */
+    applyRemote(workflowId, record) {
+        if (record) {
+            this.versions.set(workflowId, this.reviveVersion(record));
+        } else {
+            this.versions.delete(workflowId);
+        }
+    }
+
+    /**
+     * Restore workflow versions loaded from the store
+     * @param {Array} records - Version records from the store
+     * @returns {Object} Count of restored versions
+     */
+    rehydrate(records) {
+        records.forEach(record => this.versions.set(record.workflowId, this.reviveVersion(record)));
+        return { restored: records.length };
+    }
+
+    /**
+     * Get version statistics
+     * @returns {Object} Statistics object
+     */
+    getStats() {
+        let totalUpdates = 0;
+        for (const entry of this.versions.values()) {
+            totalUpdates += entry.version;
+        }
+
+        return {
+            trackedWorkflows: this.versions.size,
+            totalUpdates,
+            timestamp: new Date()
+        };
+    }
+}
+
+module.exports = VersionManager;
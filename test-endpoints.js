@@ -1,5 +1,8 @@
 
+require('dotenv').config();
+
 const http = require('http');
+const jwt = require('jsonwebtoken');
 
 // Test configuration
 const BASE_URL = 'http://localhost:3001';
@@ -12,8 +15,19 @@ const TEST_DATA = {
     workflowId2: 'workflow-def'
 };
 
+// Sign a short-lived token for a test user (requires the server's JWT_SECRET)
+function createToken(userId, userName, role = 'editor') {
+    return jwt.sign({ sub: userId, name: userName, role }, process.env.JWT_SECRET, { expiresIn: '1h' });
+}
+
+const TOKENS = {
+    user1: createToken(TEST_DATA.userId1, TEST_DATA.userName1),
+    user2: createToken(TEST_DATA.userId2, TEST_DATA.userName2, 'maintainer'),
+    user2Viewer: createToken(TEST_DATA.userId2, TEST_DATA.userName2, 'viewer')
+};
+
 // Helper function to make HTTP requests
-function makeRequest(method, path, data = null) {
+function makeRequest(method, path, data = null, token = TOKENS.user1) {
     return new Promise((resolve, reject) => {
         const url = new URL(path, BASE_URL);
         const options = {
@@ -23,6 +37,10 @@ function makeRequest(method, path, data = null) {
             }
         };
 
+        if (token) {
+            options.headers.Authorization = `Bearer ${token}`;
+        }
+
         const req = http.request(url, options, (res) => {
             let body = '';
             res.on('data', chunk => body += chunk);
@@ -62,11 +80,29 @@ async function testHealthCheck() {
         if (response.status === 200 && response.data.success) {
             console.log('✅ Health check passed');
             console.log(`   Server uptime: ${response.data.uptime}s`);
-            return true;
         } else {
             console.log('❌ Health check failed');
             return false;
         }
+
+        const readiness = await makeRequest('GET', '/health/ready');
+        if (readiness.status === 200 && readiness.data.status === 'ready') {
+            console.log('✅ Readiness check passed');
+        } else {
+            console.log('❌ Readiness check failed:', JSON.stringify(readiness.data?.checks));
+            return false;
+        }
+
+        const wsHealth = await makeRequest('GET', '/ws-health');
+        if (wsHealth.status === 200 && wsHealth.data.success) {
+            console.log('✅ WebSocket handshake check passed');
+            console.log(`   Handshake latency: ${wsHealth.data.handshake.latencyMs}ms`);
+        } else {
+            console.log('❌ WebSocket handshake check failed');
+            return false;
+        }
+
+        return true;
     } catch (error) {
         console.log('❌ Health check error:', error.message);
         return false;
@@ -78,9 +114,7 @@ async function testLockOperations() {
     try {
         // Test requesting a lock
         console.log('  Testing lock request...');
-        let response = await makeRequest('POST', `/api/locks/${TEST_DATA.workflowId1}/request`, {
-            userId: TEST_DATA.userId1
-        });
+        let response = await makeRequest('POST', `/api/locks/${TEST_DATA.workflowId1}/request`, {}, TOKENS.user1);
         
         if (response.status === 200 && response.data.success) {
             console.log('  ✅ Lock request successful');
@@ -102,9 +136,7 @@ async function testLockOperations() {
 
         // Test conflicting lock request
         console.log('  Testing conflicting lock request...');
-        response = await makeRequest('POST', `/api/locks/${TEST_DATA.workflowId1}/request`, {
-            userId: TEST_DATA.userId2
-        });
+        response = await makeRequest('POST', `/api/locks/${TEST_DATA.workflowId1}/request`, {}, TOKENS.user2);
         
         if (response.status === 409 && !response.data.success) {
             console.log('  ✅ Conflict detection successful');
@@ -113,12 +145,24 @@ async function testLockOperations() {
             return false;
         }
 
+        // Test force lock acquisition without a permitted role
+        console.log('  Testing force lock denial for viewer role...');
+        response = await makeRequest('POST', `/api/locks/${TEST_DATA.workflowId1}/request`, {
+            force: true
+        }, TOKENS.user2Viewer);
+        
+        if (response.status === 403 && response.data.error === 'FORCE_NOT_PERMITTED') {
+            console.log('  ✅ Force lock denial successful');
+        } else {
+            console.log('  ❌ Force lock denial failed:', response.data);
+            return false;
+        }
+
         // Test force lock acquisition
         console.log('  Testing force lock acquisition...');
         response = await makeRequest('POST', `/api/locks/${TEST_DATA.workflowId1}/request`, {
-            userId: TEST_DATA.userId2,
             force: true
-        });
+        }, TOKENS.user2);
         
         if (response.status === 200 && response.data.success) {
             console.log('  ✅ Force lock acquisition successful');
@@ -129,9 +173,7 @@ async function testLockOperations() {
 
         // Test lock release
         console.log('  Testing lock release...');
-        response = await makeRequest('DELETE', `/api/locks/${TEST_DATA.workflowId1}`, {
-            userId: TEST_DATA.userId2
-        });
+        response = await makeRequest('DELETE', `/api/locks/${TEST_DATA.workflowId1}`, null, TOKENS.user2);
         
         if (response.status === 200 && response.data.success) {
             console.log('  ✅ Lock release successful');
@@ -147,6 +189,67 @@ async function testLockOperations() {
     }
 }
 
+async function testNodeLockOperations() {
+    console.log('\n🧩 Testing Node Lock Operations...');
+    try {
+        const nodesPath = `/api/locks/${TEST_DATA.workflowId2}/nodes`;
+
+        // Test locking two different nodes as different users
+        console.log('  Testing node lock requests...');
+        let response = await makeRequest('POST', `${nodesPath}/node-1/request`, null, TOKENS.user1);
+        const second = await makeRequest('POST', `${nodesPath}/node-2/request`, null, TOKENS.user2);
+
+        if (response.status === 200 && second.status === 200) {
+            console.log('  ✅ Node lock requests successful');
+        } else {
+            console.log('  ❌ Node lock requests failed:', response.data, second.data);
+            return false;
+        }
+
+        // Test conflicting node lock request
+        console.log('  Testing conflicting node lock request...');
+        response = await makeRequest('POST', `${nodesPath}/node-1/request`, null, TOKENS.user2);
+
+        if (response.status === 409 && response.data.error === 'NODE_LOCKED') {
+            console.log('  ✅ Node conflict detection successful');
+        } else {
+            console.log('  ❌ Node conflict detection failed:', response.data);
+            return false;
+        }
+
+        // Test that node locks of other users block the workflow lock
+        console.log('  Testing workflow lock blocked by node locks...');
+        response = await makeRequest('POST', `/api/locks/${TEST_DATA.workflowId2}/request`, {}, TOKENS.user1);
+
+        if (response.status === 409 && response.data.error === 'NODES_LOCKED') {
+            console.log('  ✅ Workflow lock blocked by node locks');
+        } else {
+            console.log('  ❌ Workflow lock was not blocked:', response.data);
+            return false;
+        }
+
+        // Test listing and releasing node locks
+        console.log('  Testing node lock listing and release...');
+        response = await makeRequest('GET', nodesPath);
+        const released = await Promise.all([
+            makeRequest('DELETE', `${nodesPath}/node-1`, null, TOKENS.user1),
+            makeRequest('DELETE', `${nodesPath}/node-2`, null, TOKENS.user2)
+        ]);
+
+        if (response.status === 200 && response.data.count === 2 && released.every(r => r.status === 200)) {
+            console.log('  ✅ Node lock listing and release successful');
+        } else {
+            console.log('  ❌ Node lock listing or release failed:', response.data, released.map(r => r.data));
+            return false;
+        }
+
+        return true;
+    } catch (error) {
+        console.log('❌ Node lock operations test error:', error.message);
+        return false;
+    }
+}
+
 async function testUserOperations() {
     console.log('\n👥 Testing User Operations...');
     try {
@@ -163,9 +266,7 @@ async function testUserOperations() {
 
         // Test workflow users (after setting up some locks)
         console.log('  Setting up test scenario for workflow users...');
-        await makeRequest('POST', `/api/locks/${TEST_DATA.workflowId2}/request`, {
-            userId: TEST_DATA.userId1
-        });
+        await makeRequest('POST', `/api/locks/${TEST_DATA.workflowId2}/request`, {}, TOKENS.user1);
 
         response = await makeRequest('GET', `/api/users/workflow/${TEST_DATA.workflowId2}`);
         
@@ -188,18 +289,15 @@ async function testRequestOperations() {
     try {
         // First, set up a lock
         console.log('  Setting up lock for request testing...');
-        await makeRequest('POST', `/api/locks/${TEST_DATA.workflowId1}/request`, {
-            userId: TEST_DATA.userId1
-        });
+        await makeRequest('POST', `/api/locks/${TEST_DATA.workflowId1}/request`, {}, TOKENS.user1);
 
         // Create an edit request
         console.log('  Testing create edit request...');
         let response = await makeRequest('POST', '/api/requests', {
             workflowId: TEST_DATA.workflowId1,
-            requesterId: TEST_DATA.userId2,
             targetUserId: TEST_DATA.userId1,
             message: 'Please let me edit this workflow'
-        });
+        }, TOKENS.user2);
         
         if (response.status === 201 && response.data.success) {
             console.log('  ✅ Edit request created successfully');
@@ -224,9 +322,8 @@ async function testRequestOperations() {
         console.log('  Testing approve request...');
         response = await makeRequest('PUT', `/api/requests/${requestId}/respond`, {
             approved: true,
-            message: 'Request approved',
-            userId: TEST_DATA.userId1
-        });
+            message: 'Request approved'
+        }, TOKENS.user1);
         
         if (response.status === 200 && response.data.success) {
             console.log('  ✅ Request approval successful');
@@ -242,6 +339,40 @@ async function testRequestOperations() {
     }
 }
 
+async function testValidation() {
+    console.log('\n🧾 Testing Validation...');
+    try {
+        console.log('  Testing invalid lock request body...');
+        let response = await makeRequest('POST', `/api/locks/${TEST_DATA.workflowId1}/request`, {
+            force: 'yes'
+        });
+
+        if (response.status === 400 && response.data.error === 'validation_error') {
+            console.log('  ✅ Invalid lock request rejected');
+        } else {
+            console.log('  ❌ Invalid lock request not rejected:', response.data);
+            return false;
+        }
+
+        console.log('  Testing invalid request response body...');
+        response = await makeRequest('PUT', '/api/requests/not-a-request-id/respond', {
+            approved: 'true'
+        });
+
+        if (response.status === 400 && response.data.details.length === 2) {
+            console.log('  ✅ Invalid request response rejected');
+        } else {
+            console.log('  ❌ Invalid request response not rejected:', response.data);
+            return false;
+        }
+
+        return true;
+    } catch (error) {
+        console.log('❌ Validation test error:', error.message);
+        return false;
+    }
+}
+
 async function testStatistics() {
     console.log('\n📊 Testing Statistics...');
     try {
@@ -281,15 +412,17 @@ async function runAllTests() {
     console.log('=' * 50);
 
     let passedTests = 0;
-    let totalTests = 5;
+    let totalTests = 7;
 
     // Wait for server to be ready
     await new Promise(resolve => setTimeout(resolve, 2000));
 
     if (await testHealthCheck()) passedTests++;
     if (await testLockOperations()) passedTests++;
+    if (await testNodeLockOperations()) passedTests++;
     if (await testUserOperations()) passedTests++;
     if (await testRequestOperations()) passedTests++;
+    if (await testValidation()) passedTests++;
     if (await testStatistics()) passedTests++;
 
     console.log('\n' + '=' * 50);
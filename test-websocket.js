@@ -1,5 +1,8 @@
 
+require('dotenv').config();
+
 const io = require('socket.io-client');
+const jwt = require('jsonwebtoken');
 
 // Test WebSocket connection
 console.log('🧪 Testing WebSocket Functionality\n');
@@ -14,9 +17,11 @@ socket.on('connect', () => {
     // Test user identification
     console.log('📋 Testing user identification...');
     socket.emit('identify', {
-        userId: 'test-user-websocket',
-        userName: 'WebSocket Test User', 
-        email: 'test@example.com',
+        token: jwt.sign(
+            { sub: 'test-user-websocket', name: 'WebSocket Test User', email: 'test@example.com' },
+            process.env.JWT_SECRET,
+            { expiresIn: '1h' }
+        ),
         workflowId: 'websocket-test-workflow'
     });
 });
@@ -75,6 +80,14 @@ socket.on('lock_released', (data) => {
     console.log('🔓 Lock released event:', data);
 });
 
+socket.on('user-joined', (data) => {
+    console.log('👋 User joined:', data.user, 'roster size:', data.roster.length);
+});
+
+socket.on('user-left', (data) => {
+    console.log('👋 User left:', data.user, 'reason:', data.reason);
+});
+
 socket.on('error', (data) => {
     console.log('❌ Socket error:', data);
 });
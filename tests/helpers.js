@@ -0,0 +1,96 @@
+const jwt = require('jsonwebtoken');
+const { io: connect } = require('socket.io-client');
+
+const CollaborationServer = require('../server');
+
+/**
+ * Sign an API / socket token for a user
+ * @param {string} userId - User ID (token subject)
+ * @param {Object} claims - Additional claims (e.g. role)
+ * @returns {string} Signed JWT
+ */
+function signToken(userId, claims = {}) {
+    return jwt.sign({ sub: userId, name: userId, ...claims }, process.env.JWT_SECRET, { algorithm: 'HS256' });
+}
+
+/**
+ * Start a server on a free local port
+ * @param {Object} options - CollaborationServer options (e.g. a shared broker)
+ * @returns {Promise<Object>} The listening server
+ */
+async function startServer(options = {}) {
+    const server = new CollaborationServer(options);
+
+    await server.start({ port: 0, host: '127.0.0.1' });
+    if (!server.server.listening) {
+        await new Promise(resolve => server.server.once('listening', resolve));
+    }
+
+    return server;
+}
+
+/**
+ * Connect a socket to a server without identifying it
+ * @param {Object} server - Listening CollaborationServer
+ * @returns {Object} socket.io-client socket
+ */
+function connectSocket(server) {
+    return connect(`http://127.0.0.1:${server.server.address().port}`, {
+        transports: ['websocket'],
+        reconnection: false
+    });
+}
+
+/**
+ * Connect a socket, identify it and wait for the server's answer
+ * @param {Object} server - Listening CollaborationServer
+ * @param {string} userId - User ID
+ * @param {string|null} workflowId - Workflow to join on identify
+ * @returns {Promise<Object>} Identified socket, with the `identified` payload as `socket.identity`
+ */
+function connectUser(server, userId, workflowId = null) {
+    const socket = connectSocket(server);
+
+    return new Promise((resolve, reject) => {
+        socket.once('connect_error', reject);
+        socket.once('error', reject);
+        socket.once('identified', (identity) => {
+            socket.identity = identity;
+            resolve(socket);
+        });
+        socket.emit('identify', { token: signToken(userId), workflowId });
+    });
+}
+
+/**
+ * Emit an event and wait for the first reply event
+ * @param {Object} socket - socket.io-client socket
+ * @param {string} event - Event to emit
+ * @param {Object} payload - Event payload
+ * @param {string} replyEvent - Event answering it
+ * @returns {Promise<Object>} Reply payload
+ */
+function request(socket, event, payload, replyEvent) {
+    return new Promise((resolve) => {
+        socket.once(replyEvent, resolve);
+        socket.emit(event, payload);
+    });
+}
+
+/**
+ * Wait a little for events in flight to arrive
+ * @param {number} ms - Milliseconds
+ * @returns {Promise} Resolves after the delay
+ */
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+    signToken,
+    startServer,
+    connectSocket,
+    connectUser,
+    request,
+    wait
+};
@@ -0,0 +1,108 @@
+const jwt = require('jsonwebtoken');
+const supertest = require('supertest');
+
+const { startServer, connectSocket, connectUser, request, signToken } = require('../helpers');
+
+describe('socket authentication', () => {
+    let server;
+    let sockets;
+
+    beforeEach(async () => {
+        server = await startServer();
+        sockets = [];
+    });
+
+    afterEach(async () => {
+        sockets.forEach(socket => socket.disconnect());
+        await server.stop();
+    });
+
+    /**
+     * Identify a new socket with a token and wait until the server rejects it
+     * @param {Object} payload - `identify` payload
+     * @returns {Promise<Object>} The `error` payload, once the socket was disconnected
+     */
+    async function identifyRejected(payload) {
+        const socket = connectSocket(server);
+        sockets.push(socket);
+
+        const error = await request(socket, 'identify', payload, 'error');
+        await new Promise(resolve => (socket.connected ? socket.once('disconnect', resolve) : resolve()));
+
+        return error;
+    }
+
+    test.each([
+        ['a missing token', {}],
+        ['a token signed with another secret', { token: jwt.sign({ sub: 'alice' }, 'other-secret') }],
+        ['an expired token', { token: signToken('alice', { exp: Math.floor(Date.now() / 1000) - 60 }) }],
+        ['a token without a subject', { token: jwt.sign({ name: 'alice' }, process.env.JWT_SECRET) }]
+    ])('rejects identify with %s and disconnects', async (description, payload) => {
+        const error = await identifyRejected({ userName: 'alice', ...payload });
+
+        expect(error.error).toBe('INVALID_TOKEN');
+        expect(server.userManager.getUser('alice')).toBeNull();
+    });
+
+    test('refuses to identify a connection again as another user', async () => {
+        const socket = await connectUser(server, 'alice', 'wf-1');
+        sockets.push(socket);
+
+        const error = await request(socket, 'identify', { token: signToken('mallory') }, 'error');
+
+        expect(error.error).toBe('ALREADY_IDENTIFIED');
+        expect(server.userManager.getUser('mallory')).toBeNull();
+        expect(server.io.sockets.sockets.get(socket.id).rooms.has('user:mallory')).toBe(false);
+    });
+
+    test('lets a connection identify again as the same user', async () => {
+        const socket = await connectUser(server, 'alice');
+        sockets.push(socket);
+
+        const identity = await request(socket, 'identify', { token: signToken('alice'), workflowId: 'wf-1' }, 'identified');
+
+        expect(identity.userId).toBe('alice');
+        expect(server.userManager.getUserWorkflows('alice')).toContain('wf-1');
+    });
+});
+
+describe('API authentication', () => {
+    let server;
+    let api;
+
+    beforeAll(async () => {
+        server = await startServer();
+        api = supertest(server.server);
+    });
+
+    afterAll(async () => {
+        await server.stop();
+    });
+
+    test('rejects requests without a bearer token', async () => {
+        const response = await api.get('/api/locks');
+
+        expect(response.status).toBe(401);
+        expect(response.body.error).toBe('AUTHENTICATION_REQUIRED');
+    });
+
+    test.each([
+        ['signed with another secret', jwt.sign({ sub: 'alice' }, 'other-secret')],
+        ['that has expired', signToken('alice', { exp: Math.floor(Date.now() / 1000) - 60 })],
+        ['that is malformed', 'not-a-jwt']
+    ])('rejects a token %s', async (description, token) => {
+        const response = await api.get('/api/locks').set('Authorization', `Bearer ${token}`);
+
+        expect(response.status).toBe(401);
+        expect(response.body.error).toBe('INVALID_TOKEN');
+    });
+
+    test('takes the caller from the token, not the request', async () => {
+        const response = await api.post('/api/locks/wf-1/request')
+            .set('Authorization', `Bearer ${signToken('alice')}`)
+            .send({});
+
+        expect(response.status).toBe(200);
+        expect(server.lockManager.getWorkflowLock('wf-1').userId).toBe('alice');
+    });
+});
@@ -0,0 +1,106 @@
+const { startServer, connectUser, request, wait } = require('../helpers');
+
+describe('cursor sharing', () => {
+    let server;
+    let alice;
+    let bob;
+
+    beforeEach(async () => {
+        server = await startServer();
+        alice = await connectUser(server, 'alice', 'wf-1');
+        bob = await connectUser(server, 'bob', 'wf-1');
+    });
+
+    afterEach(async () => {
+        alice.disconnect();
+        bob.disconnect();
+        await server.stop();
+    });
+
+    test('relays cursor positions to the rest of the workflow room', async () => {
+        const moved = new Promise(resolve => bob.once('cursor-moved', resolve));
+        const echoed = jest.fn();
+        alice.on('cursor-moved', echoed);
+
+        alice.emit('cursor-position', { workflowId: 'wf-1', x: 10, y: 20 });
+
+        expect(await moved).toMatchObject({ workflowId: 'wf-1', userId: 'alice', x: 10, y: 20, color: expect.any(String) });
+        expect(echoed).not.toHaveBeenCalled();
+    });
+
+    test('ignores cursor positions on a workflow the user has not joined', async () => {
+        await request(bob, 'join-workflow', { workflowId: 'wf-2' }, 'workflow_state');
+        const moved = jest.fn();
+        bob.on('cursor-moved', moved);
+
+        alice.emit('cursor-position', { workflowId: 'wf-2', x: 10, y: 20 });
+        await wait(100);
+
+        expect(moved).not.toHaveBeenCalled();
+    });
+});
+
+describe('node selection awareness', () => {
+    let server;
+    let alice;
+    let bob;
+
+    beforeEach(async () => {
+        server = await startServer();
+        alice = await connectUser(server, 'alice', 'wf-1');
+        bob = await connectUser(server, 'bob', 'wf-1');
+    });
+
+    afterEach(async () => {
+        alice.disconnect();
+        bob.disconnect();
+        await server.stop();
+    });
+
+    test('sends selection changes as deltas to the rest of the room', async () => {
+        const first = new Promise(resolve => bob.once('selection-changed', resolve));
+        alice.emit('user-selection', { workflowId: 'wf-1', selectedNodeIds: ['n1', 'n2', 'n2'], openNodeId: 'n1' });
+        expect(await first).toMatchObject({
+            userId: 'alice',
+            added: ['n1', 'n2'],
+            removed: [],
+            selectedNodeIds: ['n1', 'n2'],
+            openNodeId: 'n1'
+        });
+
+        const second = new Promise(resolve => bob.once('selection-changed', resolve));
+        alice.emit('user-selection', { workflowId: 'wf-1', selectedNodeIds: ['n2', 'n3'] });
+        expect(await second).toMatchObject({ added: ['n3'], removed: ['n1'], openNodeId: null });
+    });
+
+    test('stays quiet when nothing changed', async () => {
+        alice.emit('user-selection', { workflowId: 'wf-1', selectedNodeIds: ['n1'] });
+        await new Promise(resolve => bob.once('selection-changed', resolve));
+        const changed = jest.fn();
+        bob.on('selection-changed', changed);
+
+        alice.emit('user-selection', { workflowId: 'wf-1', selectedNodeIds: ['n1'] });
+        await wait(100);
+
+        expect(changed).not.toHaveBeenCalled();
+    });
+
+    test('includes current selections in the state sent to users joining later', async () => {
+        alice.emit('user-selection', { workflowId: 'wf-1', selectedNodeIds: ['n1'], openNodeId: 'n1' });
+        await new Promise(resolve => bob.once('selection-changed', resolve));
+
+        const carol = await connectUser(server, 'carol');
+        const state = await request(carol, 'join-workflow', { workflowId: 'wf-1' }, 'workflow_state');
+        carol.disconnect();
+
+        expect(state.selections).toEqual([
+            expect.objectContaining({ userId: 'alice', selectedNodeIds: ['n1'], openNodeId: 'n1' })
+        ]);
+    });
+
+    test('refuses a selection on a workflow that was not joined', async () => {
+        const error = await request(alice, 'user-selection', { workflowId: 'wf-2', selectedNodeIds: ['n1'] }, 'error');
+
+        expect(error.error).toBe('NOT_IN_WORKFLOW');
+    });
+});
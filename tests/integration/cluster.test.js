@@ -0,0 +1,79 @@
+const { MemoryBroker } = require('../../src/cluster');
+const { startServer, connectUser, wait } = require('../helpers');
+
+/**
+ * Read a counter's current value
+ * @param {Object} counter - prom-client Counter
+ * @returns {Promise<number>} Counter value
+ */
+async function counterValue(counter) {
+    const { values } = await counter.get();
+    return values.reduce((total, { value }) => total + value, 0);
+}
+
+describe('multi-instance deployment with a MemoryBroker', () => {
+    let servers;
+    let sockets;
+
+    beforeEach(async () => {
+        process.env.LOCK_TTL_MIN_MS = '1';
+        process.env.RECONNECT_GRACE_MS = '0';
+        // Two servers sharing one broker, like two replicas behind a load balancer
+        const broker = new MemoryBroker();
+        servers = await Promise.all([startServer({ broker }), startServer({ broker })]);
+        sockets = [];
+    });
+
+    afterEach(async () => {
+        sockets.forEach(socket => socket.disconnect());
+        await Promise.all(servers.map(server => server.stop()));
+        delete process.env.LOCK_TTL_MIN_MS;
+        delete process.env.RECONNECT_GRACE_MS;
+    });
+
+    test('grants a contended workflow lock on one instance only and counts it once', async () => {
+        const [first, second] = servers;
+
+        const results = await Promise.all([
+            first.lockManager.atomically('wf-1', () => first.lockManager.requestLock('wf-1', 'alice')),
+            second.lockManager.atomically('wf-1', () => second.lockManager.requestLock('wf-1', 'bob'))
+        ]);
+
+        expect(results.filter(result => result.success)).toHaveLength(1);
+
+        const acquisitions = await Promise.all(servers.map(server => counterValue(server.metrics.lockAcquisitions)));
+        expect(acquisitions[0] + acquisitions[1]).toBe(1);
+
+        await wait(50);
+        const holder = results.find(result => result.success).lockInfo.userId;
+        expect(first.lockManager.getWorkflowLock('wf-1').userId).toBe(holder);
+        expect(second.lockManager.getWorkflowLock('wf-1').userId).toBe(holder);
+    });
+
+    test('announces an expired lock and its hand-off once when both instances clean up', async () => {
+        const [first, second] = servers;
+        const watcher = await connectUser(second, 'carol', 'wf-2');
+        sockets.push(watcher);
+
+        const released = [];
+        const acquired = [];
+        watcher.on('lock_released', event => released.push(event));
+        watcher.on('lock_acquired', event => acquired.push(event));
+
+        await first.lockManager.atomically('wf-2',
+            () => first.lockManager.requestLock('wf-2', 'alice', false, null, { ttl: 50 }));
+        await first.lockManager.atomically('wf-2', () => first.lockManager.enqueueLock('wf-2', 'bob'));
+        await wait(100);
+
+        await Promise.all(servers.map(server => server.runCleanup()));
+        await wait(100);
+
+        expect(released).toHaveLength(1);
+        expect(released[0]).toMatchObject({ workflowId: 'wf-2', userId: 'alice', mode: 'exclusive' });
+        expect(acquired.filter(event => event.handedOff)).toHaveLength(1);
+        expect(acquired.find(event => event.handedOff).userId).toBe('bob');
+
+        expect(first.lockManager.getWorkflowLock('wf-2').userId).toBe('bob');
+        expect(second.lockManager.getWorkflowLock('wf-2').userId).toBe('bob');
+    });
+});
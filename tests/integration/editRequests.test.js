@@ -0,0 +1,180 @@
+const supertest = require('supertest');
+const { v4: uuidv4 } = require('uuid');
+
+const { startServer, connectUser, request, signToken, wait } = require('../helpers');
+
+describe('edit request approval', () => {
+    let server;
+    let sockets;
+
+    beforeEach(async () => {
+        process.env.RECONNECT_GRACE_MS = '0';
+        server = await startServer();
+        sockets = [];
+    });
+
+    afterEach(async () => {
+        sockets.forEach(socket => socket.disconnect());
+        await server.stop();
+        delete process.env.RECONNECT_GRACE_MS;
+    });
+
+    /**
+     * Connect a user and keep the socket for the teardown
+     * @param {string} userId - User ID
+     * @returns {Promise<Object>} Identified socket, joined to wf-1
+     */
+    async function connect(userId) {
+        const socket = await connectUser(server, userId, 'wf-1');
+        sockets.push(socket);
+        return socket;
+    }
+
+    test('hands the lock to the session the request was made from, with its TTL', async () => {
+        const alice = await connect('alice');
+        const bob = await connect('bob');
+        await request(alice, 'request_lock', { workflowId: 'wf-1' }, 'lock_response');
+        const sent = await request(bob, 'request_edit_access', { workflowId: 'wf-1', ttl: 120000 }, 'request_sent');
+
+        const transferred = await request(alice, 'respond_edit_request',
+            { requestId: sent.requestId, approved: true }, 'lock_transferred');
+
+        expect(transferred.lockInfo).toMatchObject({ userId: 'bob', ttl: 120000 });
+        expect(server.lockManager.getWorkflowLock('wf-1').sessionId).toBe(bob.identity.sessionId);
+        expect(server.requestManager.getRequest(sent.requestId).status).toBe('approved');
+    });
+
+    test('refuses to hand the lock to a requester whose session has ended', async () => {
+        const alice = await connect('alice');
+        const bob = await connect('bob');
+        await request(alice, 'request_lock', { workflowId: 'wf-1' }, 'lock_response');
+        const sent = await request(bob, 'request_edit_access', { workflowId: 'wf-1' }, 'request_sent');
+
+        bob.disconnect();
+        await wait(100);
+
+        const error = await request(alice, 'respond_edit_request',
+            { requestId: sent.requestId, approved: true }, 'error');
+
+        expect(error.error).toBe('REQUESTER_DISCONNECTED');
+        expect(server.lockManager.getWorkflowLock('wf-1').userId).toBe('alice');
+    });
+
+    describe('answering a request that is no longer pending', () => {
+        let alice;
+        let requestId;
+
+        beforeEach(async () => {
+            alice = await connect('alice');
+            const bob = await connect('bob');
+            await request(alice, 'request_lock', { workflowId: 'wf-1' }, 'lock_response');
+            ({ requestId } = await request(bob, 'request_edit_access', { workflowId: 'wf-1' }, 'request_sent'));
+        });
+
+        test('is refused over the socket and leaves an expired request to the cleanup', async () => {
+            server.requestManager.requests.get(requestId).expiresAt = new Date(Date.now() - 1000);
+
+            const error = await request(alice, 'respond_edit_request', { requestId, approved: false }, 'error');
+            expect(error.error).toBe('REQUEST_NOT_PENDING');
+            expect(server.requestManager.getRequest(requestId).status).toBe('pending');
+
+            const expired = new Promise(resolve => alice.once('edit_request_expired', resolve));
+            await server.runCleanup();
+            expect((await expired).requestId).toBe(requestId);
+        });
+
+        test('is refused over REST with 409', async () => {
+            const api = supertest(server.server);
+            const deny = () => api.put(`/api/requests/${requestId}/respond`)
+                .set('Authorization', `Bearer ${signToken('alice')}`)
+                .send({ approved: false });
+
+            expect((await deny()).status).toBe(200);
+
+            const response = await deny();
+            expect(response.status).toBe(409);
+            expect(response.body.error).toBe('REQUEST_NOT_PENDING');
+        });
+    });
+
+    describe('answering every request on a workflow at once', () => {
+        let alice;
+        let bob;
+        let bobRequestId;
+        let carolRequestId;
+
+        beforeEach(async () => {
+            alice = await connect('alice');
+            bob = await connect('bob');
+            const carol = await connect('carol');
+            await request(alice, 'request_lock', { workflowId: 'wf-1' }, 'lock_response');
+            ({ requestId: bobRequestId } = await request(bob, 'request_edit_access', { workflowId: 'wf-1' }, 'request_sent'));
+            ({ requestId: carolRequestId } = await request(carol, 'request_edit_access', { workflowId: 'wf-1' }, 'request_sent'));
+        });
+
+        /**
+         * Answer alice's requests on wf-1 over REST
+         * @param {Object} body - { approveRequestId, message }
+         * @returns {Promise<Object>} supertest response
+         */
+        function respondOverRest(body) {
+            return supertest(server.server).put('/api/requests/workflow/wf-1/respond')
+                .set('Authorization', `Bearer ${signToken('alice')}`)
+                .send(body);
+        }
+
+        /**
+         * Read the current status of bob's and carol's requests
+         * @returns {Array} Statuses, bob's first
+         */
+        function statuses() {
+            return [bobRequestId, carolRequestId].map(requestId => server.requestManager.getRequest(requestId).status);
+        }
+
+        test('approve one request and deny the rest over the socket', async () => {
+            const response = await request(alice, 'respond_edit_requests',
+                { workflowId: 'wf-1', approveRequestId: carolRequestId }, 'edit_requests_response');
+
+            expect(response).toMatchObject({ success: true, approvedRequestId: carolRequestId, deniedRequestIds: [bobRequestId] });
+            expect(statuses()).toEqual(['denied', 'approved']);
+            expect(server.lockManager.getWorkflowLock('wf-1').userId).toBe('carol');
+        });
+
+        test('approve one request and deny the rest over REST', async () => {
+            const response = await respondOverRest({ approveRequestId: bobRequestId });
+
+            expect(response.status).toBe(200);
+            expect(response.body.lockInfo.userId).toBe('bob');
+            expect(statuses()).toEqual(['approved', 'denied']);
+        });
+
+        test('refuse an unknown request to approve and answer nothing', async () => {
+            const unknownRequestId = uuidv4();
+
+            const error = await request(alice, 'respond_edit_requests',
+                { workflowId: 'wf-1', approveRequestId: unknownRequestId }, 'error');
+            expect(error.error).toBe('REQUEST_NOT_PENDING');
+
+            const response = await respondOverRest({ approveRequestId: unknownRequestId });
+            expect(response.status).toBe(409);
+            expect(response.body.error).toBe('REQUEST_NOT_PENDING');
+
+            expect(statuses()).toEqual(['pending', 'pending']);
+        });
+
+        test('leave every request pending when the transfer fails', async () => {
+            bob.disconnect();
+            await wait(100);
+
+            const error = await request(alice, 'respond_edit_requests',
+                { workflowId: 'wf-1', approveRequestId: bobRequestId }, 'error');
+            expect(error.error).toBe('REQUESTER_DISCONNECTED');
+
+            const response = await respondOverRest({ approveRequestId: bobRequestId });
+            expect(response.status).toBe(409);
+
+            expect(statuses()).toEqual(['pending', 'pending']);
+            expect(server.lockManager.getWorkflowLock('wf-1').userId).toBe('alice');
+        });
+    });
+});
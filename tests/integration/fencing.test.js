@@ -0,0 +1,51 @@
+const supertest = require('supertest');
+
+const { startServer, connectUser, request, signToken } = require('../helpers');
+
+describe('fencing token validation', () => {
+    let server;
+    let alice;
+    let staleToken;
+    let currentToken;
+
+    beforeEach(async () => {
+        server = await startServer();
+        alice = await connectUser(server, 'alice', 'wf-1');
+
+        // Alice's first lock is forced away and she takes the workflow again later
+        staleToken = (await request(alice, 'request_lock', { workflowId: 'wf-1' }, 'lock_response')).lockInfo.fencingToken;
+        server.lockManager.requestLock('wf-1', 'bob', true, 'admin');
+        server.lockManager.releaseLock('wf-1', 'bob');
+        currentToken = (await request(alice, 'request_lock', { workflowId: 'wf-1' }, 'lock_response')).lockInfo.fencingToken;
+    });
+
+    afterEach(async () => {
+        alice.disconnect();
+        await server.stop();
+    });
+
+    test('rejects a stale token over the socket', async () => {
+        const stale = await request(alice, 'validate_lock', { workflowId: 'wf-1', fencingToken: staleToken }, 'lock_validation');
+        expect(stale).toMatchObject({ valid: false, error: 'STALE_FENCING_TOKEN', latestToken: currentToken });
+
+        const current = await request(alice, 'validate_lock', { workflowId: 'wf-1', fencingToken: currentToken }, 'lock_validation');
+        expect(current.valid).toBe(true);
+    });
+
+    test('rejects a stale token over REST with 409', async () => {
+        const validate = (userId, fencingToken) => supertest(server.server).post('/api/locks/wf-1/validate')
+            .set('Authorization', `Bearer ${signToken(userId)}`)
+            .send({ fencingToken });
+
+        const stale = await validate('alice', staleToken);
+        expect(stale.status).toBe(409);
+        expect(stale.body.error).toBe('STALE_FENCING_TOKEN');
+
+        expect((await validate('alice', currentToken)).status).toBe(200);
+
+        // The current token does not validate anyone else's writes
+        const other = await validate('bob', currentToken);
+        expect(other.status).toBe(409);
+        expect(other.body.error).toBe('NO_LOCK');
+    });
+});
@@ -0,0 +1,70 @@
+const supertest = require('supertest');
+
+const { startServer, connectUser, request } = require('../helpers');
+
+describe('health and status endpoints', () => {
+    let server;
+    let api;
+
+    beforeEach(async () => {
+        process.env.GIT_COMMIT = 'abc1234';
+        server = await startServer();
+        api = supertest(server.server);
+    });
+
+    afterEach(async () => {
+        await server.stop();
+        delete process.env.GIT_COMMIT;
+    });
+
+    test('reports liveness without authentication', async () => {
+        const response = await api.get('/health/live');
+
+        expect(response.status).toBe(200);
+        expect(response.body.status).toBe('healthy');
+    });
+
+    test('reports ready once state is restored, and not ready while the store is unavailable', async () => {
+        const ready = await api.get('/health/ready');
+        expect(ready.status).toBe(200);
+        expect(Object.values(ready.body.checks).map(check => check.status)).toEqual(['ok', 'ok', 'ok', 'ok']);
+
+        jest.spyOn(server.store, 'ping').mockRejectedValue(new Error('connection refused'));
+        const notReady = await api.get('/health/ready');
+        expect(notReady.status).toBe(503);
+        expect(notReady.body).toMatchObject({ status: 'not_ready', checks: { storage: { status: 'fail' } } });
+    });
+
+    test('reports not ready before startup completes', async () => {
+        server.health.ready = false;
+
+        const response = await api.get('/health/ready');
+
+        expect(response.status).toBe(503);
+        expect(response.body.checks.startup.status).toBe('fail');
+    });
+
+    test('summarizes version, configuration and connected clients on /status', async () => {
+        const socket = await connectUser(server, 'alice', 'wf-1');
+        await request(socket, 'request_lock', { workflowId: 'wf-1' }, 'lock_response');
+
+        const response = await api.get('/status');
+        socket.disconnect();
+
+        expect(response.status).toBe(200);
+        expect(response.body.data).toMatchObject({
+            commit: 'abc1234',
+            ready: true,
+            clients: { sockets: 1, activeUsers: 1, activeLocks: 1, pendingRequests: 0 }
+        });
+        expect(JSON.stringify(response.body.data.config)).not.toContain(process.env.JWT_SECRET);
+    });
+
+    test('performs a real Socket.IO handshake on /ws-health', async () => {
+        const response = await api.get('/ws-health');
+
+        expect(response.status).toBe(200);
+        expect(response.body.status).toBe('healthy');
+        expect(server.io.engine.clientsCount).toBe(0);
+    });
+});
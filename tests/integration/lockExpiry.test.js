@@ -0,0 +1,100 @@
+const { startServer, connectUser, request, wait } = require('../helpers');
+
+describe('lock expiry warnings and renewal', () => {
+    let server;
+    let sockets;
+
+    beforeEach(async () => {
+        // Every lock falls inside the warning window, so warnExpiringLocks() always has something to report
+        process.env.LOCK_EXPIRY_WARNING_MS = String(10 * 60 * 1000);
+        server = await startServer();
+        sockets = [];
+    });
+
+    afterEach(async () => {
+        sockets.forEach(socket => socket.disconnect());
+        await server.stop();
+        delete process.env.LOCK_EXPIRY_WARNING_MS;
+    });
+
+    /**
+     * Connect a user and keep the socket for the teardown
+     * @param {string} userId - User ID
+     * @returns {Promise<Object>} Identified socket, joined to wf-1
+     */
+    async function connect(userId) {
+        const socket = await connectUser(server, userId, 'wf-1');
+        sockets.push(socket);
+        return socket;
+    }
+
+    /**
+     * Collect the `lock_expiring` events a socket receives
+     * @param {Object} socket - socket.io-client socket
+     * @returns {Array} Events received so far, appended to as more arrive
+     */
+    function collectWarnings(socket) {
+        const warnings = [];
+        socket.on('lock_expiring', warning => warnings.push(warning));
+        return warnings;
+    }
+
+    test('warns the holder once per expiry time and again after a renewal', async () => {
+        const alice = await connect('alice');
+        await request(alice, 'request_lock', { workflowId: 'wf-1' }, 'lock_response');
+        const warnings = collectWarnings(alice);
+
+        server.warnExpiringLocks();
+        server.warnExpiringLocks();
+        await wait(50);
+
+        expect(warnings).toHaveLength(1);
+        expect(warnings[0]).toMatchObject({ workflowId: 'wf-1', mode: 'exclusive' });
+
+        const renewed = await request(alice, 'renew_lock', { workflowId: 'wf-1' }, 'lock_renew_response');
+        expect(renewed.success).toBe(true);
+
+        server.warnExpiringLocks();
+        await wait(50);
+
+        expect(warnings).toHaveLength(2);
+        expect(warnings[1].expiresAt).toBe(renewed.lockInfo.expiresAt);
+    });
+
+    test('warns node lock holders with the node ID', async () => {
+        const alice = await connect('alice');
+        await request(alice, 'request_node_lock', { workflowId: 'wf-1', nodeId: 'node-1' }, 'node_lock_response');
+        const warnings = collectWarnings(alice);
+
+        server.warnExpiringLocks();
+        await wait(50);
+
+        expect(warnings).toEqual([expect.objectContaining({ workflowId: 'wf-1', nodeId: 'node-1', mode: 'node' })]);
+    });
+
+    test('refuses to renew a lock held by another user', async () => {
+        const alice = await connect('alice');
+        const bob = await connect('bob');
+        await request(alice, 'request_lock', { workflowId: 'wf-1' }, 'lock_response');
+
+        const result = await request(bob, 'renew_lock', { workflowId: 'wf-1' }, 'lock_renew_response');
+
+        expect(result).toMatchObject({ success: false, error: 'UNAUTHORIZED' });
+    });
+
+    test('extends every lock of the sender on a heartbeat that asks for it', async () => {
+        const alice = await connect('alice');
+        await request(alice, 'request_lock', { workflowId: 'wf-1' }, 'lock_response');
+        await request(alice, 'request_node_lock', { workflowId: 'wf-1', nodeId: 'node-1' }, 'node_lock_response');
+        const before = server.lockManager.getWorkflowLock('wf-1').expiresAt.getTime();
+        await wait(20);
+
+        const ack = await request(alice, 'heartbeat', { extendLocks: true }, 'heartbeat_ack');
+
+        expect(ack.renewedLocks.map(lock => lock.nodeId || lock.workflowId).sort()).toEqual(['node-1', 'wf-1']);
+        expect(server.lockManager.getWorkflowLock('wf-1').expiresAt.getTime()).toBeGreaterThan(before);
+
+        const plain = await request(alice, 'heartbeat', {}, 'heartbeat_ack');
+        expect(plain.renewedLocks).toEqual([]);
+    });
+});
@@ -0,0 +1,98 @@
+const { startServer, connectUser, request, wait } = require('../helpers');
+
+describe('presence broadcasts', () => {
+    let server;
+    let sockets;
+    let alice;
+
+    beforeEach(async () => {
+        process.env.RECONNECT_GRACE_MS = '0';
+        server = await startServer();
+        sockets = [];
+        alice = await connect('alice');
+    });
+
+    afterEach(async () => {
+        sockets.forEach(socket => socket.disconnect());
+        await server.stop();
+        delete process.env.RECONNECT_GRACE_MS;
+    });
+
+    /**
+     * Connect a user to wf-1 and keep the socket for the teardown
+     * @param {string} userId - User ID
+     * @returns {Promise<Object>} Identified socket
+     */
+    async function connect(userId) {
+        const socket = await connectUser(server, userId, 'wf-1');
+        sockets.push(socket);
+        return socket;
+    }
+
+    /**
+     * Wait for the next presence event alice receives
+     * @param {string} event - 'user-joined' or 'user-left'
+     * @returns {Promise<Object>} Event payload
+     */
+    function nextPresence(event) {
+        return new Promise(resolve => alice.once(event, resolve));
+    }
+
+    /**
+     * List the users in a presence event's roster
+     * @param {Object} presence - user-joined / user-left payload
+     * @returns {Array} User IDs in the roster
+     */
+    function rosterIds(presence) {
+        return presence.roster.map(entry => entry.userId).sort();
+    }
+
+    test('announces a joining user with the diff and the new roster', async () => {
+        const joined = nextPresence('user-joined');
+        await connect('bob');
+
+        const presence = await joined;
+        expect(presence.diff).toEqual({ added: [expect.objectContaining({ userId: 'bob' })], removed: [] });
+        expect(rosterIds(presence)).toEqual(['alice', 'bob']);
+    });
+
+    test('announces a user once, however many sessions they open', async () => {
+        const joined = nextPresence('user-joined');
+        await connect('bob');
+        await joined;
+        const events = [];
+        alice.on('user-joined', presence => events.push(presence));
+
+        await connect('bob');
+        await wait(100);
+
+        expect(events).toEqual([]);
+    });
+
+    test('announces a user leaving or disconnecting with the reason', async () => {
+        const bob = await connect('bob');
+        const carol = await connect('carol');
+
+        const left = nextPresence('user-left');
+        bob.emit('leave-workflow', { workflowId: 'wf-1' });
+        const leftPresence = await left;
+        expect(leftPresence).toMatchObject({ reason: 'left', diff: { added: [], removed: [{ userId: 'bob' }] } });
+        expect(rosterIds(leftPresence)).toEqual(['alice', 'carol']);
+
+        const disconnected = nextPresence('user-left');
+        carol.disconnect();
+        const disconnectedPresence = await disconnected;
+        expect(disconnectedPresence).toMatchObject({ reason: 'disconnected', user: { userId: 'carol' } });
+        expect(rosterIds(disconnectedPresence)).toEqual(['alice']);
+    });
+
+    test('announces users removed for inactivity', async () => {
+        await connect('bob');
+        server.userManager.users.get('bob').lastActivity = new Date(0);
+
+        const left = nextPresence('user-left');
+        await server.runCleanup();
+
+        expect(await left).toMatchObject({ reason: 'inactive', user: { userId: 'bob' } });
+    });
+});
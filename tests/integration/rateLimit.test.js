@@ -0,0 +1,105 @@
+const supertest = require('supertest');
+
+const { startServer, connectUser, request, signToken } = require('../helpers');
+
+describe('socket rate limits', () => {
+    let server;
+    let socket;
+
+    beforeEach(async () => {
+        process.env.USER_RATE_LIMIT_MAX_REQUESTS = '3';
+        server = await startServer();
+        socket = await connectUser(server, 'alice', 'wf-1');
+    });
+
+    afterEach(async () => {
+        socket.disconnect();
+        await server.stop();
+        delete process.env.USER_RATE_LIMIT_MAX_REQUESTS;
+    });
+
+    test('workflow-update edits do not use up the lock and edit-request budget', async () => {
+        const lock = await request(socket, 'request_lock', { workflowId: 'wf-1' }, 'lock_response');
+        expect(lock.success).toBe(true);
+
+        for (let baseVersion = 0; baseVersion < 10; baseVersion++) {
+            const update = await request(socket, 'workflow-update',
+                { workflowId: 'wf-1', baseVersion, changes: { nodes: [] } }, 'workflow_update_response');
+            expect(update.success).toBe(true);
+        }
+
+        const release = await request(socket, 'release_lock', { workflowId: 'wf-1' }, 'lock_release_response');
+        expect(release.success).toBe(true);
+    });
+
+    test('limits lock operations per user', async () => {
+        for (let attempt = 0; attempt < 3; attempt++) {
+            await request(socket, 'renew_lock', { workflowId: 'wf-1' }, 'lock_renew_response');
+        }
+
+        const error = await request(socket, 'request_lock', { workflowId: 'wf-1' }, 'error');
+
+        expect(error).toMatchObject({ error: 'rate_limited', event: 'request_lock' });
+        expect(error.retryAfter).toBeGreaterThan(0);
+        expect(server.lockManager.getWorkflowLock('wf-1')).toBeNull();
+    });
+
+    test('workflow-update has its own limit', async () => {
+        server.updateRateLimiter.buckets.set('alice', { tokens: 0, updatedAt: Date.now() });
+
+        const error = await request(socket, 'workflow-update',
+            { workflowId: 'wf-1', baseVersion: 0, changes: {} }, 'error');
+
+        expect(error).toMatchObject({ error: 'rate_limited', event: 'workflow-update' });
+    });
+});
+
+describe('API rate limits', () => {
+    let server;
+    let api;
+
+    beforeEach(async () => {
+        process.env.USER_RATE_LIMIT_MAX_REQUESTS = '2';
+        process.env.RATE_LIMIT_MAX_REQUESTS = '5';
+        server = await startServer();
+        api = supertest(server.server);
+    });
+
+    afterEach(async () => {
+        await server.stop();
+        delete process.env.USER_RATE_LIMIT_MAX_REQUESTS;
+        delete process.env.RATE_LIMIT_MAX_REQUESTS;
+    });
+
+    /**
+     * Send an authenticated API request
+     * @param {string} method - HTTP method (supertest function name)
+     * @param {string} path - Path below the server root
+     * @param {string} userId - Caller
+     * @returns {Object} supertest request
+     */
+    function call(method, path, userId) {
+        return api[method](path).set('Authorization', `Bearer ${signToken(userId)}`);
+    }
+
+    test('limits lock operations per user with 429 and Retry-After', async () => {
+        await call('post', '/api/locks/wf-1/request', 'alice').send({});
+        await call('delete', '/api/locks/wf-1', 'alice');
+
+        const limited = await call('post', '/api/locks/wf-1/request', 'alice').send({});
+        expect(limited.status).toBe(429);
+        expect(limited.body.error).toBe('rate_limited');
+        expect(Number(limited.headers['retry-after'])).toBeGreaterThan(0);
+
+        // Other users keep their own budget
+        expect((await call('post', '/api/locks/wf-1/request', 'bob').send({})).status).toBe(200);
+    });
+
+    test('limits every API route per client IP', async () => {
+        for (let attempt = 0; attempt < 5; attempt++) {
+            expect((await call('get', '/api/locks', `user-${attempt}`)).status).toBe(200);
+        }
+
+        expect((await call('get', '/api/locks', 'carol')).status).toBe(429);
+    });
+});
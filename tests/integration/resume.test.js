@@ -0,0 +1,124 @@
+const jwt = require('jsonwebtoken');
+
+const { createResumeToken } = require('../../src/middleware/auth');
+const { startServer, connectSocket, connectUser, request, wait } = require('../helpers');
+
+describe('session resumption', () => {
+    let server;
+    let sockets;
+
+    beforeEach(async () => {
+        process.env.RECONNECT_GRACE_MS = '5000';
+        process.env.AUTH_TIMEOUT_MS = '200';
+        server = await startServer();
+        sockets = [];
+    });
+
+    afterEach(async () => {
+        sockets.forEach(socket => socket.disconnect());
+        await server.stop();
+        delete process.env.RECONNECT_GRACE_MS;
+        delete process.env.AUTH_TIMEOUT_MS;
+    });
+
+    /**
+     * Connect a socket without identifying it and keep it for the teardown
+     * @returns {Object} socket.io-client socket
+     */
+    function connect() {
+        const socket = connectSocket(server);
+        sockets.push(socket);
+        return socket;
+    }
+
+    /**
+     * Identify alice on wf-1 with a lock, then drop her connection
+     * @returns {Promise<Object>} The `identified` payload of the dropped session
+     */
+    async function dropLockHolder() {
+        const alice = await connectUser(server, 'alice', 'wf-1');
+        await request(alice, 'request_lock', { workflowId: 'wf-1' }, 'lock_response');
+        alice.disconnect();
+        await wait(100);
+
+        return alice.identity;
+    }
+
+    test('resumes a dropped session with its workflows and locks', async () => {
+        const { resumeToken, sessionId } = await dropLockHolder();
+
+        const response = await request(connect(), 'resume', { token: resumeToken }, 'resume_response');
+
+        expect(response).toMatchObject({ success: true, sessionId, workflowIds: ['wf-1'] });
+        expect(response.locks.map(lock => lock.workflowId)).toEqual(['wf-1']);
+    });
+
+    test('does not resume a session twice with the same token', async () => {
+        const { resumeToken } = await dropLockHolder();
+        await request(connect(), 'resume', { token: resumeToken }, 'resume_response');
+
+        const reuse = await request(connect(), 'resume', { token: resumeToken }, 'resume_response');
+
+        expect(reuse).toMatchObject({ success: false, error: 'SESSION_EXPIRED' });
+    });
+
+    test('rejects an expired resume token', async () => {
+        const { sessionId } = await dropLockHolder();
+        const expiredToken = createResumeToken('alice', sessionId, 'editor', Math.floor(Date.now() / 1000) - 60);
+
+        const response = await request(connect(), 'resume', { token: expiredToken }, 'resume_response');
+
+        expect(response).toMatchObject({ success: false, error: 'RESUME_TOKEN_EXPIRED' });
+        expect(server.userManager.getSession('alice', sessionId).status).toBe('reconnecting');
+    });
+
+    test('rejects a resume token signed with another secret', async () => {
+        const { sessionId } = await dropLockHolder();
+        const forgedToken = createResumeToken('alice', sessionId, 'admin', null, 'other-secret');
+
+        const response = await request(connect(), 'resume', { token: forgedToken }, 'resume_response');
+
+        expect(response).toMatchObject({ success: false, error: 'INVALID_RESUME_TOKEN' });
+    });
+
+    test('does not accept a resume token in place of a JWT', async () => {
+        const { resumeToken } = await dropLockHolder();
+
+        const error = await request(connect(), 'identify', { token: resumeToken }, 'error');
+
+        expect(error.error).toBe('INVALID_TOKEN');
+    });
+
+    test('disconnects a socket that does not identify in time', async () => {
+        const socket = connect();
+
+        const error = await new Promise(resolve => socket.once('error', resolve));
+        await wait(50);
+
+        expect(error.error).toBe('AUTHENTICATION_REQUIRED');
+        expect(socket.connected).toBe(false);
+    });
+
+    test('keeps the authentication timeout running after a failed identify', async () => {
+        const socket = connect();
+
+        // A valid token without a display name does not register a session
+        const failed = await request(socket, 'identify', { token: jwt.sign({ sub: 'alice' }, process.env.JWT_SECRET) }, 'error');
+        expect(failed.message).toBe('Missing required user information');
+
+        const timedOut = await new Promise(resolve => socket.once('error', resolve));
+        await wait(50);
+
+        expect(timedOut.error).toBe('AUTHENTICATION_REQUIRED');
+        expect(socket.connected).toBe(false);
+    });
+
+    test('keeps an identified socket connected past the authentication timeout', async () => {
+        const socket = await connectUser(server, 'alice');
+        sockets.push(socket);
+
+        await wait(300);
+
+        expect(socket.connected).toBe(true);
+    });
+});
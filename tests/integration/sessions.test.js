@@ -0,0 +1,80 @@
+const { startServer, connectUser, request, wait } = require('../helpers');
+
+describe('closing sessions', () => {
+    let server;
+    let sockets;
+
+    beforeEach(async () => {
+        process.env.RECONNECT_GRACE_MS = '0';
+        server = await startServer();
+        sockets = [];
+    });
+
+    afterEach(async () => {
+        sockets.forEach(socket => socket.disconnect());
+        await server.stop();
+        delete process.env.RECONNECT_GRACE_MS;
+    });
+
+    /**
+     * Connect a user and keep the socket for the teardown
+     * @param {string} userId - User ID
+     * @param {string|null} workflowId - Workflow to join on identify
+     * @returns {Promise<Object>} Identified socket
+     */
+    async function connect(userId, workflowId = null) {
+        const socket = await connectUser(server, userId, workflowId);
+        sockets.push(socket);
+        return socket;
+    }
+
+    test('releases locks and queue entries on workflows the session never joined', async () => {
+        const bob = await connect('bob', 'wf-2');
+        await request(bob, 'request_lock', { workflowId: 'wf-2' }, 'lock_response');
+
+        const alice = await connect('alice');
+        expect((await request(alice, 'request_lock', { workflowId: 'wf-1' }, 'lock_response')).success).toBe(true);
+        expect((await request(alice, 'request_node_lock', { workflowId: 'wf-3', nodeId: 'n1' }, 'node_lock_response')).success)
+            .toBe(true);
+        expect((await request(alice, 'enqueue_lock', { workflowId: 'wf-2' }, 'lock_queue_response')).position).toBe(1);
+
+        alice.disconnect();
+        await wait(100);
+
+        expect(server.lockManager.getWorkflowLock('wf-1')).toBeNull();
+        expect(server.lockManager.getNodeLocks('wf-3')).toEqual([]);
+        expect(server.lockManager.getLockQueue('wf-2')).toEqual([]);
+        expect(server.lockManager.getUserLockWorkflows('alice')).toEqual([]);
+    });
+
+    test('releases only what the closing session took while the user has another one', async () => {
+        const first = await connect('alice');
+        const second = await connect('alice');
+        await request(first, 'request_lock', { workflowId: 'wf-1' }, 'lock_response');
+        await request(second, 'request_lock', { workflowId: 'wf-2' }, 'lock_response');
+
+        second.disconnect();
+        await wait(100);
+
+        expect(server.lockManager.getWorkflowLock('wf-1').userId).toBe('alice');
+        expect(server.lockManager.getWorkflowLock('wf-2')).toBeNull();
+    });
+
+    test('releases the locks and queue entries of users removed for inactivity', async () => {
+        const alice = await connect('alice', 'wf-1');
+        const bob = await connect('bob', 'wf-1');
+        const carol = await connect('carol', 'wf-1');
+        await request(alice, 'request_lock', { workflowId: 'wf-1' }, 'lock_response');
+        await request(bob, 'enqueue_lock', { workflowId: 'wf-1' }, 'lock_queue_response');
+        await request(carol, 'enqueue_lock', { workflowId: 'wf-1' }, 'lock_queue_response');
+
+        for (const userId of ['alice', 'bob']) {
+            server.userManager.users.get(userId).lastActivity = new Date(0);
+        }
+        await server.runCleanup();
+
+        expect(server.userManager.getUser('alice')).toBeNull();
+        expect(server.lockManager.getWorkflowLock('wf-1').userId).toBe('carol');
+        expect(server.lockManager.getLockQueue('wf-1')).toEqual([]);
+    });
+});
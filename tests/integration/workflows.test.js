@@ -0,0 +1,65 @@
+const { startServer, connectUser, request } = require('../helpers');
+
+describe('following several workflows from one socket', () => {
+    let server;
+    let sockets;
+
+    beforeEach(async () => {
+        server = await startServer();
+        sockets = [];
+    });
+
+    afterEach(async () => {
+        sockets.forEach(socket => socket.disconnect());
+        await server.stop();
+    });
+
+    /**
+     * Connect a user and keep the socket for the teardown
+     * @param {string} userId - User ID
+     * @param {string|null} workflowId - Workflow to join on identify
+     * @returns {Promise<Object>} Identified socket
+     */
+    async function connect(userId, workflowId = null) {
+        const socket = await connectUser(server, userId, workflowId);
+        sockets.push(socket);
+        return socket;
+    }
+
+    test('sends the state of each joined workflow and relays events from all of them', async () => {
+        const alice = await connect('alice', 'wf-1');
+        const bob = await connect('bob', 'wf-2');
+        await request(bob, 'request_lock', { workflowId: 'wf-2' }, 'lock_response');
+
+        const state = await request(alice, 'join-workflow', { workflowId: 'wf-2' }, 'workflow_state');
+        expect(state).toMatchObject({ workflowId: 'wf-2', lockState: { userId: 'bob' } });
+        expect(server.userManager.getUserWorkflows('alice').sort()).toEqual(['wf-1', 'wf-2']);
+
+        const acquired = new Promise(resolve => alice.once('lock_acquired', resolve));
+        await request(bob, 'join-workflow', { workflowId: 'wf-1' }, 'workflow_state');
+        await request(bob, 'request_lock', { workflowId: 'wf-1' }, 'lock_response');
+        expect((await acquired).workflowId).toBe('wf-1');
+    });
+
+    test('releases the locks on a workflow the socket leaves and keeps the others', async () => {
+        const alice = await connect('alice', 'wf-1');
+        await request(alice, 'join-workflow', { workflowId: 'wf-2' }, 'workflow_state');
+        await request(alice, 'request_lock', { workflowId: 'wf-1' }, 'lock_response');
+        await request(alice, 'request_lock', { workflowId: 'wf-2' }, 'lock_response');
+
+        const left = await request(alice, 'leave-workflow', { workflowId: 'wf-1' }, 'workflow_left');
+
+        expect(left.workflowId).toBe('wf-1');
+        expect(server.lockManager.getWorkflowLock('wf-1')).toBeNull();
+        expect(server.lockManager.getWorkflowLock('wf-2').userId).toBe('alice');
+        expect(server.userManager.getUserWorkflows('alice')).toEqual(['wf-2']);
+    });
+
+    test('refuses to leave a workflow that was not joined', async () => {
+        const alice = await connect('alice', 'wf-1');
+
+        const error = await request(alice, 'leave-workflow', { workflowId: 'wf-9' }, 'error');
+
+        expect(error.error).toBe('NOT_IN_WORKFLOW');
+    });
+});
@@ -0,0 +1,4 @@
+// Environment shared by every test file (loaded before each one, see the jest config in package.json)
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+process.env.LOG_FILE = '';
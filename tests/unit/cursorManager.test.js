@@ -0,0 +1,58 @@
+const CursorManager = require('../../src/cursorManager');
+
+describe('CursorManager', () => {
+    let cursorManager;
+    let relay;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        cursorManager = new CursorManager({ throttleMs: 50 });
+        relay = jest.fn();
+    });
+
+    afterEach(() => {
+        cursorManager.clearAll();
+        jest.useRealTimers();
+    });
+
+    test('relays the first position at once and only the latest one per throttle window', () => {
+        expect(cursorManager.update('socket-1', 'wf-1', { x: 1 }, relay)).toBe(true);
+        expect(cursorManager.update('socket-1', 'wf-1', { x: 2 }, relay)).toBe(false);
+        expect(cursorManager.update('socket-1', 'wf-1', { x: 3 }, relay)).toBe(false);
+        expect(relay.mock.calls).toEqual([[{ x: 1 }]]);
+
+        jest.advanceTimersByTime(50);
+        expect(relay.mock.calls).toEqual([[{ x: 1 }], [{ x: 3 }]]);
+
+        // A quiet window ends the throttle, so the next position is relayed at once again
+        jest.advanceTimersByTime(50);
+        expect(cursorManager.update('socket-1', 'wf-1', { x: 4 }, relay)).toBe(true);
+        expect(relay).toHaveBeenCalledTimes(3);
+    });
+
+    test('throttles each socket and workflow separately', () => {
+        cursorManager.update('socket-1', 'wf-1', { x: 1 }, relay);
+        cursorManager.update('socket-1', 'wf-2', { x: 2 }, relay);
+        cursorManager.update('socket-2', 'wf-1', { x: 3 }, relay);
+
+        expect(relay).toHaveBeenCalledTimes(3);
+    });
+
+    test('drops pending positions of a socket that left', () => {
+        cursorManager.update('socket-1', 'wf-1', { x: 1 }, relay);
+        cursorManager.update('socket-1', 'wf-1', { x: 2 }, relay);
+        cursorManager.update('socket-1', 'wf-2', { x: 3 }, relay);
+
+        expect(cursorManager.clear('socket-1', 'wf-1')).toBe(1);
+        expect(cursorManager.clear('socket-1')).toBe(1);
+        jest.advanceTimersByTime(100);
+
+        expect(relay.mock.calls).toEqual([[{ x: 1 }], [{ x: 3 }]]);
+        expect(cursorManager.getStats().activeCursors).toBe(0);
+    });
+
+    test('gives each user a stable colour', () => {
+        expect(cursorManager.colorFor('alice')).toBe(cursorManager.colorFor('alice'));
+        expect(cursorManager.colorFor('alice')).toMatch(/^#[0-9a-f]{6}$/);
+    });
+});
@@ -0,0 +1,61 @@
+const LockManager = require('../../src/lockManager');
+
+describe('LockManager fencing tokens', () => {
+    let lockManager;
+
+    beforeEach(() => {
+        jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+        lockManager = new LockManager();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('issue a higher token with every new lock on a workflow', () => {
+        const first = lockManager.requestLock('wf-1', 'alice').lockInfo.fencingToken;
+        lockManager.releaseLock('wf-1', 'alice');
+        const second = lockManager.requestLock('wf-1', 'bob').lockInfo.fencingToken;
+
+        expect(second).toBeGreaterThan(first);
+        expect(lockManager.requestLock('wf-2', 'alice').lockInfo.fencingToken).toBe(1);
+    });
+
+    test('accept the token of the caller\'s current lock', () => {
+        const { fencingToken } = lockManager.requestLock('wf-1', 'alice').lockInfo;
+
+        expect(lockManager.validateLock('wf-1', 'alice', fencingToken)).toMatchObject({ success: true, valid: true });
+    });
+
+    test('reject the token of a lock the caller held before', () => {
+        const stale = lockManager.requestLock('wf-1', 'alice').lockInfo.fencingToken;
+        lockManager.releaseLock('wf-1', 'alice');
+        const current = lockManager.requestLock('wf-1', 'alice').lockInfo.fencingToken;
+
+        expect(lockManager.validateLock('wf-1', 'alice', stale)).toMatchObject({
+            valid: false,
+            error: 'STALE_FENCING_TOKEN',
+            latestToken: current
+        });
+    });
+
+    test('reject a token once the lock has expired', () => {
+        const { fencingToken } = lockManager.requestLock('wf-1', 'alice').lockInfo;
+        jest.advanceTimersByTime(lockManager.lockTimeout + 1000);
+
+        expect(lockManager.validateLock('wf-1', 'alice', fencingToken).error).toBe('NO_LOCK');
+    });
+
+    test('reject another user\'s current token', () => {
+        const { fencingToken } = lockManager.requestLock('wf-1', 'alice').lockInfo;
+
+        expect(lockManager.validateLock('wf-1', 'bob', fencingToken).error).toBe('NO_LOCK');
+    });
+
+    test('reject the token of a lock that was forced away', () => {
+        const { fencingToken } = lockManager.requestLock('wf-1', 'alice').lockInfo;
+        lockManager.requestLock('wf-1', 'bob', true, 'admin');
+
+        expect(lockManager.validateLock('wf-1', 'alice', fencingToken).error).toBe('NO_LOCK');
+    });
+});
@@ -0,0 +1,77 @@
+const LockManager = require('../../src/lockManager');
+const RequestManager = require('../../src/requestManager');
+
+describe('expired locks', () => {
+    let lockManager;
+
+    beforeEach(() => {
+        jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+        lockManager = new LockManager();
+        lockManager.requestLock('wf-1', 'alice');
+        lockManager.requestLock('wf-2', 'alice', false, null, { mode: 'shared' });
+        lockManager.requestNodeLock('wf-3', 'node-1', 'alice');
+        jest.advanceTimersByTime(lockManager.lockTimeout + 1000);
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('read as absent without being removed', () => {
+        expect(lockManager.getWorkflowLock('wf-1')).toBeNull();
+        expect(lockManager.getSharedLocks('wf-2')).toEqual([]);
+        expect(lockManager.getNodeLock('wf-3', 'node-1')).toBeNull();
+        expect(lockManager.getNodeLocks('wf-3')).toEqual([]);
+        expect(lockManager.getUserLocks('alice')).toEqual([]);
+        expect(lockManager.getAllLocks()).toEqual([]);
+
+        expect(lockManager.getWorkflowsToExpire().sort()).toEqual(['wf-1', 'wf-2', 'wf-3']);
+    });
+
+    test('are left for the cleanup to report', () => {
+        lockManager.getAllLocks();
+        lockManager.getUserLocks('alice');
+
+        expect(lockManager.expireWorkflowLocks('wf-1').expiredLocks)
+            .toEqual([{ workflowId: 'wf-1', userId: 'alice', mode: 'exclusive' }]);
+        expect(lockManager.expireWorkflowLocks('wf-2').expiredLocks)
+            .toEqual([{ workflowId: 'wf-2', userId: 'alice', mode: 'shared' }]);
+        expect(lockManager.expireWorkflowLocks('wf-3').expiredNodeLocks)
+            .toEqual([{ workflowId: 'wf-3', nodeId: 'node-1', userId: 'alice' }]);
+        expect(lockManager.getWorkflowsToExpire()).toEqual([]);
+    });
+
+    test('are handed off by the cleanup rather than when the queue changes', () => {
+        expect(lockManager.enqueueLock('wf-1', 'bob', 's-bob').handedOffTo).toBeUndefined();
+
+        const cleanup = lockManager.expireWorkflowLocks('wf-1');
+        expect(cleanup.expiredLocks).toHaveLength(1);
+        expect(cleanup.handedOffTo.userId).toBe('bob');
+    });
+
+    test('do not block new locks', () => {
+        expect(lockManager.requestLock('wf-1', 'bob').success).toBe(true);
+        expect(lockManager.requestNodeLock('wf-3', 'node-1', 'bob').success).toBe(true);
+    });
+});
+
+describe('expired edit requests', () => {
+    beforeEach(() => {
+        jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('count as expired in the stats and are left for the cleanup', () => {
+        const requestManager = new RequestManager();
+        const request = requestManager.createRequest('wf-1', 'bob', 'alice');
+        jest.advanceTimersByTime(requestManager.requestTimeout + 1000);
+
+        expect(requestManager.getStats()).toMatchObject({ total: 1, pending: 0, expired: 1 });
+        expect(requestManager.getRequest(request.id).status).toBe('pending');
+
+        expect(requestManager.cleanupExpiredRequests().map(expired => expired.id)).toEqual([request.id]);
+    });
+});
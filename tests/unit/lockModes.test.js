@@ -0,0 +1,99 @@
+const LockManager = require('../../src/lockManager');
+
+describe('LockManager lock modes', () => {
+    let lockManager;
+
+    beforeEach(() => {
+        jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+        lockManager = new LockManager({ queueEntryTtl: 10 * 60 * 1000 });
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('grants shared locks to any number of users', () => {
+        expect(lockManager.requestLock('wf-1', 'alice', false, null, { mode: 'shared' }).success).toBe(true);
+        const second = lockManager.requestLock('wf-1', 'bob', false, null, { mode: 'shared' });
+
+        expect(second.success).toBe(true);
+        expect(second.holders.map(holder => holder.userId).sort()).toEqual(['alice', 'bob']);
+    });
+
+    test('refuses an exclusive lock while other users hold shared locks', () => {
+        lockManager.requestLock('wf-1', 'alice', false, null, { mode: 'shared' });
+
+        const result = lockManager.requestLock('wf-1', 'bob');
+        expect(result.error).toBe('SHARED_LOCKED');
+        expect(result.holders.map(holder => holder.userId)).toEqual(['alice']);
+    });
+
+    test('refuses a shared lock while another user holds the exclusive lock', () => {
+        lockManager.requestLock('wf-1', 'alice');
+
+        const result = lockManager.requestLock('wf-1', 'bob', false, null, { mode: 'shared' });
+        expect(result.error).toBe('WORKFLOW_LOCKED');
+        expect(result.lockInfo).toMatchObject({ userId: 'alice', mode: 'exclusive' });
+    });
+
+    test('lets a permitted force release the other users\' shared locks', () => {
+        lockManager.requestLock('wf-1', 'alice', false, null, { mode: 'shared' });
+
+        expect(lockManager.requestLock('wf-1', 'bob', true, 'viewer').error).toBe('FORCE_NOT_PERMITTED');
+
+        const forced = lockManager.requestLock('wf-1', 'bob', true, 'admin');
+        expect(forced.success).toBe(true);
+        expect(forced.releasedSharedLocks.map(lock => lock.userId)).toEqual(['alice']);
+        expect(lockManager.getSharedLocks('wf-1')).toEqual([]);
+    });
+
+    test('upgrades only the sole shared holder and downgrades the exclusive holder', () => {
+        lockManager.requestLock('wf-1', 'alice', false, null, { mode: 'shared' });
+        lockManager.requestLock('wf-1', 'bob', false, null, { mode: 'shared' });
+
+        expect(lockManager.upgradeLock('wf-1', 'alice').error).toBe('SHARED_LOCKED');
+
+        lockManager.releaseLock('wf-1', 'bob');
+        expect(lockManager.upgradeLock('wf-1', 'alice')).toMatchObject({ success: true, upgraded: true });
+        expect(lockManager.getWorkflowLock('wf-1').userId).toBe('alice');
+
+        expect(lockManager.downgradeLock('wf-1', 'bob').error).toBe('NOT_EXCLUSIVE_HOLDER');
+        expect(lockManager.downgradeLock('wf-1', 'alice')).toMatchObject({ success: true, downgraded: true });
+        expect(lockManager.getWorkflowLock('wf-1')).toBeNull();
+        expect(lockManager.getSharedLock('wf-1', 'alice').mode).toBe('shared');
+    });
+
+    describe('with users waiting for the exclusive lock', () => {
+        beforeEach(() => {
+            lockManager.requestLock('wf-1', 'alice', false, null, { mode: 'shared' });
+            lockManager.enqueueLock('wf-1', 'bob', 's-bob');
+        });
+
+        test('refuses new shared locks so readers cannot starve the waiting writer', () => {
+            const result = lockManager.requestLock('wf-1', 'carol', false, null, { mode: 'shared' });
+
+            expect(result.error).toBe('QUEUE_NOT_EMPTY');
+            expect(result.queue.map(entry => entry.userId)).toEqual(['bob']);
+        });
+
+        test('lets current shared holders refresh their lock', () => {
+            const result = lockManager.requestLock('wf-1', 'alice', false, null, { mode: 'shared' });
+
+            expect(result).toMatchObject({ success: true, message: 'Shared lock refreshed' });
+        });
+
+        test('hands the lock to the writer once the readers are gone', () => {
+            const released = lockManager.releaseLock('wf-1', 'alice');
+            expect(released.handedOffTo).toMatchObject({ userId: 'bob', mode: 'exclusive' });
+            expect(lockManager.getSharedLocks('wf-1')).toEqual([]);
+        });
+
+        test('hands the lock to the writer once the readers\' locks expire', () => {
+            jest.advanceTimersByTime(lockManager.lockTimeout + 1000);
+
+            const cleanup = lockManager.expireWorkflowLocks('wf-1');
+            expect(cleanup.expiredLocks).toEqual([{ workflowId: 'wf-1', userId: 'alice', mode: 'shared' }]);
+            expect(cleanup.handedOffTo.userId).toBe('bob');
+        });
+    });
+});
@@ -0,0 +1,173 @@
+const LockManager = require('../../src/lockManager');
+
+describe('LockManager lock queue', () => {
+    let lockManager;
+
+    beforeEach(() => {
+        jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+        // Entries outlive the 5 minute lock timeout unless a test shortens their lifetime
+        lockManager = new LockManager({ queueEntryTtl: 10 * 60 * 1000 });
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('keeps waiting users in FIFO order', () => {
+        lockManager.requestLock('wf-1', 'alice');
+
+        expect(lockManager.enqueueLock('wf-1', 'bob', 's-bob').position).toBe(1);
+        expect(lockManager.enqueueLock('wf-1', 'carol', 's-carol').position).toBe(2);
+        expect(lockManager.enqueueLock('wf-1', 'bob', 's-bob')).toMatchObject({
+            message: 'Already waiting for this lock',
+            position: 1
+        });
+
+        expect(lockManager.getLockQueue('wf-1').map(entry => entry.userId)).toEqual(['bob', 'carol']);
+    });
+
+    test('hands a released lock to each waiting user in turn', () => {
+        lockManager.requestLock('wf-1', 'alice');
+        lockManager.enqueueLock('wf-1', 'bob', 's-bob');
+        lockManager.enqueueLock('wf-1', 'carol', 's-carol');
+
+        const first = lockManager.releaseLock('wf-1', 'alice');
+        expect(first.handedOffTo).toMatchObject({ userId: 'bob', sessionId: 's-bob', mode: 'exclusive' });
+        expect(lockManager.getWorkflowLock('wf-1').userId).toBe('bob');
+        expect(lockManager.getQueuePosition('wf-1', 'carol')).toBe(1);
+
+        const second = lockManager.releaseLock('wf-1', 'bob');
+        expect(second.handedOffTo.userId).toBe('carol');
+        expect(lockManager.getLockQueue('wf-1')).toEqual([]);
+
+        expect(lockManager.releaseLock('wf-1', 'carol').handedOffTo).toBeUndefined();
+    });
+
+    test('gives a free lock to the first user who enqueues', () => {
+        const result = lockManager.enqueueLock('wf-1', 'bob', 's-bob');
+
+        expect(result).toMatchObject({ message: 'Lock acquired', position: null });
+        expect(result.handedOffTo.userId).toBe('bob');
+    });
+
+    test('reserves a free lock for the head of the queue', () => {
+        lockManager.requestLock('wf-1', 'alice');
+        lockManager.enqueueLock('wf-1', 'bob', 's-bob');
+        lockManager.enqueueLock('wf-1', 'carol', 's-carol');
+
+        // Alice's lock lapses before the cleanup timer can hand it off
+        jest.advanceTimersByTime(lockManager.lockTimeout + 1000);
+        expect(lockManager.requestLock('wf-1', 'carol', false, null, { sessionId: 's-carol' }).error)
+            .toBe('QUEUE_NOT_EMPTY');
+        expect(lockManager.requestLock('wf-1', 'dave').error).toBe('QUEUE_NOT_EMPTY');
+
+        const headRequest = lockManager.requestLock('wf-1', 'bob', false, null, { sessionId: 's-bob' });
+        expect(headRequest).toMatchObject({ success: true, leftQueue: true });
+        expect(lockManager.getLockQueue('wf-1').map(entry => entry.userId)).toEqual(['carol']);
+    });
+
+    test('hands off a lock that expired during cleanup', () => {
+        lockManager.requestLock('wf-1', 'alice');
+        lockManager.enqueueLock('wf-1', 'bob', 's-bob');
+
+        jest.advanceTimersByTime(lockManager.lockTimeout + 1000);
+        const cleanup = lockManager.expireWorkflowLocks('wf-1');
+
+        expect(cleanup.expiredLocks).toEqual([{ workflowId: 'wf-1', userId: 'alice', mode: 'exclusive' }]);
+        expect(cleanup.handedOffTo.userId).toBe('bob');
+    });
+
+    test('waits for other users\' node and shared locks before handing off', () => {
+        lockManager.requestNodeLock('wf-1', 'node-1', 'alice');
+        lockManager.requestLock('wf-1', 'carol', false, null, { mode: 'shared' });
+
+        const queued = lockManager.enqueueLock('wf-1', 'bob', 's-bob');
+        expect(queued.handedOffTo).toBeUndefined();
+
+        expect(lockManager.releaseNodeLock('wf-1', 'node-1', 'alice').handedOffTo).toBeUndefined();
+        expect(lockManager.releaseLock('wf-1', 'carol').handedOffTo.userId).toBe('bob');
+    });
+
+    test('moves the next user up when the head leaves the queue', () => {
+        lockManager.requestLock('wf-1', 'alice');
+        lockManager.enqueueLock('wf-1', 'bob', 's-bob');
+        lockManager.enqueueLock('wf-1', 'carol', 's-carol');
+
+        expect(lockManager.leaveLockQueue('wf-1', 'bob').success).toBe(true);
+        expect(lockManager.leaveLockQueue('wf-1', 'bob').error).toBe('NOT_QUEUED');
+        expect(lockManager.releaseLock('wf-1', 'alice').handedOffTo.userId).toBe('carol');
+    });
+
+    test('releases a departed session\'s queue entry and hands off past it', () => {
+        lockManager.requestLock('wf-1', 'alice', false, null, { sessionId: 's-alice' });
+        lockManager.enqueueLock('wf-1', 'bob', 's-bob');
+        lockManager.enqueueLock('wf-1', 'carol', 's-carol');
+
+        const bobLeft = lockManager.releaseUserFromWorkflow('wf-1', 'bob', 's-bob');
+        expect(bobLeft).toMatchObject({ leftQueue: true, handedOffTo: null });
+
+        const aliceLeft = lockManager.releaseUserFromWorkflow('wf-1', 'alice', 's-alice');
+        expect(aliceLeft.releasedLock.userId).toBe('alice');
+        expect(aliceLeft.handedOffTo.userId).toBe('carol');
+    });
+
+    describe('expiring entries', () => {
+        beforeEach(() => {
+            lockManager = new LockManager({ queueEntryTtl: 60 * 1000 });
+        });
+
+        test('expire, are skipped by the hand-off and are dropped by the cleanup', () => {
+            lockManager.requestLock('wf-1', 'alice');
+            lockManager.enqueueLock('wf-1', 'bob');
+            lockManager.enqueueLock('wf-1', 'carol', 'socket-carol');
+
+            jest.advanceTimersByTime(30 * 1000);
+            expect(lockManager.renewQueueEntry('wf-1', 'carol').success).toBe(true);
+            jest.advanceTimersByTime(31 * 1000);
+            expect(lockManager.getLockQueue('wf-1').map(entry => entry.userId)).toEqual(['carol']);
+            expect(lockManager.getLockQueue('wf-1').map(entry => entry.userId)).toEqual(['carol']);
+
+            const release = lockManager.releaseLock('wf-1', 'alice');
+            expect(release.handedOffTo.userId).toBe('carol');
+
+            lockManager.releaseLock('wf-1', 'carol');
+            const cleanup = lockManager.expireWorkflowLocks('wf-1');
+            expect(cleanup.expiredQueueEntries).toEqual([{ workflowId: 'wf-1', userId: 'bob' }]);
+            expect(lockManager.queues.has('wf-1')).toBe(false);
+        });
+
+        test('expire for a socket that stops renewing them', () => {
+            lockManager.requestLock('wf-1', 'alice');
+            lockManager.enqueueLock('wf-1', 'bob', 's-bob');
+            expect(lockManager.getQueuedWorkflows('bob', 's-bob')).toEqual(['wf-1']);
+
+            jest.advanceTimersByTime(61 * 1000);
+            expect(lockManager.getQueuedWorkflows('bob')).toEqual([]);
+            expect(lockManager.renewQueueEntry('wf-1', 'bob').error).toBe('NOT_QUEUED');
+            expect(lockManager.expireWorkflowLocks('wf-1').expiredQueueEntries)
+                .toEqual([{ workflowId: 'wf-1', userId: 'bob' }]);
+        });
+
+        test('are renewed by enqueueing again', () => {
+            lockManager.requestLock('wf-1', 'alice');
+            lockManager.enqueueLock('wf-1', 'bob');
+
+            jest.advanceTimersByTime(45 * 1000);
+            lockManager.enqueueLock('wf-1', 'bob');
+            jest.advanceTimersByTime(45 * 1000);
+
+            expect(lockManager.getLockQueue('wf-1')).toEqual([
+                expect.objectContaining({ userId: 'bob', position: 1 })
+            ]);
+        });
+
+        test('do not hold a free lock back from other users once expired', () => {
+            lockManager.requestLock('wf-1', 'alice');
+            lockManager.enqueueLock('wf-1', 'bob');
+
+            jest.advanceTimersByTime(61 * 1000);
+            expect(lockManager.releaseLock('wf-1', 'alice').handedOffTo).toBeUndefined();
+            expect(lockManager.requestLock('wf-1', 'carol').success).toBe(true);
+        });
+    });
+});
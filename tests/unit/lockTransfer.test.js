@@ -0,0 +1,75 @@
+const LockManager = require('../../src/lockManager');
+
+describe('LockManager lock transfer', () => {
+    let lockManager;
+
+    beforeEach(() => {
+        jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+        lockManager = new LockManager();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('hands the exclusive lock to the new holder with a new fencing token', () => {
+        const { lockInfo: previous } = lockManager.requestLock('wf-1', 'alice');
+
+        const result = lockManager.transferLock('wf-1', 'alice', 'bob');
+
+        expect(result).toMatchObject({ success: true, previousLock: { userId: 'alice' }, leftQueue: false });
+        expect(result.lockInfo).toMatchObject({ userId: 'bob', mode: 'exclusive', ttl: lockManager.lockTimeout });
+        expect(result.lockInfo.fencingToken).toBeGreaterThan(previous.fencingToken);
+        expect(lockManager.getWorkflowLock('wf-1').userId).toBe('bob');
+        expect(lockManager.validateLock('wf-1', 'alice', previous.fencingToken).error).toBe('NO_LOCK');
+    });
+
+    test('binds the new lock to the requester\'s session and requested TTL', () => {
+        lockManager.requestLock('wf-1', 'alice');
+
+        const result = lockManager.transferLock('wf-1', 'alice', 'bob', { sessionId: 's-bob', ttl: 120000 });
+
+        expect(result.lockInfo).toMatchObject({ userId: 'bob', sessionId: 's-bob', ttl: 120000 });
+        expect(result.lockInfo.expiresAt).toEqual(new Date(Date.now() + 120000));
+        expect(lockManager.releaseUserFromWorkflow('wf-1', 'bob', 's-other').releasedLock).toBeNull();
+        expect(lockManager.releaseUserFromWorkflow('wf-1', 'bob', 's-bob').releasedLock.userId).toBe('bob');
+    });
+
+    test('refuses a transfer from a user who no longer holds the lock', () => {
+        lockManager.requestLock('wf-1', 'alice');
+        lockManager.releaseLock('wf-1', 'alice');
+        lockManager.requestLock('wf-1', 'carol');
+
+        expect(lockManager.transferLock('wf-1', 'alice', 'bob').error).toBe('NOT_LOCK_HOLDER');
+        expect(lockManager.getWorkflowLock('wf-1').userId).toBe('carol');
+    });
+
+    test('refuses a transfer of an expired lock', () => {
+        lockManager.requestLock('wf-1', 'alice');
+        jest.advanceTimersByTime(lockManager.lockTimeout + 1000);
+
+        expect(lockManager.transferLock('wf-1', 'alice', 'bob').error).toBe('NOT_LOCK_HOLDER');
+    });
+
+    test('releases the previous holder\'s node locks', () => {
+        lockManager.requestNodeLock('wf-1', 'node-1', 'alice');
+        lockManager.requestLock('wf-1', 'alice');
+
+        const result = lockManager.transferLock('wf-1', 'alice', 'bob');
+
+        expect(result.releasedNodeLocks.map(lock => lock.nodeId)).toEqual(['node-1']);
+        expect(lockManager.getNodeLocks('wf-1')).toEqual([]);
+    });
+
+    test('takes the new holder out of the queue ahead of users waiting longer', () => {
+        lockManager.requestLock('wf-1', 'alice');
+        lockManager.enqueueLock('wf-1', 'carol', 's-carol');
+        lockManager.enqueueLock('wf-1', 'bob', 's-bob');
+
+        const result = lockManager.transferLock('wf-1', 'alice', 'bob');
+
+        expect(result.leftQueue).toBe(true);
+        expect(lockManager.getLockQueue('wf-1').map(entry => entry.userId)).toEqual(['carol']);
+        expect(lockManager.releaseLock('wf-1', 'bob').handedOffTo.userId).toBe('carol');
+    });
+});
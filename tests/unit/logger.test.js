@@ -0,0 +1,19 @@
+const { redact } = require('../../src/logger');
+
+describe('log redaction', () => {
+    test('redacts credentials and user-written request body messages', () => {
+        expect(redact({
+            headers: { authorization: 'Bearer abc' },
+            body: { workflowId: 'wf-1', message: 'please let me edit' }
+        })).toEqual({
+            headers: { authorization: '[REDACTED]' },
+            body: { workflowId: 'wf-1', message: '[REDACTED]' }
+        });
+    });
+
+    test('keeps diagnostic messages such as validation details', () => {
+        const details = [{ field: 'payload.workflowId', message: "'workflowId' is required" }];
+
+        expect(redact({ details })).toEqual({ details });
+    });
+});
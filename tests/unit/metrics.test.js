@@ -0,0 +1,20 @@
+const Metrics = require('../../src/metrics');
+const LockManager = require('../../src/lockManager');
+
+describe('collab_active_locks', () => {
+    test('counts exclusive, shared and node locks by mode', async () => {
+        const metrics = new Metrics({ collectDefaultMetrics: false });
+        const lockManager = new LockManager({ metrics });
+        metrics.bindSources({ lockManager });
+
+        lockManager.requestLock('wf-1', 'alice');
+        lockManager.requestLock('wf-2', 'bob', false, null, { mode: 'shared' });
+        lockManager.requestLock('wf-2', 'carol', false, null, { mode: 'shared' });
+        lockManager.requestNodeLock('wf-3', 'node-1', 'dave');
+
+        const { values } = await metrics.activeLocks.get();
+        const byMode = Object.fromEntries(values.map(({ labels, value }) => [labels.mode, value]));
+
+        expect(byMode).toEqual({ exclusive: 1, shared: 2, node: 1 });
+    });
+});
@@ -0,0 +1,72 @@
+const LockManager = require('../../src/lockManager');
+
+describe('LockManager node locks', () => {
+    let lockManager;
+
+    beforeEach(() => {
+        jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+        lockManager = new LockManager({ queueEntryTtl: 10 * 60 * 1000 });
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('lets different users lock different nodes of the same workflow', () => {
+        expect(lockManager.requestNodeLock('wf-1', 'node-1', 'alice').success).toBe(true);
+        expect(lockManager.requestNodeLock('wf-1', 'node-2', 'bob').success).toBe(true);
+
+        expect(lockManager.getNodeLocks('wf-1').map(lock => [lock.nodeId, lock.userId]).sort())
+            .toEqual([['node-1', 'alice'], ['node-2', 'bob']]);
+    });
+
+    test('refuses a node another user holds and refreshes the holder\'s own lock', () => {
+        lockManager.requestNodeLock('wf-1', 'node-1', 'alice');
+
+        const conflict = lockManager.requestNodeLock('wf-1', 'node-1', 'bob');
+        expect(conflict.error).toBe('NODE_LOCKED');
+        expect(conflict.lockInfo.userId).toBe('alice');
+
+        expect(lockManager.requestNodeLock('wf-1', 'node-1', 'alice').message).toBe('Node lock refreshed');
+    });
+
+    test('refuses node locks while another user holds the exclusive lock', () => {
+        lockManager.requestLock('wf-1', 'alice');
+
+        expect(lockManager.requestNodeLock('wf-1', 'node-1', 'bob').error).toBe('WORKFLOW_LOCKED');
+        expect(lockManager.requestNodeLock('wf-1', 'node-1', 'alice').success).toBe(true);
+    });
+
+    test('refuses the exclusive lock while other users hold node locks', () => {
+        lockManager.requestNodeLock('wf-1', 'node-1', 'alice');
+
+        const result = lockManager.requestLock('wf-1', 'bob');
+        expect(result.error).toBe('NODES_LOCKED');
+        expect(result.nodeLocks.map(lock => lock.nodeId)).toEqual(['node-1']);
+
+        expect(lockManager.requestLock('wf-1', 'alice').success).toBe(true);
+    });
+
+    test('only lets the holder release a node lock', () => {
+        lockManager.requestNodeLock('wf-1', 'node-1', 'alice');
+
+        expect(lockManager.releaseNodeLock('wf-1', 'node-1', 'bob').error).toBe('UNAUTHORIZED');
+        expect(lockManager.releaseNodeLock('wf-1', 'node-1', 'alice').success).toBe(true);
+        expect(lockManager.releaseNodeLock('wf-1', 'node-1', 'alice').error).toBe('NO_LOCK');
+        expect(lockManager.getNodeLock('wf-1', 'node-1')).toBeNull();
+    });
+
+    test('renews a node lock for its holder only', () => {
+        lockManager.requestNodeLock('wf-1', 'node-1', 'alice');
+        jest.advanceTimersByTime(lockManager.lockTimeout - 1000);
+
+        expect(lockManager.renewLock('wf-1', 'bob', 'node-1').error).toBe('UNAUTHORIZED');
+
+        const renewed = lockManager.renewLock('wf-1', 'alice', 'node-1');
+        expect(renewed.lockInfo).toMatchObject({ nodeId: 'node-1', mode: 'node' });
+        expect(renewed.lockInfo.expiresAt.getTime()).toBe(Date.now() + lockManager.lockTimeout);
+
+        jest.advanceTimersByTime(2000);
+        expect(lockManager.getNodeLock('wf-1', 'node-1').userId).toBe('alice');
+    });
+});
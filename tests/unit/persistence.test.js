@@ -0,0 +1,87 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const FileStore = require('../../src/storage/fileStore');
+const LockManager = require('../../src/lockManager');
+const RequestManager = require('../../src/requestManager');
+
+describe('file-backed persistence', () => {
+    let directory;
+    let filePath;
+
+    beforeEach(async () => {
+        directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'collab-state-'));
+        filePath = path.join(directory, 'state.json');
+    });
+
+    afterEach(async () => {
+        await fs.promises.rm(directory, { recursive: true, force: true });
+    });
+
+    /**
+     * Open the state file as a fresh store, as a restarted server would
+     * @returns {Promise<Object>} Initialized FileStore
+     */
+    async function openStore() {
+        const store = new FileStore({ filePath, flushDelay: 0 });
+        await store.init();
+        return store;
+    }
+
+    /**
+     * Let fire-and-forget writes reach the store, then write the snapshot and close it
+     * @param {Object} store - FileStore
+     */
+    async function closeStore(store) {
+        await new Promise(resolve => setImmediate(resolve));
+        await store.close();
+    }
+
+    test('restores locks and pending requests after a restart', async () => {
+        const store = await openStore();
+        const lockManager = new LockManager({ store });
+        const requestManager = new RequestManager({ store });
+        const { fencingToken } = lockManager.requestLock('wf-1', 'alice').lockInfo;
+        lockManager.requestNodeLock('wf-2', 'node-1', 'bob');
+        const request = requestManager.createRequest('wf-1', 'bob', 'alice', 'please');
+        await closeStore(store);
+
+        const restarted = await openStore();
+        const restoredLocks = new LockManager({ store: restarted });
+        const restoredRequests = new RequestManager({ store: restarted });
+
+        expect(restoredLocks.rehydrate(await restarted.loadAll('locks'))).toEqual({ restored: 2, discarded: 0 });
+        expect(restoredRequests.rehydrate(await restarted.loadAll('requests'))).toEqual({ restored: 1, discarded: 0 });
+
+        expect(restoredLocks.getWorkflowLock('wf-1')).toMatchObject({ userId: 'alice', fencingToken });
+        expect(restoredLocks.getWorkflowLock('wf-1').expiresAt).toBeInstanceOf(Date);
+        expect(restoredLocks.getNodeLocks('wf-2').map(lock => lock.userId)).toEqual(['bob']);
+        expect(restoredRequests.getRequest(request.id)).toMatchObject({ status: 'pending', message: 'please' });
+
+        // Fencing tokens keep increasing across the restart
+        restoredLocks.releaseLock('wf-1', 'alice');
+        expect(restoredLocks.requestLock('wf-1', 'carol').lockInfo.fencingToken).toBeGreaterThan(fencingToken);
+        await closeStore(restarted);
+    });
+
+    test('discards locks and requests that expired while the server was down', async () => {
+        const store = await openStore();
+        const lockManager = new LockManager({ store, lockTimeout: 60 * 1000 });
+        const requestManager = new RequestManager({ store });
+        lockManager.requestLock('wf-1', 'alice');
+        const request = requestManager.createRequest('wf-1', 'bob', 'alice');
+        store.collections.get('locks').get('wf-1').expiresAt = new Date(Date.now() - 1000).toISOString();
+        store.collections.get('requests').get(request.id).expiresAt = new Date(Date.now() - 1000).toISOString();
+        await closeStore(store);
+
+        const restarted = await openStore();
+        const restoredLocks = new LockManager({ store: restarted });
+        const restoredRequests = new RequestManager({ store: restarted });
+
+        expect(restoredLocks.rehydrate(await restarted.loadAll('locks'))).toEqual({ restored: 0, discarded: 1 });
+        expect(restoredRequests.rehydrate(await restarted.loadAll('requests'))).toEqual({ restored: 0, discarded: 1 });
+        expect(restoredLocks.getWorkflowLock('wf-1')).toBeNull();
+        await closeStore(restarted);
+    });
+});
@@ -0,0 +1,99 @@
+const RequestManager = require('../../src/requestManager');
+
+describe('RequestManager edit requests', () => {
+    let requestManager;
+
+    beforeEach(() => {
+        jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+        requestManager = new RequestManager();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    describe('from a requester with a pending request on the workflow', () => {
+        test('refresh that request when asking the same holder again', () => {
+            const first = requestManager.createRequest('wf-1', 'bob', 'alice', 'first');
+            jest.advanceTimersByTime(60 * 1000);
+
+            const second = requestManager.createRequest('wf-1', 'bob', 'alice', 'second');
+
+            expect(second.id).toBe(first.id);
+            expect(second).toMatchObject({ message: 'second', refreshedAt: new Date() });
+            expect(second.expiresAt.getTime()).toBe(Date.now() + requestManager.requestTimeout);
+            expect(requestManager.getPendingRequests('wf-1', 'alice')).toHaveLength(1);
+        });
+
+        test('supersede that request when asking a different holder', () => {
+            const first = requestManager.createRequest('wf-1', 'bob', 'alice');
+
+            const second = requestManager.createRequest('wf-1', 'bob', 'carol');
+
+            expect(second.id).not.toBe(first.id);
+            expect(second.supersedes).toBe(first.id);
+            expect(requestManager.getRequest(first.id)).toMatchObject({
+                status: 'cancelled',
+                responseMessage: 'Superseded by a new request'
+            });
+            expect(requestManager.getPendingRequests('wf-1', 'alice')).toEqual([]);
+        });
+    });
+
+    test('keep separate requests per workflow and per requester', () => {
+        requestManager.createRequest('wf-1', 'bob', 'alice');
+        requestManager.createRequest('wf-2', 'bob', 'alice');
+        requestManager.createRequest('wf-1', 'carol', 'alice');
+
+        expect(requestManager.getPendingRequests('wf-1', 'alice').map(request => request.requesterId))
+            .toEqual(['bob', 'carol']);
+        expect(requestManager.getPendingRequests('wf-2', 'alice')).toHaveLength(1);
+    });
+
+    test('start a new request once the pending one has expired', () => {
+        const first = requestManager.createRequest('wf-1', 'bob', 'alice');
+        jest.advanceTimersByTime(requestManager.requestTimeout + 1000);
+
+        const second = requestManager.createRequest('wf-1', 'bob', 'alice');
+
+        expect(second.id).not.toBe(first.id);
+        expect(second.supersedes).toBeNull();
+    });
+
+    describe('answered all at once', () => {
+        test('approve the chosen request and deny the rest', () => {
+            const bob = requestManager.createRequest('wf-1', 'bob', 'alice');
+            const carol = requestManager.createRequest('wf-1', 'carol', 'alice');
+            const other = requestManager.createRequest('wf-2', 'dave', 'alice');
+
+            const responses = requestManager.respondToWorkflowRequests('wf-1', 'alice', carol.id, 'sorry');
+
+            expect(responses.map(request => [request.id, request.status])).toEqual([
+                [bob.id, 'denied'],
+                [carol.id, 'approved']
+            ]);
+            expect(responses.every(request => request.responseMessage === 'sorry')).toBe(true);
+            expect(requestManager.getRequest(other.id).status).toBe('pending');
+        });
+
+        test('deny every request when none is approved', () => {
+            requestManager.createRequest('wf-1', 'bob', 'alice');
+            requestManager.createRequest('wf-1', 'carol', 'alice');
+
+            const responses = requestManager.respondToWorkflowRequests('wf-1', 'alice');
+
+            expect(responses.map(request => request.status)).toEqual(['denied', 'denied']);
+            expect(requestManager.getPendingRequests('wf-1', 'alice')).toEqual([]);
+        });
+
+        test('skip requests that have expired', () => {
+            requestManager.createRequest('wf-1', 'bob', 'alice');
+            jest.advanceTimersByTime(requestManager.requestTimeout + 1000);
+            const carol = requestManager.createRequest('wf-1', 'carol', 'alice');
+
+            const responses = requestManager.respondToWorkflowRequests('wf-1', 'alice');
+
+            expect(responses.map(request => request.id)).toEqual([carol.id]);
+        });
+    });
+});
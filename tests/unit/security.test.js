@@ -0,0 +1,59 @@
+const express = require('express');
+const cors = require('cors');
+const supertest = require('supertest');
+
+const {
+    parseAllowedOrigins,
+    isOriginAllowed,
+    createCorsOptions,
+    createHandshakeOriginCheck,
+    createSecurityHeaders
+} = require('../../src/middleware/security');
+
+describe('CORS allowlist', () => {
+    const allowedOrigins = parseAllowedOrigins('https://n8n.example.com/, https://*.example.org,chrome-extension://abc');
+
+    test('parses a comma separated list and allows any origin without one', () => {
+        expect(allowedOrigins).toEqual(['https://n8n.example.com', 'https://*.example.org', 'chrome-extension://abc']);
+        expect(parseAllowedOrigins('')).toEqual(['*']);
+    });
+
+    test('matches exact origins and wildcards within one host label', () => {
+        expect(isOriginAllowed('https://n8n.example.com', allowedOrigins)).toBe(true);
+        expect(isOriginAllowed('https://team.example.org', allowedOrigins)).toBe(true);
+        expect(isOriginAllowed('chrome-extension://abc', allowedOrigins)).toBe(true);
+
+        expect(isOriginAllowed('http://n8n.example.com', allowedOrigins)).toBe(false);
+        expect(isOriginAllowed('https://evil.com/.example.org', allowedOrigins)).toBe(false);
+        expect(isOriginAllowed('chrome-extension://abcd', allowedOrigins)).toBe(false);
+    });
+
+    test('lets clients without an Origin header through', () => {
+        expect(isOriginAllowed(undefined, allowedOrigins)).toBe(true);
+    });
+
+    test('rejects socket handshakes from disallowed origins', () => {
+        const check = createHandshakeOriginCheck(allowedOrigins);
+        const callback = jest.fn();
+
+        check({ headers: { origin: 'https://evil.com' } }, callback);
+        check({ headers: { origin: 'https://n8n.example.com' } }, callback);
+
+        expect(callback.mock.calls).toEqual([['Origin not allowed', false], [null, true]]);
+    });
+
+    test('answers HTTP requests with CORS and security headers', async () => {
+        const app = express();
+        app.use(createSecurityHeaders());
+        app.use(cors(createCorsOptions(allowedOrigins)));
+        app.get('/ping', (req, res) => res.json({ ok: true }));
+
+        const allowed = await supertest(app).get('/ping').set('Origin', 'https://n8n.example.com');
+        expect(allowed.headers['access-control-allow-origin']).toBe('https://n8n.example.com');
+        expect(allowed.headers['x-content-type-options']).toBe('nosniff');
+        expect(allowed.headers['x-powered-by']).toBeUndefined();
+
+        const denied = await supertest(app).get('/ping').set('Origin', 'https://evil.com');
+        expect(denied.headers['access-control-allow-origin']).toBeUndefined();
+    });
+});
@@ -0,0 +1,71 @@
+const { validateRequest, validateSocketPayload } = require('../../src/middleware/validate');
+
+describe('request validation', () => {
+    /**
+     * Run a route's validation middleware on a fake request
+     * @param {string} routeName - Key in restSchemas
+     * @param {Object} req - { params, query, body }
+     * @returns {Object} { req, status, body, nextCalled }
+     */
+    function runRoute(routeName, req) {
+        const outcome = { req, status: null, body: null, nextCalled: false };
+        const res = {
+            status(code) {
+                outcome.status = code;
+                return this;
+            },
+            json(body) {
+                outcome.body = body;
+                return this;
+            }
+        };
+
+        validateRequest(routeName)(req, res, () => {
+            outcome.nextCalled = true;
+        });
+
+        return outcome;
+    }
+
+    test('passes valid input on with defaults applied and unknown fields stripped', () => {
+        const { req, nextCalled } = runRoute('requestLock', {
+            params: { workflowId: ' wf-1 ' },
+            body: { ttl: '60000', userId: 'mallory' }
+        });
+
+        expect(nextCalled).toBe(true);
+        expect(req.params.workflowId).toBe('wf-1');
+        expect(req.body).toEqual({ force: false, mode: 'exclusive', ttl: 60000 });
+    });
+
+    test('answers invalid input with 400 and every failing field', () => {
+        const { status, body, nextCalled } = runRoute('requestLock', {
+            params: { workflowId: '' },
+            body: { force: 'yes', mode: 'owner' }
+        });
+
+        expect(nextCalled).toBe(false);
+        expect(status).toBe(400);
+        expect(body).toMatchObject({ success: false, error: 'validation_error' });
+        expect(body.details.map(detail => detail.field).sort())
+            .toEqual(['body.force', 'body.mode', 'params.workflowId']);
+    });
+
+    test('fails fast for a route without a schema', () => {
+        expect(() => validateRequest('noSuchRoute')).toThrow('No validation schema defined');
+    });
+
+    test('validates socket payloads against the event schema', () => {
+        expect(validateSocketPayload('request_lock', { workflowId: 'wf-1', ttl: 1000 }).value)
+            .toEqual({ workflowId: 'wf-1', force: false, mode: 'exclusive', ttl: 1000 });
+
+        const { error } = validateSocketPayload('request_lock', { workflowId: 42 });
+        expect(error).toMatchObject({ error: 'validation_error', event: 'request_lock' });
+        expect(error.details[0].field).toBe('payload.workflowId');
+    });
+
+    test('treats a missing socket payload as empty', () => {
+        expect(validateSocketPayload('heartbeat', undefined).value).toEqual({ extendLocks: false });
+        expect(validateSocketPayload('release_lock', null).error.details[0].field).toBe('payload.workflowId');
+    });
+});